@@ -0,0 +1,150 @@
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const Payment = require('../models/Payment');
+const RecurringExpense = require('../models/RecurringExpense');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const LoginAttempt = require('../models/LoginAttempt');
+const Group = require('../models/Group');
+const GroupExpense = require('../models/GroupExpense');
+const ImportBatch = require('../models/ImportBatch');
+const ExchangeRate = require('../models/ExchangeRate');
+const AuditLog = require('../models/AuditLog');
+const Merchant = require('../models/Merchant');
+const ExpenseRule = require('../models/ExpenseRule');
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+const { removeFiles } = require('../utils/storage');
+const { findUnsettledGroups } = require('../utils/groupBalances');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Remove a user from their shared groups, which must all be settled. Ownership passes to the
+// longest-standing member; groups left without members are deleted with their expenses and
+// settlements. Returns the deleted count.
+const leaveGroups = async (userId) => {
+  const groups = await Group.find({ 'members.user_id': userId });
+  let deleted = 0;
+
+  for (const group of groups) {
+    const wasOwner = group.isOwner(userId);
+    group.members = group.members.filter(member => !member.user_id.equals(userId));
+
+    if (group.members.length === 0) {
+      await GroupExpense.deleteMany({ group_id: group._id });
+      await Payment.deleteMany({ type: 'group_settlement', reference_id: group._id });
+      await Group.deleteOne({ _id: group._id });
+      deleted++;
+      continue;
+    }
+
+    if (wasOwner && !group.members.some(member => member.role === 'owner')) {
+      const successor = group.members.reduce((a, b) => (a.joined_at <= b.joined_at ? a : b));
+      successor.role = 'owner';
+    }
+    await group.save();
+  }
+
+  return deleted;
+};
+
+// Permanently delete a user and everything they own. Refuses (throws) while the user has an
+// unsettled group balance, since leaving would change the other members' balances.
+// Dependent records go first so a failure never leaves data without an owner record.
+const purgeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const unsettled = await findUnsettledGroups(user._id);
+  if (unsettled.length > 0) {
+    throw new Error(`User has unsettled balances in ${unsettled.length} group(s)`);
+  }
+
+  const filter = { user_id: user._id };
+
+  const expensesWithFiles = await Expense.find({ ...filter, 'attachments.0': { $exists: true } })
+    .setOptions({ withDeleted: true })
+    .select('attachments.storage_key');
+  await removeFiles(expensesWithFiles.flatMap(expense => expense.attachments.map(attachment => attachment.storage_key)));
+
+  // Group settlements stay: the other members' balances in groups the user leaves depend on them
+  const [payments, expenses, recurringExpenses, borrowedMoney, creditCards, categories] = await Promise.all([
+    Payment.deleteMany({ ...filter, type: { $ne: 'group_settlement' } }),
+    Expense.deleteMany(filter),
+    RecurringExpense.deleteMany(filter),
+    BorrowedMoney.deleteMany(filter),
+    CreditCard.deleteMany(filter),
+    Category.deleteMany(filter)
+  ]);
+
+  const groups = await leaveGroups(user._id);
+
+  await Promise.all([
+    Session.deleteMany(filter),
+    ApiKey.deleteMany(filter),
+    ImportBatch.deleteMany(filter),
+    ExchangeRate.deleteMany(filter),
+    AuditLog.deleteMany(filter),
+    Merchant.deleteMany(filter),
+    ExpenseRule.deleteMany(filter),
+    Transfer.deleteMany(filter),
+    Account.deleteMany(filter),
+    LoginAttempt.deleteOne({ key: `account:${user.email}` })
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+
+  return {
+    payments: payments.deletedCount,
+    expenses: expenses.deletedCount,
+    recurring_expenses: recurringExpenses.deletedCount,
+    borrowed_money: borrowedMoney.deletedCount,
+    credit_cards: creditCards.deletedCount,
+    categories: categories.deletedCount,
+    groups_deleted: groups
+  };
+};
+
+// Purge every account whose deletion grace period has ended. Accounts with unsettled group
+// balances are kept and retried on the next run.
+const purgeScheduledAccounts = async () => {
+  const users = await User.find({
+    isActive: false,
+    deletionScheduledAt: { $ne: null, $lte: new Date() }
+  }).select('_id');
+
+  for (const user of users) {
+    try {
+      await purgeUser(user._id);
+    } catch (error) {
+      console.error(`Account purge error for user ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+// Run the purge periodically inside this process
+const startAccountPurgeJob = (intervalMs = PURGE_INTERVAL_MS) => {
+  const run = () => {
+    purgeScheduledAccounts()
+      .then(count => {
+        if (count > 0) console.log(`Purged ${count} deleted account(s)`);
+      })
+      .catch(error => console.error('Account purge job error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  purgeUser,
+  purgeScheduledAccounts,
+  startAccountPurgeJob
+};
@@ -0,0 +1,115 @@
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const { listOccurrences } = require('../utils/recurrence');
+
+const RUN_INTERVAL_MS = 15 * 60 * 1000;
+
+// Cap per template per run so a long outage is caught up over a few runs
+const MAX_OCCURRENCES_PER_RUN = 500;
+
+// Create the expense for one occurrence. Upserting on (recurring_id, occurrence_date)
+// makes this safe to call any number of times; an occurrence in the trash is not recreated.
+const createOccurrenceExpense = async (template, occurrenceDate) => {
+  const result = await Expense.updateOne(
+    { recurring_id: template._id, occurrence_date: occurrenceDate },
+    {
+      $setOnInsert: {
+        user_id: template.user_id,
+        amount: template.amount,
+        currency: template.currency,
+        category_id: template.category_id,
+        merchant_id: template.merchant_id,
+        payment_mode: template.payment_mode,
+        account_id: template.account_id,
+        credit_card_id: template.credit_card_id,
+        borrowed_id: template.borrowed_id,
+        date: occurrenceDate,
+        note: template.note,
+        is_recurring: true,
+        recurring_frequency: template.frequency,
+        recurring_id: template._id,
+        occurrence_date: occurrenceDate
+      }
+    },
+    { upsert: true, withDeleted: true }
+  );
+
+  return result.upsertedCount > 0;
+};
+
+// Generate every due occurrence of a template up to `now`, including ones missed while the server was down
+const generateForTemplate = async (template, now = new Date()) => {
+  if (template.is_paused) return 0;
+
+  const due = listOccurrences(template, {
+    to: now,
+    fromIndex: template.next_index,
+    limit: MAX_OCCURRENCES_PER_RUN
+  });
+
+  let created = 0;
+  for (const occurrence of due) {
+    // Skipped occurrences are dropped; paused ones are created when resumed
+    if (!occurrence.status && await createOccurrenceExpense(template, occurrence.date)) {
+      created++;
+    }
+  }
+
+  if (due.length > 0) {
+    template.next_index = due[due.length - 1].index + 1;
+    template.last_generated_at = now;
+    await template.save();
+  }
+
+  return created;
+};
+
+// Process every active template
+const generateDueExpenses = async (now = new Date()) => {
+  const templates = await RecurringExpense.find({
+    is_paused: false,
+    start_date: { $lte: now }
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      created += await generateForTemplate(template, now);
+    } catch (error) {
+      console.error(`Recurring expense error for template ${template._id}:`, error);
+    }
+  }
+
+  return created;
+};
+
+// Run the generator periodically inside this process (and once at startup for catch-up)
+const startRecurringExpenseJob = (intervalMs = RUN_INTERVAL_MS) => {
+  let running = false;
+
+  const run = () => {
+    if (running) return;
+    running = true;
+
+    generateDueExpenses()
+      .then(count => {
+        if (count > 0) console.log(`Generated ${count} recurring expense(s)`);
+      })
+      .catch(error => console.error('Recurring expense job error:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createOccurrenceExpense,
+  generateForTemplate,
+  generateDueExpenses,
+  startRecurringExpenseJob
+};
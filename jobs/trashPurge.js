@@ -0,0 +1,62 @@
+const Expense = require('../models/Expense');
+const CreditCard = require('../models/CreditCard');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const { removeFiles } = require('../utils/storage');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Days a deleted expense, card or loan stays in the trash before it is removed for good
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Permanently delete everything that has been in the trash longer than the retention period
+const purgeTrash = async (now = new Date()) => {
+  const expired = { deleted_at: { $ne: null, $lte: new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) } };
+
+  // Expenses with receipts are deleted one by one so only the files of purged expenses are removed
+  const expensesWithFiles = await Expense.find({ ...expired, 'attachments.0': { $exists: true } }).select('_id');
+  let expensesWithFilesPurged = 0;
+  for (const { _id } of expensesWithFiles) {
+    const expense = await Expense.findOneAndDelete({ _id, ...expired });
+    if (expense) {
+      await removeFiles(expense.attachments.map(attachment => attachment.storage_key));
+      expensesWithFilesPurged++;
+    }
+  }
+
+  const [expenses, creditCards, borrowedMoney] = await Promise.all([
+    Expense.deleteMany(expired),
+    CreditCard.deleteMany(expired),
+    BorrowedMoney.deleteMany(expired)
+  ]);
+
+  return {
+    expenses: expensesWithFilesPurged + expenses.deletedCount,
+    credit_cards: creditCards.deletedCount,
+    borrowed_money: borrowedMoney.deletedCount
+  };
+};
+
+// Run the purge periodically inside this process
+const startTrashPurgeJob = (intervalMs = PURGE_INTERVAL_MS) => {
+  const run = () => {
+    purgeTrash()
+      .then(counts => {
+        const total = counts.expenses + counts.credit_cards + counts.borrowed_money;
+        if (total > 0) {
+          console.log(`Purged ${counts.expenses} expense(s), ${counts.credit_cards} credit card(s) and ${counts.borrowed_money} borrowed money record(s) from the trash`);
+        }
+      })
+      .catch(error => console.error('Trash purge job error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeTrash,
+  startTrashPurgeJob
+};
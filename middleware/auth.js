@@ -1,16 +1,89 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-const auth = async (req, res, next) => {
+// When enabled, users must verify their email before using the financial routes
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Only record last use once a minute to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Error carrying the HTTP status and message for a rejected credential
+const authError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.extra = extra;
+  return error;
+};
+
+// Resolve the user behind a JWT access token and its session
+const authenticateToken = async (token, req) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Every access token is bound to a server-side session
+  if (!decoded.sid) {
+    throw authError(401, 'Invalid token.');
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.user_id.equals(decoded.userId)) {
+    throw authError(401, 'Invalid token. Session not found.');
+  }
+
+  if (session.revoked_at) {
+    throw authError(401, 'Session has been revoked.');
+  }
+
+  req.authSession = session;
+  return decoded.userId;
+};
+
+// Resolve the user behind an API key and check it carries the scope this request needs
+const authenticateApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findOne({ key_hash: ApiKey.hashKey(key) });
+
+  if (!apiKey || !apiKey.isUsable()) {
+    throw authError(401, 'Invalid or expired API key.');
+  }
+
+  // Routers opt in to API keys with auth.scope(); everything else needs a login
+  if (!req.apiScopeResource) {
+    throw authError(403, 'API keys cannot be used for this endpoint.');
+  }
+
+  const requiredScope = `${req.apiScopeResource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+  if (!apiKey.scopes.includes(requiredScope)) {
+    throw authError(403, `API key is missing the required scope: ${requiredScope}`, {
+      required_scope: requiredScope
+    });
+  }
+
+  if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at > LAST_USED_UPDATE_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { last_used_at: new Date() });
+  }
+
+  req.apiKey = apiKey;
+  return apiKey.user_id;
+};
+
+const createAuth = ({ allowUnverified = false } = {}) => async (req, res, next) => {
   try {
+    const apiKeyHeader = req.header('X-API-Key');
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
-    if (!token) {
+    if (!token && !apiKeyHeader) {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const userId = (apiKeyHeader || ApiKey.isApiKey(token))
+      ? await authenticateApiKey(apiKeyHeader || token, req)
+      : await authenticateToken(token, req);
+
+    const user = await User.findById(userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'Invalid token. User not found.' });
@@ -20,9 +93,19 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated.' });
     }
 
+    if (!allowUnverified && requireEmailVerification() && !user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address to continue.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.extra });
+    }
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ message: 'Invalid token.' });
     }
@@ -33,4 +116,16 @@ const auth = async (req, res, next) => {
   }
 };
 
+const auth = createAuth();
+
+// Variant for account routes that unverified users still need (profile, resend verification, logout)
+auth.allowUnverified = createAuth({ allowUnverified: true });
+
+// Router-level middleware naming the API key scope family of a router, e.g. router.use(auth.scope('expenses')).
+// Reads need "<resource>:read", everything else "<resource>:write".
+auth.scope = (resource) => (req, res, next) => {
+  req.apiScopeResource = resource;
+  next();
+};
+
 module.exports = auth;
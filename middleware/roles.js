@@ -0,0 +1,17 @@
+// Allow the request only if the authenticated user has one of the given roles.
+// Must run after the auth middleware.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Access denied. No token provided.' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole
+};
@@ -0,0 +1,37 @@
+const multer = require('multer');
+
+const MAX_FILE_SIZE_MB = parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+
+// Accept up to maxCount files in a multipart field, answering upload errors with JSON.
+// Files are kept in memory until their content has been checked, then handed to storage.
+const uploadFiles = (field, maxCount, { maxSizeMb = MAX_FILE_SIZE_MB } = {}) => {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.round(maxSizeMb * 1024 * 1024)
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ message: `Each file must be at most ${maxSizeMb} MB`, field });
+        }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+          return res.status(400).json({ message: `Upload at most ${maxCount} file(s) in the "${field}" field`, field });
+        }
+        return res.status(400).json({ message: error.message, field });
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  uploadFiles,
+  MAX_FILE_SIZE_MB
+};
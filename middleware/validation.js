@@ -1,4 +1,14 @@
 const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { isValidTimeZone } = require('../utils/dateTime');
+
+// Password strength rules shared by every route that sets a password
+const passwordRule = (field = 'password') =>
+  body(field)
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/\d/)
+    .withMessage('Password must contain at least one number');
 
 // Validation rules for registration
 const registerValidation = [
@@ -14,11 +24,7 @@ const registerValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/\d/)
-    .withMessage('Password must contain at least one number'),
+  passwordRule('password'),
   
   body('firstName')
     .optional()
@@ -45,6 +51,131 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+// Validation rules for requesting a password reset
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// Validation rules for resetting a password with a reset token
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordRule('password')
+];
+
+// Validation rules for verifying an email address
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+// Validation rules for endpoints that take a second-factor code
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+// Validation rules for completing a two-step login
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...twoFactorCodeValidation
+];
+
+// Validation rules for changing the password of a logged-in user
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  passwordRule('newPassword'),
+  
+  body('revokeOtherSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('revokeOtherSessions must be a boolean')
+];
+
+// Validation rules for deleting the account of a logged-in user
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('immediate')
+    .optional()
+    .isBoolean()
+    .withMessage('immediate must be a boolean')
+];
+
+// Validation rules for updating user preferences
+const preferencesValidation = [
+  body('currency')
+    .optional()
+    .isString()
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code, e.g. INR'),
+  
+  body('timezone')
+    .optional()
+    .isString()
+    .custom(value => isValidTimeZone(value))
+    .withMessage('Timezone must be a valid IANA time zone, e.g. Asia/Kolkata'),
+  
+  body('locale')
+    .optional()
+    .isString()
+    .custom(value => {
+      Intl.getCanonicalLocales(value);
+      return true;
+    })
+    .withMessage('Locale must be a valid BCP 47 language tag, e.g. en-IN'),
+  
+  body('week_start')
+    .optional()
+    .isIn(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'])
+    .withMessage('Week start must be a day name, e.g. monday')
+];
+
+// Validation rules for creating an API key
+const apiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
 // Middleware to check validation results
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -63,5 +194,15 @@ const validate = (req, res, next) => {
 module.exports = {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  verifyEmailValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  apiKeyValidation,
+  deleteAccountValidation,
+  preferencesValidation,
+  passwordRule,
   validate
 };
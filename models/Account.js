@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const ACCOUNT_TYPES = ['bank', 'wallet', 'cash'];
+
+// Where money is kept: a bank account, a wallet or UPI app, or cash in hand.
+// The balance is not stored; it is the opening balance plus the account's transactions.
+const accountSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Account name is required'],
+    trim: true,
+    maxlength: [100, 'Account name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: { values: ACCOUNT_TYPES, message: `Account type must be one of: ${ACCOUNT_TYPES.join(', ')}` },
+    required: [true, 'Account type is required']
+  },
+  // Every transaction on the account is in this currency
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  // Balance before the first recorded transaction (negative for an overdrawn account)
+  opening_balance: {
+    type: Number,
+    default: 0
+  },
+  // Archived accounts are hidden from the account list but keep their history
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Account names are unique per user
+accountSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+accountSchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = mongoose.model('Account', accountSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Every key starts with this so it can be told apart from a JWT
+const KEY_PREFIX = 'ek_';
+
+const SCOPES = [
+  'expenses:read',
+  'expenses:write',
+  'categories:read',
+  'categories:write',
+  'credit-cards:read',
+  'credit-cards:write',
+  'borrowed-money:read',
+  'borrowed-money:write',
+  'exchange-rates:read',
+  'exchange-rates:write',
+  'groups:read',
+  'groups:write',
+  'payments:read',
+  'payments:write',
+  'audit:read',
+  'audit:write',
+  'accounts:read',
+  'accounts:write'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, shown so users can tell keys apart
+  key_preview: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: { values: SCOPES, message: 'Unknown scope: {VALUE}' }
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'At least one scope is required'
+    }
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user_id: 1, createdAt: -1 });
+
+// Hash a raw API key for storage and lookup
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Generate a new raw API key
+apiKeySchema.statics.generateKey = function() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+};
+
+// Whether a bearer credential looks like an API key rather than a JWT
+apiKeySchema.statics.isApiKey = function(credential) {
+  return typeof credential === 'string' && credential.startsWith(KEY_PREFIX);
+};
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+// Method to check whether the key can still be used
+apiKeySchema.methods.isUsable = function() {
+  return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+};
+
+// Method to get key info without the hash
+apiKeySchema.methods.toJSON = function() {
+  const keyObject = this.toObject();
+  delete keyObject.key_hash;
+  return keyObject;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['expense', 'payment', 'credit_card', 'borrowed_money', 'category', 'account', 'transfer'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+// One field that changed, with its values before and after
+const fieldChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+// Append-only record of a change to one of the user's financial records
+const auditLogSchema = new mongoose.Schema({
+  // Owner of the record
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entity_type: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: true
+  },
+  entity_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  // Who made the change: the user, through a login session or one of their API keys
+  actor: {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    session_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
+    api_key_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null }
+  },
+  // Where the change came from
+  origin: {
+    ip: { type: String, default: null },
+    user_agent: { type: String, default: null },
+    method: { type: String, default: null },
+    path: { type: String, default: null }
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+  // Full record before and after the change (null before a create and after a permanent delete)
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // For reverts: the entry whose version the record was reverted to
+  reverted_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ user_id: 1, entity_type: 1, entity_id: 1, createdAt: -1 });
+auditLogSchema.index({ user_id: 1, createdAt: -1 });
+
+// Entry without the full before/after snapshots, for listings
+auditLogSchema.methods.toSummaryJSON = function() {
+  const { before, after, ...summary } = this.toJSON();
+  return summary;
+};
+
+auditLogSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+auditLogSchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const Payment = require('./Payment');
 
 const borrowedMoneySchema = new mongoose.Schema({
   user_id: {
@@ -69,4 +71,21 @@ borrowedMoneySchema.pre('save', function(next) {
   next();
 });
 
+// Recalculate the repaid amount (and status) of a record from its payments
+borrowedMoneySchema.statics.syncRepaidAmount = async function(userId, borrowedId) {
+  const borrowed = await this.findOne({ _id: borrowedId, user_id: userId });
+  if (!borrowed) return null;
+
+  const totalPaid = await Payment.aggregate([
+    { $match: { user_id: borrowed.user_id, type: 'borrowed', reference_id: borrowed._id } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+
+  borrowed.repaid_amount = Math.min(totalPaid[0]?.total || 0, borrowed.amount);
+  await borrowed.save();
+  return borrowed;
+};
+
+borrowedMoneySchema.plugin(softDelete);
+
 module.exports = mongoose.model('BorrowedMoney', borrowedMoneySchema);
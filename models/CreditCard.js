@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const creditCardSchema = new mongoose.Schema({
   user_id: {
@@ -42,4 +43,6 @@ const creditCardSchema = new mongoose.Schema({
   timestamps: true
 });
 
+creditCardSchema.plugin(softDelete);
+
 module.exports = mongoose.model('CreditCard', creditCardSchema);
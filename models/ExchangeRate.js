@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const currencyCode = (label) => ({
+  type: String,
+  required: [true, `${label} currency is required`],
+  uppercase: true,
+  trim: true,
+  match: [/^[A-Z]{3}$/, `${label} currency must be a 3-letter ISO 4217 code`]
+});
+
+// Rate for converting one unit of `from` into `to`, effective from `date`
+const exchangeRateSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from: currencyCode('Source'),
+  to: currencyCode('Target'),
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  // Calendar day the rate applies from, stored as midnight UTC
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per currency pair and day
+exchangeRateSchema.index({ user_id: 1, from: 1, to: 1, date: -1 }, { unique: true });
+
+// Ensure a rate never converts a currency into itself
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.from && this.from === this.to) {
+    this.invalidate('to', 'Source and target currencies must differ');
+  }
+  next();
+});
+
+// Rate converting `from` into `to` on a day (midnight UTC): the latest rate dated on or
+// before it, in either direction. Resolves to null when no rate is known.
+exchangeRateSchema.statics.findRate = async function(userId, from, to, day) {
+  if (from === to) return 1;
+
+  const exchangeRate = await this.findOne({
+    user_id: userId,
+    date: { $lte: day },
+    $or: [{ from, to }, { from: to, to: from }]
+  }).sort({ date: -1 });
+
+  if (!exchangeRate) return null;
+  return exchangeRate.from === from ? exchangeRate.rate : 1 / exchangeRate.rate;
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
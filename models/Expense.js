@@ -1,4 +1,76 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// One part of a split expense, e.g. the household items on a supermarket bill
+const lineItemSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Line item amount is required'],
+    min: [0.01, 'Line item amount must be greater than 0']
+  },
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Line item category is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Line item note cannot exceed 200 characters']
+  }
+});
+
+// A receipt or invoice file kept with the expense; the file itself lives in attachment storage
+const attachmentSchema = new mongoose.Schema({
+  storage_key: {
+    type: String,
+    required: true
+  },
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  content_type: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Image dimensions and the size a thumbnail should be rendered at (null for PDFs)
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  thumbnail: {
+    width: Number,
+    height: Number
+  },
+  uploaded_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Storage keys are internal; clients download through the attachment endpoint
+attachmentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.storage_key;
+    return ret;
+  }
+});
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Tags are stored lowercase with surrounding and repeated whitespace removed
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().replace(/\s+/g, ' ');
 
 const expenseSchema = new mongoose.Schema({
   user_id: {
@@ -11,6 +83,13 @@ const expenseSchema = new mongoose.Schema({
     required: [true, 'Expense amount is required'],
     min: [0.01, 'Amount must be greater than 0']
   },
+  // Currency of the amount; expenses saved before currencies existed are in the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
   category_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -18,9 +97,15 @@ const expenseSchema = new mongoose.Schema({
   },
   payment_mode: {
     type: String,
-    enum: ['cash', 'credit_card', 'borrowed'],
+    enum: ['cash', 'credit_card', 'borrowed', 'account'],
     required: [true, 'Payment mode is required']
   },
+  // Bank account, wallet or cash account that paid, when payment_mode is account
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
   credit_card_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'CreditCard',
@@ -31,6 +116,34 @@ const expenseSchema = new mongoose.Schema({
     ref: 'BorrowedMoney',
     default: null
   },
+  // Shop or payee, set by the client or by a rule
+  merchant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null
+  },
+  // Optional split across categories; amounts must add up to the expense amount
+  line_items: {
+    type: [lineItemSchema],
+    default: []
+  },
+  // Free-form labels such as "reimbursable" or "work trip"
+  tags: {
+    type: [{
+      type: String,
+      maxlength: [MAX_TAG_LENGTH, `Tags cannot exceed ${MAX_TAG_LENGTH} characters`]
+    }],
+    default: [],
+    set: tags => (Array.isArray(tags) ? [...new Set(tags.map(normalizeTag).filter(Boolean))] : tags),
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `An expense can have at most ${MAX_TAGS} tags`
+    }
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
   date: {
     type: Date,
     required: [true, 'Expense date is required'],
@@ -47,7 +160,23 @@ const expenseSchema = new mongoose.Schema({
   },
   recurring_frequency: {
     type: String,
-    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    enum: ['daily', 'weekly', 'monthly', 'yearly', null],
+    default: null
+  },
+  // Template this expense was generated from, and which occurrence it is
+  recurring_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense',
+    default: null
+  },
+  occurrence_date: {
+    type: Date,
+    default: null
+  },
+  // CSV import this expense came from, so the import can be undone
+  import_batch_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
     default: null
   }
 }, {
@@ -57,15 +186,46 @@ const expenseSchema = new mongoose.Schema({
 // Indexes for better query performance
 expenseSchema.index({ user_id: 1, date: -1 });
 expenseSchema.index({ user_id: 1, category_id: 1 });
+expenseSchema.index({ user_id: 1, 'line_items.category_id': 1 });
 expenseSchema.index({ user_id: 1, payment_mode: 1 });
+expenseSchema.index({ user_id: 1, tags: 1 });
+expenseSchema.index({ user_id: 1, merchant_id: 1 });
+expenseSchema.index({ user_id: 1, account_id: 1, date: -1 });
+expenseSchema.index({ import_batch_id: 1 }, { partialFilterExpression: { import_batch_id: { $type: 'objectId' } } });
+
+// Full-text search over notes and tags; every search is scoped to one user
+expenseSchema.index(
+  { user_id: 1, note: 'text', tags: 'text' },
+  { name: 'expense_text_search', weights: { note: 3, tags: 1 } }
+);
+
+// One expense per recurring occurrence, so generation is idempotent
+expenseSchema.index(
+  { recurring_id: 1, occurrence_date: 1 },
+  { unique: true, partialFilterExpression: { recurring_id: { $type: 'objectId' } } }
+);
 
 // Virtual for formatted date
 expenseSchema.virtual('formatted_date').get(function() {
   return this.date.toLocaleDateString();
 });
 
-// Ensure credit_card_id is set when payment_mode is credit_card
+// Whether line item amounts add up to the total (compared in cents to avoid float drift)
+expenseSchema.statics.lineItemsMatchTotal = function(lineItems, amount) {
+  const sum = lineItems.reduce((total, item) => total + Math.round(Number(item.amount) * 100), 0);
+  return sum === Math.round(Number(amount) * 100);
+};
+
+expenseSchema.statics.normalizeTag = normalizeTag;
+expenseSchema.statics.MAX_TAGS = MAX_TAGS;
+expenseSchema.statics.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+
+// Ensure line items add up and the payment reference matching payment_mode is set
 expenseSchema.pre('save', function(next) {
+  if (this.line_items.length > 0 && !this.constructor.lineItemsMatchTotal(this.line_items, this.amount)) {
+    return next(new Error('Line item amounts must add up to the expense amount'));
+  }
+
   if (this.payment_mode === 'credit_card' && !this.credit_card_id) {
     return next(new Error('Credit card must be selected when payment mode is credit_card'));
   }
@@ -73,8 +233,14 @@ expenseSchema.pre('save', function(next) {
   if (this.payment_mode === 'borrowed' && !this.borrowed_id) {
     return next(new Error('Borrowed money reference must be set when payment mode is borrowed'));
   }
+
+  if (this.payment_mode === 'account' && !this.account_id) {
+    return next(new Error('Account must be selected when payment mode is account'));
+  }
   
   next();
 });
 
+expenseSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Expense', expenseSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const MAX_PATTERN_LENGTH = 200;
+
+// A user-defined rule that fills in the merchant, category and tags of matching expenses.
+// A rule matches when every condition it has is met; it needs at least one condition and one action.
+const expenseRuleSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // Rules are tried from the lowest priority number up; the first rule that sets a field wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  // Conditions: the note contains the text or matches the regex (case-insensitive),
+  // and the amount lies within the range (inclusive)
+  match_type: {
+    type: String,
+    enum: ['contains', 'regex', null],
+    default: null
+  },
+  pattern: {
+    type: String,
+    trim: true,
+    maxlength: [MAX_PATTERN_LENGTH, `Pattern cannot exceed ${MAX_PATTERN_LENGTH} characters`],
+    default: null
+  },
+  min_amount: {
+    type: Number,
+    min: [0, 'Minimum amount cannot be negative'],
+    default: null
+  },
+  max_amount: {
+    type: Number,
+    min: [0, 'Maximum amount cannot be negative'],
+    default: null
+  },
+  // Actions
+  merchant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null
+  },
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+expenseRuleSchema.index({ user_id: 1, priority: 1 });
+
+expenseRuleSchema.statics.MAX_PATTERN_LENGTH = MAX_PATTERN_LENGTH;
+
+module.exports = mongoose.model('ExpenseRule', expenseRuleSchema);
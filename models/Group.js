@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'member'],
+      default: 'member'
+    },
+    joined_at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ 'members.user_id': 1 });
+
+// Method to check whether a user belongs to the group
+groupSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.user_id.equals(userId));
+};
+
+// Method to check whether a user owns the group
+groupSchema.methods.isOwner = function(userId) {
+  return this.members.some(member => member.user_id.equals(userId) && member.role === 'owner');
+};
+
+module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const groupExpenseSchema = new mongoose.Schema({
+  group_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  paid_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Payer is required']
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Expense amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Expense date is required'],
+    default: Date.now
+  },
+  split_type: {
+    type: String,
+    enum: ['equal', 'shares', 'exact'],
+    required: [true, 'Split type is required']
+  },
+  // What each participant owes for this expense; amounts always add up to the total
+  splits: [{
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Split amount cannot be negative']
+    },
+    shares: {
+      type: Number,
+      default: null
+    },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+groupExpenseSchema.index({ group_id: 1, date: -1 });
+
+module.exports = mongoose.model('GroupExpense', groupExpenseSchema);
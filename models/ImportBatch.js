@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// One parsed spreadsheet row, as shown in the preview and used when committing
+const importRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ready', 'duplicate', 'invalid'],
+    required: true
+  },
+  // Why the row can't be imported (invalid rows only)
+  issues: [String],
+  date: Date,
+  amount: Number,
+  currency: String,
+  category_name: String,
+  // Existing category with that name, if any; missing categories are created on commit
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  payment_mode: String,
+  credit_card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditCard',
+    default: null
+  },
+  note: String,
+  tags: [String],
+  // Existing expense this row appears to repeat, or the earlier row of the same file
+  duplicate_of: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    default: null
+  },
+  duplicate_of_row: {
+    type: Number,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const importBatchSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  // preview -> committed -> undone; a preview can also be discarded
+  status: {
+    type: String,
+    enum: ['preview', 'committed', 'undone'],
+    default: 'preview'
+  },
+  headers: [String],
+  // Field name -> column index used to read the rows
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  rows: {
+    type: [importRowSchema],
+    default: []
+  },
+  // Categories created by this import, removed again on undo when unused
+  created_category_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  imported_count: {
+    type: Number,
+    default: 0
+  },
+  committed_at: {
+    type: Date,
+    default: null
+  },
+  undone_at: {
+    type: Date,
+    default: null
+  },
+  // Uncommitted previews are dropped by MongoDB after this time
+  expires_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ user_id: 1, createdAt: -1 });
+importBatchSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Row counts by status
+importBatchSchema.methods.summarize = function() {
+  return this.rows.reduce((counts, row) => {
+    counts[row.status] += 1;
+    return counts;
+  }, { total: this.rows.length, ready: 0, duplicate: 0, invalid: 0 });
+};
+
+// Batch without its rows, for listings
+importBatchSchema.methods.toSummaryJSON = function() {
+  const { rows, ...batch } = this.toJSON();
+  return { ...batch, summary: this.summarize() };
+};
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
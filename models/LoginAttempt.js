@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  // Throttling key, e.g. "account:jane@example.com" or "ip:203.0.113.7"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  window_started_at: {
+    type: Date,
+    default: null
+  },
+  locked_until: {
+    type: Date,
+    default: null
+  },
+  // Number of lockouts so far, drives the exponential backoff
+  lock_count: {
+    type: Number,
+    default: 0
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop stale counters
+loginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
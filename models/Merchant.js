@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A shop or payee that expenses can be tied to, whatever their notes say ("Starbucks", "SBUX")
+const merchantSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Merchant name is required'],
+    trim: true,
+    maxlength: [100, 'Merchant name cannot exceed 100 characters']
+  },
+  // Category suggested for the merchant's expenses when a rule sets the merchant but no category
+  default_category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Merchant names are unique per user
+merchantSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
@@ -8,13 +8,20 @@ const paymentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['credit_card', 'borrowed'],
+    enum: ['credit_card', 'borrowed', 'group_settlement'],
     required: [true, 'Payment type is required']
   },
+  // Credit card, borrowed money record or group, depending on type
   reference_id: {
     type: mongoose.Schema.Types.ObjectId,
     required: [true, 'Reference ID is required']
   },
+  // For group settlements: the group member who received the money
+  counterparty_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   amount: {
     type: Number,
     required: [true, 'Payment amount is required'],
@@ -34,9 +41,18 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     enum: ['cash', 'bank_transfer', 'upi', 'cheque'],
     default: 'bank_transfer'
+  },
+  // Account the money left (or, for repayments of money lent, arrived in)
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
   }
 }, {
   timestamps: true
 });
 
+paymentSchema.index({ type: 1, reference_id: 1 });
+paymentSchema.index({ user_id: 1, account_id: 1, payment_date: -1 });
+
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/dateTime');
+
+const recurringExpenseSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Expense amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  // Currency of the amount; templates without one are in the user's base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  category_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Category is required']
+  },
+  merchant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    default: null
+  },
+  payment_mode: {
+    type: String,
+    enum: ['cash', 'credit_card', 'borrowed', 'account'],
+    required: [true, 'Payment mode is required']
+  },
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
+  credit_card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditCard',
+    default: null
+  },
+  borrowed_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BorrowedMoney',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: [true, 'Frequency is required']
+  },
+  // Repeat every N periods, e.g. frequency weekly + interval 2 = fortnightly
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Interval must be at least 1'],
+    max: [365, 'Interval cannot exceed 365']
+  },
+  start_date: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  end_date: {
+    type: Date,
+    default: null
+  },
+  // Occurrences are computed in this time zone so "the 1st of every month" stays local
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be a valid IANA time zone'
+    }
+  },
+  is_paused: {
+    type: Boolean,
+    default: false
+  },
+  // Per-occurrence overrides: skipped ones are never created, paused ones wait until resumed
+  occurrence_overrides: [{
+    date: { type: Date, required: true },
+    status: { type: String, enum: ['skipped', 'paused'], required: true },
+    _id: false
+  }],
+  // Index of the next occurrence the scheduler has not processed yet
+  next_index: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  last_generated_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+recurringExpenseSchema.index({ user_id: 1, createdAt: -1 });
+recurringExpenseSchema.index({ is_paused: 1 });
+
+// Ensure the payment reference matching payment_mode is set
+recurringExpenseSchema.pre('save', function(next) {
+  if (this.payment_mode === 'credit_card' && !this.credit_card_id) {
+    return next(new Error('Credit card must be selected when payment mode is credit_card'));
+  }
+
+  if (this.payment_mode === 'borrowed' && !this.borrowed_id) {
+    return next(new Error('Borrowed money reference must be set when payment mode is borrowed'));
+  }
+
+  if (this.end_date && this.end_date < this.start_date) {
+    return next(new Error('End date cannot be before start date'));
+  }
+
+  next();
+});
+
+// Method to get the override status of an occurrence, if any
+recurringExpenseSchema.methods.getOverride = function(occurrenceDate) {
+  const override = this.occurrence_overrides.find(item => item.date.getTime() === occurrenceDate.getTime());
+  return override ? override.status : null;
+};
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refresh_token_hash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token that was rotated out last, kept to detect reuse
+  previous_token_hash: {
+    type: String,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  user_agent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ refresh_token_hash: 1 });
+sessionSchema.index({ previous_token_hash: 1 });
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('is_active').get(function() {
+  return !this.revoked_at && this.expires_at > new Date();
+});
+
+// Hash a raw refresh token for storage and lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId = null) {
+  const filter = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { revoked_at: new Date() });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Money moved from one of the user's accounts to another
+const transferSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  from_account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Source account is required']
+  },
+  to_account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: [true, 'Destination account is required']
+  },
+  // Amount taken out of the source account, in its currency
+  amount: {
+    type: Number,
+    required: [true, 'Transfer amount is required'],
+    min: [0.01, 'Transfer amount must be greater than 0']
+  },
+  // Amount paid into the destination account, in its currency; differs from amount
+  // only when the two accounts are in different currencies
+  to_amount: {
+    type: Number,
+    required: [true, 'Received amount is required'],
+    min: [0.01, 'Received amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Transfer date is required'],
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+transferSchema.index({ user_id: 1, from_account_id: 1, date: -1 });
+transferSchema.index({ user_id: 1, to_account_id: 1, date: -1 });
+
+transferSchema.pre('validate', function(next) {
+  if (this.from_account_id && this.to_account_id && this.from_account_id.equals(this.to_account_id)) {
+    this.invalidate('to_account_id', 'Source and destination accounts must be different');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { isValidTimeZone } = require('../utils/dateTime');
+
+// Hash a one-time token for storage and lookup
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -33,6 +41,40 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  preferences: {
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'INR',
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+    },
+    timezone: {
+      type: String,
+      trim: true,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Timezone must be a valid IANA time zone, e.g. Asia/Kolkata'
+      }
+    },
+    locale: {
+      type: String,
+      trim: true,
+      default: 'en-IN',
+      maxlength: [35, 'Locale cannot exceed 35 characters']
+    },
+    week_start: {
+      type: String,
+      enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+      default: 'monday'
+    }
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -40,6 +82,89 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when an administrator deactivated the account; only an administrator can undo that
+  deactivatedByAdmin: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the user deleted their account with a grace period; data is purged after this date
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  // Secret generated at enrollment, promoted to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  // Hashes of unused one-time backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    default: []
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Audit trail of temporary lockouts after repeated failed logins
+  lockoutEvents: [{
+    locked_at: { type: Date, required: true },
+    locked_until: { type: Date, required: true },
+    failed_attempts: { type: Number },
+    lockout_number: { type: Number },
+    ip: { type: String },
+    _id: false
+  }],
+  // Set by an admin; login is refused until the password has been reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -49,6 +174,8 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
+  if (!this.isNew) this.passwordChangedAt = new Date();
+
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -63,11 +190,91 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to create a one-time password reset token (only its hash is stored)
+userSchema.methods.createPasswordResetToken = function(ttlMinutes = 60) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to create an email verification token (only its hash is stored)
+userSchema.methods.createEmailVerificationToken = function(ttlHours = 24) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationTokenHash = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Method to create a new set of one-time backup codes (only their hashes are stored)
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  this.twoFactorBackupCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Method to check a second-factor code (TOTP or backup code).
+// Consumes backup codes and remembers the TOTP step; caller must save the user.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) return false;
+
+  const step = totp.verify(this.twoFactorSecret, code);
+  if (step !== null) {
+    if (this.twoFactorLastUsedStep !== null && step <= this.twoFactorLastUsedStep) {
+      return false;
+    }
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = this.twoFactorBackupCodes.indexOf(codeHash);
+  if (index !== -1) {
+    this.twoFactorBackupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 // Method to get user info without password
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationTokenHash;
+  delete userObject.emailVerificationExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorBackupCodes;
+  delete userObject.twoFactorLastUsedStep;
   return userObject;
 };
 
+// Find the user owning a valid (unexpired) password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Find the user owning a valid (unexpired) email verification token
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(verificationToken),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
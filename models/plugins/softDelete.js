@@ -0,0 +1,55 @@
+// Soft deletion: trashed documents keep a `deleted_at` date and are hidden from every
+// find, count, update and aggregation on the model. A query sees trashed documents when
+// its filter names `deleted_at` itself (e.g. the trash listing) or when it is run with
+// the `withDeleted` option. Aggregations see them when their first $match names `deleted_at`.
+// deleteOne/deleteMany still remove documents for good, trashed or not.
+
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne'
+];
+
+// Stages that must stay first in a pipeline
+const LEADING_STAGES = ['$match', '$geoNear', '$search', '$searchMeta'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deleted_at: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ user_id: 1, deleted_at: -1 }, { partialFilterExpression: { deleted_at: { $type: 'date' } } });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted_at')) {
+      return;
+    }
+    this.where({ deleted_at: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const [first] = pipeline;
+    if (first?.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deleted_at')) return;
+
+    const index = first && LEADING_STAGES.some(stage => first[stage]) ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deleted_at: null } });
+  });
+
+  // Filter for a user's trashed documents
+  schema.statics.trashFilter = function(userId) {
+    return { user_id: userId, deleted_at: { $ne: null } };
+  };
+};
+
+module.exports = softDelete;
@@ -0,0 +1,379 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const Payment = require('../models/Payment');
+const { getUserTimeZone, buildDateRange } = require('../utils/dateTime');
+const { getBaseCurrency, normalizeCurrency } = require('../utils/currency');
+const { validateAccountBody, readTransfer } = require('../utils/accountInput');
+const { computeBalances, listTransactions } = require('../utils/accountBalances');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// API keys need the accounts:read / accounts:write scopes
+router.use(auth.scope('accounts'));
+
+const TRANSACTIONS_MAX_LIMIT = 500;
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Whether anything refers to the account (trashed expenses included, since they can be restored)
+const isAccountInUse = async (userId, accountId) => {
+  const [expense, recurring, payment, transfer] = await Promise.all([
+    Expense.exists({ user_id: userId, account_id: accountId }).setOptions({ withDeleted: true }),
+    RecurringExpense.exists({ user_id: userId, account_id: accountId }),
+    Payment.exists({ user_id: userId, account_id: accountId }),
+    Transfer.exists({ user_id: userId, $or: [{ from_account_id: accountId }, { to_account_id: accountId }] })
+  ]);
+  return Boolean(expense || recurring || payment || transfer);
+};
+
+// @route   POST /api/accounts
+// @desc    Create an account (bank, wallet or cash) with an opening balance
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, type, currency, opening_balance, note } = req.body;
+
+    const validationError = await validateAccountBody(req.user._id, { ...req.body, name: name ?? '', type: type ?? '' });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const account = new Account({
+      user_id: req.user._id,
+      name,
+      type,
+      currency: currency ? normalizeCurrency(currency) : getBaseCurrency(req.user),
+      opening_balance: opening_balance !== undefined ? Number(opening_balance) : 0,
+      note
+    });
+
+    await account.save();
+    await recordAudit(req, { entityType: 'account', entityId: account._id, action: 'create', after: account });
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      account: { ...account.toJSON(), balance: account.opening_balance }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Account creation error:', error);
+    res.status(500).json({ message: 'Server error while creating account' });
+  }
+});
+
+// @route   GET /api/accounts
+// @desc    Get accounts with their current balances and the total per currency
+//          (archived accounts only with include_archived=true)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { user_id: req.user._id };
+    if (req.query.include_archived !== 'true') filter.is_active = true;
+
+    const accounts = await Account.find(filter).sort({ type: 1, name: 1 });
+    const balances = await computeBalances(req.user._id, accounts);
+
+    const totals = {};
+    const result = accounts.map(account => {
+      const totalsForAccount = balances.get(account._id.toString());
+      totals[account.currency] = Math.round(((totals[account.currency] || 0) + totalsForAccount.balance) * 100) / 100;
+      return { ...account.toJSON(), ...totalsForAccount };
+    });
+
+    res.json({ accounts: result, totals });
+  } catch (error) {
+    console.error('Account fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching accounts' });
+  }
+});
+
+// @route   GET /api/accounts/transfers
+// @desc    Get transfers, newest first (filters: account_id, start_date, end_date)
+// @access  Private
+router.get('/transfers', auth, async (req, res) => {
+  try {
+    const { account_id, start_date, end_date, page = 1, limit = 20 } = req.query;
+    const filter = { user_id: req.user._id };
+
+    if (account_id) {
+      if (!isValidObjectId(account_id)) {
+        return res.status(400).json({ message: 'Invalid account ID format' });
+      }
+      filter.$or = [{ from_account_id: account_id }, { to_account_id: account_id }];
+    }
+
+    const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(req.user));
+    if (dateRange) filter.date = dateRange;
+
+    const transfers = await Transfer.find(filter)
+      .populate('from_account_id', 'name type currency')
+      .populate('to_account_id', 'name type currency')
+      .sort({ date: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Transfer.countDocuments(filter);
+
+    res.json({
+      transfers,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Transfer fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching transfers' });
+  }
+});
+
+// @route   POST /api/accounts/transfers
+// @desc    Move money between two accounts, body { from_account_id, to_account_id, amount, to_amount, date, note }.
+//          to_amount is required when the accounts are in different currencies.
+// @access  Private
+router.post('/transfers', auth, async (req, res) => {
+  try {
+    const { values, error } = await readTransfer(req.user._id, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const transfer = new Transfer({ user_id: req.user._id, date: new Date(), ...values });
+    await transfer.save();
+    await recordAudit(req, { entityType: 'transfer', entityId: transfer._id, action: 'create', after: transfer });
+
+    res.status(201).json({
+      message: 'Transfer recorded successfully',
+      transfer
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Transfer creation error:', error);
+    res.status(500).json({ message: 'Server error while recording transfer' });
+  }
+});
+
+// @route   PUT /api/accounts/transfers/:id
+// @desc    Update a transfer
+// @access  Private
+router.put('/transfers/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID format' });
+    }
+
+    const transfer = await Transfer.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    const { values, error } = await readTransfer(req.user._id, req.body, transfer);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const before = snapshot(transfer);
+    transfer.set(values);
+    await transfer.save();
+    await recordAudit(req, { entityType: 'transfer', entityId: transfer._id, action: 'update', before, after: transfer });
+
+    res.json({
+      message: 'Transfer updated successfully',
+      transfer
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Transfer update error:', error);
+    res.status(500).json({ message: 'Server error while updating transfer' });
+  }
+});
+
+// @route   DELETE /api/accounts/transfers/:id
+// @desc    Delete a transfer
+// @access  Private
+router.delete('/transfers/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid transfer ID format' });
+    }
+
+    const transfer = await Transfer.findOneAndDelete({ _id: req.params.id, user_id: req.user._id });
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    await recordAudit(req, { entityType: 'transfer', entityId: transfer._id, action: 'delete', before: transfer });
+
+    res.json({ message: 'Transfer deleted successfully' });
+  } catch (error) {
+    console.error('Transfer deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting transfer' });
+  }
+});
+
+// @route   GET /api/accounts/:id
+// @desc    Get an account with its balance, optionally as of the end of a date (?as_of=YYYY-MM-DD)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid account ID format' });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const until = buildDateRange(null, req.query.as_of, getUserTimeZone(req.user))?.$lte || null;
+    const balances = await computeBalances(req.user._id, [account], until);
+
+    res.json({
+      account: { ...account.toJSON(), ...balances.get(account._id.toString()) },
+      as_of: until
+    });
+  } catch (error) {
+    console.error('Account fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching account' });
+  }
+});
+
+// @route   GET /api/accounts/:id/transactions
+// @desc    Get an account's expenses, payments and transfers, newest first, each with the balance
+//          after it (filters: start_date, end_date; limit up to 500, default 100)
+// @access  Private
+router.get('/:id/transactions', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid account ID format' });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { start_date, end_date } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, TRANSACTIONS_MAX_LIMIT);
+    const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(req.user));
+
+    // Work back from the balance at the end of the range
+    const balances = await computeBalances(req.user._id, [account], dateRange?.$lte || null);
+    const closingBalance = balances.get(account._id.toString()).balance;
+
+    let running = closingBalance;
+    const transactions = (await listTransactions(req.user._id, account, dateRange, limit)).map(transaction => {
+      const balanceAfter = Math.round(running * 100) / 100;
+      running -= transaction.amount;
+      return { ...transaction, balance_after: balanceAfter };
+    });
+
+    res.json({
+      account,
+      closing_balance: closingBalance,
+      transactions,
+      has_more: transactions.length === limit
+    });
+  } catch (error) {
+    console.error('Account transactions fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching account transactions' });
+  }
+});
+
+// @route   PUT /api/accounts/:id
+// @desc    Update an account (is_active: false archives it). The currency can only change
+//          while the account has no transactions.
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid account ID format' });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    const { name, type, currency, opening_balance, is_active, note } = req.body;
+
+    const validationError = await validateAccountBody(req.user._id, req.body, account._id);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    if (currency && normalizeCurrency(currency) !== account.currency && await isAccountInUse(req.user._id, account._id)) {
+      return res.status(409).json({ message: 'The currency of an account with transactions cannot be changed', field: 'currency' });
+    }
+
+    const before = snapshot(account);
+    if (name !== undefined) account.name = name;
+    if (type !== undefined) account.type = type;
+    if (currency) account.currency = normalizeCurrency(currency);
+    if (opening_balance !== undefined) account.opening_balance = Number(opening_balance);
+    if (is_active !== undefined) account.is_active = is_active;
+    if (note !== undefined) account.note = note;
+
+    await account.save();
+    await recordAudit(req, { entityType: 'account', entityId: account._id, action: 'update', before, after: account });
+
+    const balances = await computeBalances(req.user._id, [account]);
+
+    res.json({
+      message: 'Account updated successfully',
+      account: { ...account.toJSON(), ...balances.get(account._id.toString()) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Account update error:', error);
+    res.status(500).json({ message: 'Server error while updating account' });
+  }
+});
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account without transactions; accounts with history can be archived instead
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid account ID format' });
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!account) {
+      return res.status(404).json({ message: 'Account not found' });
+    }
+
+    if (await isAccountInUse(req.user._id, account._id)) {
+      return res.status(409).json({
+        message: 'Account has transactions and cannot be deleted. Archive it with is_active: false instead.'
+      });
+    }
+
+    await Account.deleteOne({ _id: account._id });
+    await recordAudit(req, { entityType: 'account', entityId: account._id, action: 'delete', before: account });
+
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting account' });
+  }
+});
+
+module.exports = router;
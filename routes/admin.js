@@ -0,0 +1,420 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { sendPasswordResetEmail } = require('../utils/accountEmails');
+const { getBaseCurrency } = require('../utils/currency');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+// Every admin route needs a logged-in admin (API keys are never accepted here)
+router.use(auth, requireRole('admin'));
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Fields the user list can be sorted by
+const USER_SORT_FIELDS = ['createdAt', 'lastLogin', 'username', 'email'];
+
+// Expense count and last expense date per user
+const getExpenseStats = async (userIds) => {
+  const stats = await Expense.aggregate([
+    { $match: { user_id: { $in: userIds } } },
+    {
+      $group: {
+        _id: '$user_id',
+        expense_count: { $sum: 1 },
+        last_expense_at: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  return new Map(stats.map(item => [item._id.toString(), item]));
+};
+
+// Revoke everything that lets a user in: sessions and API keys
+const revokeAccess = async (userId) => {
+  await Promise.all([
+    Session.revokeAllForUser(userId),
+    ApiKey.updateMany({ user_id: userId, revoked_at: null }, { revoked_at: new Date() })
+  ]);
+};
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      q,
+      role,
+      is_active,
+      sort_by = 'createdAt',
+      sort_order = 'desc'
+    } = req.query;
+
+    if (!USER_SORT_FIELDS.includes(sort_by)) {
+      return res.status(400).json({
+        message: `sort_by must be one of: ${USER_SORT_FIELDS.join(', ')}`,
+        field: 'sort_by'
+      });
+    }
+
+    const filter = {};
+
+    // Search by username, email or name
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern }
+      ];
+    }
+
+    if (role) filter.role = role;
+    if (is_active !== undefined) filter.isActive = is_active === 'true';
+
+    const sort = {};
+    sort[sort_by] = sort_order === 'desc' ? -1 : 1;
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(filter);
+    const expenseStats = await getExpenseStats(users.map(user => user._id));
+
+    res.json({
+      users: users.map(user => ({
+        ...user.toJSON(),
+        expense_count: expenseStats.get(user._id.toString())?.expense_count || 0,
+        last_expense_at: expenseStats.get(user._id.toString())?.last_expense_at || null
+      })),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Admin user list error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get user by ID with usage details
+// @access  Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [expenseStats, activeSessions, activeApiKeys] = await Promise.all([
+      getExpenseStats([user._id]),
+      Session.countDocuments({ user_id: user._id, revoked_at: null, expires_at: { $gt: new Date() } }),
+      ApiKey.countDocuments({ user_id: user._id, revoked_at: null })
+    ]);
+
+    res.json({
+      user,
+      usage: {
+        expense_count: expenseStats.get(user._id.toString())?.expense_count || 0,
+        last_expense_at: expenseStats.get(user._id.toString())?.last_expense_at || null,
+        last_login: user.lastLogin,
+        active_sessions: activeSessions,
+        active_api_keys: activeApiKeys
+      }
+    });
+  } catch (error) {
+    console.error('Admin user fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/deactivate
+// @desc    Deactivate a user and end all their sessions
+// @access  Admin
+router.put('/users/:id/deactivate', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, deactivatedAt: new Date(), deactivatedByAdmin: true },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeAccess(user._id);
+
+    res.json({
+      message: 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin deactivate error:', error);
+    res.status(500).json({ message: 'Server error while deactivating user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reactivate
+// @desc    Reactivate a user (also cancels a pending account deletion)
+// @access  Admin
+router.put('/users/:id/reactivate', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive: true, deactivatedAt: null, deactivatedByAdmin: false, deletionScheduledAt: null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'User reactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin reactivate error:', error);
+    res.status(500).json({ message: 'Server error while reactivating user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Admin
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    if (!User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({
+        message: `Invalid role. Must be one of: ${User.schema.path('role').enumValues.join(', ')}`,
+        field: 'role',
+        value: role
+      });
+    }
+
+    if (req.user._id.equals(req.params.id) && role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin role update error:', error);
+    res.status(500).json({ message: 'Server error while updating user role' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Log the user out everywhere, revoke their API keys and require a password reset before the next login
+// @access  Admin
+router.post('/users/:id/force-password-reset', async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await revokeAccess(user._id);
+
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, {
+        reason: 'An administrator has required you to choose a new password before your next login.'
+      });
+    } catch (mailError) {
+      console.error('Forced password reset email error:', mailError);
+      emailSent = false;
+    }
+
+    res.json({
+      message: emailSent
+        ? 'Password reset required. A reset link has been emailed to the user.'
+        : 'Password reset required, but the reset email could not be sent. The user can use forgot-password.',
+      email_sent: emailSent
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({ message: 'Server error while forcing password reset' });
+  }
+});
+
+// @route   GET /api/admin/stats
+// @desc    Get aggregate usage statistics
+// @access  Admin
+router.get('/stats', async (req, res) => {
+  try {
+    const now = Date.now();
+    const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000);
+
+    const [userStats, loginStats, expenseTotals, amountsByCurrency, topUsers] = await Promise.all([
+      User.aggregate([
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            active: { $sum: { $cond: ['$isActive', 1, 0] } },
+            email_verified: { $sum: { $cond: ['$emailVerified', 1, 0] } },
+            two_factor_enabled: { $sum: { $cond: ['$twoFactorEnabled', 1, 0] } },
+            admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
+            pending_deletion: { $sum: { $cond: [{ $gt: ['$deletionScheduledAt', null] }, 1, 0] } }
+          }
+        }
+      ]),
+      Promise.all([1, 7, 30].map(days => User.countDocuments({ lastLogin: { $gte: daysAgo(days) } }))),
+      Expense.aggregate([
+        {
+          $group: {
+            _id: null,
+            count: { $sum: 1 },
+            created_last_30_days: { $sum: { $cond: [{ $gte: ['$createdAt', daysAgo(30)] }, 1, 0] } }
+          }
+        }
+      ]),
+      // Users keep different base currencies, so amounts are only added up per currency.
+      // Expenses without a currency are in their owner's base currency.
+      Expense.aggregate([
+        {
+          $group: {
+            _id: {
+              currency: { $ifNull: ['$currency', null] },
+              user_id: { $cond: [{ $eq: [{ $ifNull: ['$currency', null] }, null] }, '$user_id', null] }
+            },
+            amount: { $sum: '$amount' }
+          }
+        },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id.user_id',
+            foreignField: '_id',
+            as: 'owner'
+          }
+        },
+        {
+          $group: {
+            _id: { $ifNull: ['$_id.currency', { $ifNull: [{ $first: '$owner.preferences.currency' }, getBaseCurrency(null)] }] },
+            amount: { $sum: '$amount' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      Expense.aggregate([
+        { $group: { _id: '$user_id', expense_count: { $sum: 1 } } },
+        { $sort: { expense_count: -1 } },
+        { $limit: 10 },
+        {
+          $lookup: {
+            from: 'users',
+            localField: '_id',
+            foreignField: '_id',
+            as: 'user'
+          }
+        },
+        { $unwind: '$user' },
+        {
+          $project: {
+            _id: 0,
+            user_id: '$_id',
+            username: '$user.username',
+            email: '$user.email',
+            last_login: '$user.lastLogin',
+            expense_count: 1
+          }
+        }
+      ])
+    ]);
+
+    const users = userStats[0] || {};
+
+    res.json({
+      stats: {
+        users: {
+          total: users.total || 0,
+          active: users.active || 0,
+          inactive: (users.total || 0) - (users.active || 0),
+          email_verified: users.email_verified || 0,
+          two_factor_enabled: users.two_factor_enabled || 0,
+          admins: users.admins || 0,
+          pending_deletion: users.pending_deletion || 0
+        },
+        logins: {
+          last_24_hours: loginStats[0],
+          last_7_days: loginStats[1],
+          last_30_days: loginStats[2]
+        },
+        expenses: {
+          total_count: expenseTotals[0]?.count || 0,
+          total_amount_by_currency: Object.fromEntries(
+            amountsByCurrency.map(item => [item._id, Math.round(item.amount * 100) / 100])
+          ),
+          created_last_30_days: expenseTotals[0]?.created_last_30_days || 0
+        },
+        top_users_by_expenses: topUsers
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ message: 'Server error while fetching stats' });
+  }
+});
+
+module.exports = router;
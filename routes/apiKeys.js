@@ -0,0 +1,77 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const { apiKeyValidation, validate } = require('../middleware/validation');
+
+// No auth.scope() here: API keys can't be used to manage API keys
+const router = express.Router();
+
+// @route   POST /api/api-keys
+// @desc    Create a new API key (the raw key is only returned once)
+// @access  Private
+router.post('/', auth, apiKeyValidation, validate, async (req, res) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+
+    const key = ApiKey.generateKey();
+
+    const apiKey = new ApiKey({
+      user_id: req.user._id,
+      name,
+      key_hash: ApiKey.hashKey(key),
+      key_preview: key.slice(0, 10),
+      scopes: [...new Set(scopes)],
+      expires_at: expires_at || null
+    });
+
+    await apiKey.save();
+
+    res.status(201).json({
+      message: 'API key created successfully. Copy it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(500).json({ message: 'Server error while creating API key' });
+  }
+});
+
+// @route   GET /api/api-keys
+// @desc    Get all API keys for user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user_id: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys, available_scopes: ApiKey.SCOPES });
+  } catch (error) {
+    console.error('API key fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching API keys' });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user._id, revoked_at: null },
+      { revoked_at: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    res.status(500).json({ message: 'Server error while revoking API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Expense = require('../models/Expense');
+const Payment = require('../models/Payment');
+const CreditCard = require('../models/CreditCard');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const Category = require('../models/Category');
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+const { getUserTimeZone, buildDateRange } = require('../utils/dateTime');
+const { validateExpenseUpdate, validateAccount } = require('../utils/expenseInput');
+const { validateAccountBody, readTransfer } = require('../utils/accountInput');
+const { getBaseCurrency } = require('../utils/currency');
+const { escapeRegex } = require('../utils/search');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// API keys need the audit:read / audit:write scopes
+router.use(auth.scope('audit'));
+
+// Models behind each audited record type, and the fields a revert puts back.
+// Fields the server manages (attachments, repaid amounts, trash state) are left as they are.
+const REVERTIBLE = {
+  expense: {
+    model: Expense,
+    fields: ['amount', 'currency', 'category_id', 'merchant_id', 'line_items', 'payment_mode', 'credit_card_id', 'borrowed_id', 'account_id', 'date', 'note', 'tags']
+  },
+  payment: {
+    model: Payment,
+    fields: ['amount', 'payment_date', 'note', 'payment_method', 'account_id']
+  },
+  credit_card: {
+    model: CreditCard,
+    fields: ['bank_name', 'card_number', 'limit_amount', 'due_date', 'is_active']
+  },
+  borrowed_money: {
+    model: BorrowedMoney,
+    fields: ['name', 'phone', 'amount', 'type', 'note']
+  },
+  category: {
+    model: Category,
+    fields: ['name', 'color', 'icon']
+  },
+  account: {
+    model: Account,
+    fields: ['name', 'type', 'opening_balance', 'is_active', 'note']
+  },
+  transfer: {
+    model: Transfer,
+    fields: ['from_account_id', 'to_account_id', 'amount', 'to_amount', 'date', 'note']
+  }
+};
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Check a version can be applied to the record with the same rules as the routes that edit it.
+// Returns an error response body or null.
+const validateRevert = async (user, entityType, record, changes) => {
+  if (entityType === 'expense') {
+    return validateExpenseUpdate(user._id, record, changes);
+  }
+
+  if (entityType === 'category' && changes.name !== undefined) {
+    const existingCategory = await Category.findOne({
+      name: { $regex: new RegExp(`^${escapeRegex(changes.name)}$`, 'i') },
+      user_id: user._id,
+      _id: { $ne: record._id }
+    });
+    if (existingCategory) {
+      return { message: 'Category with this name already exists', field: 'name' };
+    }
+  }
+
+  if (entityType === 'account') {
+    return validateAccountBody(user._id, changes, record._id);
+  }
+
+  // Payments are in the base currency, so the account paid from must be too
+  if (entityType === 'payment' && changes.account_id) {
+    return validateAccount(user._id, changes.account_id, getBaseCurrency(user));
+  }
+
+  if (entityType === 'transfer') {
+    const { error } = await readTransfer(user._id, changes, record);
+    return error || null;
+  }
+
+  return null;
+};
+
+// @route   GET /api/audit
+// @desc    Get the audit log, newest first (filters: entity_type, entity_id, action, start_date, end_date)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { entity_type, entity_id, action, start_date, end_date, page = 1, limit = 50 } = req.query;
+    const filter = { user_id: req.user._id };
+
+    if (entity_type) {
+      if (!AuditLog.ENTITY_TYPES.includes(entity_type)) {
+        return res.status(400).json({ message: `entity_type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}` });
+      }
+      filter.entity_type = entity_type;
+    }
+    if (entity_id) {
+      if (!isValidObjectId(entity_id)) {
+        return res.status(400).json({ message: 'Invalid entity ID format' });
+      }
+      filter.entity_id = entity_id;
+    }
+    if (action) {
+      if (!AuditLog.ACTIONS.includes(action)) {
+        return res.status(400).json({ message: `action must be one of: ${AuditLog.ACTIONS.join(', ')}` });
+      }
+      filter.action = action;
+    }
+
+    const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(req.user));
+    if (dateRange) filter.createdAt = dateRange;
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      entries: entries.map(entry => entry.toSummaryJSON()),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching audit log' });
+  }
+});
+
+// @route   GET /api/audit/:entityType/:entityId
+// @desc    Get the history of one record, newest first, with the full version after each change
+// @access  Private
+router.get('/:entityType/:entityId', auth, async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+
+    if (!REVERTIBLE[entityType]) {
+      return res.status(400).json({ message: `Record type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}` });
+    }
+    if (!isValidObjectId(entityId)) {
+      return res.status(400).json({ message: 'Invalid record ID format' });
+    }
+
+    const filter = { user_id: req.user._id, entity_type: entityType, entity_id: entityId };
+
+    const history = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(filter);
+
+    if (total === 0) {
+      return res.status(404).json({ message: 'No history found for this record' });
+    }
+
+    res.json({
+      entity_type: entityType,
+      entity_id: entityId,
+      history,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Audit history fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching record history' });
+  }
+});
+
+// @route   POST /api/audit/:entityType/:entityId/revert
+// @desc    Revert a record to a previous version, body { version_id }: the history entry whose
+//          resulting state to restore. The revert itself is recorded as a new entry.
+// @access  Private
+router.post('/:entityType/:entityId/revert', auth, async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { version_id } = req.body;
+    const config = REVERTIBLE[entityType];
+
+    if (!config) {
+      return res.status(400).json({ message: `Record type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}` });
+    }
+    if (!isValidObjectId(entityId)) {
+      return res.status(400).json({ message: 'Invalid record ID format' });
+    }
+    if (!isValidObjectId(version_id)) {
+      return res.status(400).json({ message: 'A valid version_id is required', field: 'version_id' });
+    }
+
+    const version = await AuditLog.findOne({
+      _id: version_id,
+      user_id: req.user._id,
+      entity_type: entityType,
+      entity_id: entityId
+    });
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found in this record\'s history' });
+    }
+
+    if (!version.after) {
+      return res.status(400).json({ message: 'This entry is a permanent deletion and has no version to revert to' });
+    }
+
+    const record = await config.model.findOne({ _id: entityId, user_id: req.user._id })
+      .setOptions({ withDeleted: true });
+
+    if (!record) {
+      return res.status(404).json({ message: 'Record no longer exists' });
+    }
+
+    if (record.deleted_at) {
+      return res.status(409).json({ message: 'Record is in the trash. Restore it before reverting.' });
+    }
+
+    if (entityType === 'payment' && record.type === 'group_settlement') {
+      return res.status(409).json({ message: 'Group settlement payments cannot be reverted' });
+    }
+
+    const changes = {};
+    for (const field of config.fields) {
+      if (Object.prototype.hasOwnProperty.call(version.after, field)) {
+        changes[field] = version.after[field];
+      }
+    }
+
+    const validationError = await validateRevert(req.user, entityType, record, changes);
+    if (validationError) {
+      return res.status(409).json({
+        ...validationError,
+        message: `Cannot revert to this version: ${validationError.message}`
+      });
+    }
+
+    const before = snapshot(record);
+    record.set(changes);
+
+    if (!record.isModified()) {
+      return res.json({ message: 'Record already matches this version', record });
+    }
+
+    try {
+      await record.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: `Cannot revert to this version: ${error.message}` });
+      }
+      throw error;
+    }
+
+    // A payment's amount feeds into the repaid amount of its borrowed money record
+    if (entityType === 'payment' && record.type === 'borrowed') {
+      await BorrowedMoney.syncRepaidAmount(req.user._id, record.reference_id);
+    }
+
+    const entry = await recordAudit(req, {
+      entityType,
+      entityId: record._id,
+      action: 'revert',
+      before,
+      after: record,
+      revertedTo: version._id
+    });
+
+    res.json({
+      message: 'Record reverted successfully',
+      record,
+      changes: entry ? entry.changes : []
+    });
+  } catch (error) {
+    console.error('Audit revert error:', error);
+    res.status(500).json({ message: 'Server error while reverting record' });
+  }
+});
+
+module.exports = router;
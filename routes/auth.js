@@ -1,14 +1,111 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
-const { registerValidation, loginValidation, validate } = require('../middleware/validation');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+// Account routes stay reachable before the email address is verified
+const auth = require('../middleware/auth').allowUnverified;
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const totp = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
+const { purgeUser } = require('../jobs/accountPurge');
+const { findUnsettledGroups } = require('../utils/groupBalances');
+const {
+  registerValidation,
+  loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  verifyEmailValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  deleteAccountValidation,
+  preferencesValidation,
+  validate
+} = require('../middleware/validation');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '24h' });
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Expense Tracker';
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 0;
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+};
+
+// Generate random opaque refresh token
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Start a new session and issue its access and refresh tokens
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = new Session({
+    user_id: user._id,
+    refresh_token_hash: Session.hashToken(refreshToken),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    user_agent: req.get('User-Agent')?.slice(0, 500),
+    ip: req.ip
+  });
+
+  await session.save();
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Finish a login: record it, start a session and send the tokens
+const completeLogin = async (user, req, res) => {
+  await loginThrottle.recordSuccess({ email: user.email });
+
+  // Update last login
+  user.lastLogin = new Date();
+  user.lockedUntil = null;
+  await user.save();
+
+  // Start session
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      lastLogin: user.lastLogin
+    }
+  });
+};
+
+// Count a failed login attempt and answer with 429 (if it triggered a lockout) or 401
+const rejectLogin = async (req, res, email, message) => {
+  const lock = await loginThrottle.recordFailure({ email, ip: req.ip });
+  if (lock) {
+    return loginThrottle.sendLocked(res, lock);
+  }
+  return res.status(401).json({ message });
+};
+
+// Generate short-lived token proving the password step of a two-step login
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  });
 };
 
 // @route   POST /api/auth/register
@@ -43,18 +140,27 @@ router.post('/register', registerValidation, validate, async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration still succeeds if the mail can't be sent; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start session
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         firstName: user.firstName,
-        lastName: user.lastName
+        lastName: user.lastName,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -69,49 +175,102 @@ router.post('/register', registerValidation, validate, async (req, res) => {
 router.post('/login', loginValidation, validate, async (req, res) => {
   try {
     const { email, password } = req.body;
-    console.log(email, password);
+
+    // Refuse early while the account or client IP is locked out
+    const lock = await loginThrottle.getActiveLock({ email, ip: req.ip });
+    if (lock) {
+      return loginThrottle.sendLocked(res, lock);
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return rejectLogin(req, res, email, 'Invalid credentials');
     }
 
     // Check if account is active
-    if (!user.isActive) {
+    if (!user.isActive && !user.deletionScheduledAt) {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      return rejectLogin(req, res, email, 'Invalid credentials');
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        message: 'A password reset is required. Check your email for a reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Only reveal a pending deletion once the password is proven
+    if (user.deletionScheduledAt) {
+      return res.status(401).json({
+        message: 'Account is scheduled for deletion. Restore it to log in again.',
+        code: 'ACCOUNT_PENDING_DELETION',
+        deletion_scheduled_at: user.deletionScheduledAt
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        lastLogin: user.lastLogin
-      }
-    });
+    // Enrolled users must pass the second factor before getting a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-step login with a TOTP or backup code
+// @access  Public
+router.post('/login/2fa', twoFactorLoginValidation, validate, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    if (decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    // Second-factor guesses count against the same lockout as passwords
+    const lock = await loginThrottle.getActiveLock({ email: user.email, ip: req.ip });
+    if (lock) {
+      return loginThrottle.sendLocked(res, lock);
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return rejectLogin(req, res, user.email, 'Invalid authentication code');
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get user profile
 // @access  Private
@@ -153,11 +312,513 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a verification token
+// @access  Public
+router.post('/verify-email', verifyEmailValidation, validate, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findByEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationTokenHash = null;
+    user.emailVerificationExpires = null;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error while verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   GET /api/auth/preferences
+// @desc    Get user preferences (currency, timezone, locale, week start)
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    res.json({ preferences: req.user.preferences });
+  } catch (error) {
+    console.error('Preferences fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching preferences' });
+  }
+});
+
+// @route   PUT /api/auth/preferences
+// @desc    Update user preferences
+// @access  Private
+router.put('/preferences', auth, preferencesValidation, validate, async (req, res) => {
+  try {
+    const { currency, timezone, locale, week_start } = req.body;
+    const updates = {};
+
+    if (currency !== undefined) updates['preferences.currency'] = currency;
+    if (timezone !== undefined) updates['preferences.timezone'] = timezone;
+    if (locale !== undefined) updates['preferences.locale'] = Intl.getCanonicalLocales(locale)[0];
+    if (week_start !== undefined) updates['preferences.week_start'] = week_start;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updates,
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    res.json({
+      message: 'Preferences updated successfully',
+      preferences: user.preferences
+    });
+  } catch (error) {
+    console.error('Preferences update error:', error);
+    res.status(500).json({ message: 'Server error while updating preferences' });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change password (requires the current password)
+// @access  Private
+router.put('/change-password', auth, changePasswordValidation, validate, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, revokeOtherSessions = true } = req.body;
+
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    let revokedSessions = 0;
+    if (revokeOtherSessions === true || revokeOtherSessions === 'true') {
+      const result = await Session.revokeAllForUser(user._id, req.authSession._id);
+      revokedSessions = result.modifiedCount;
+    }
+
+    res.json({
+      message: 'Password changed successfully',
+      revoked_sessions: revokedSessions
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enroll
+// @desc    Start two-factor enrollment and get the otpauth URI for an authenticator app
+// @access  Private
+router.post('/2fa/enroll', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauth_uri: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: TWO_FACTOR_ISSUER
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor enroll error:', error);
+    res.status(500).json({ message: 'Server error while enrolling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm enrollment with a code from the authenticator app and get backup codes
+// @access  Private
+router.post('/2fa/confirm', auth, twoFactorCodeValidation, validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor enrollment first' });
+    }
+
+    const step = totp.verify(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastUsedStep = step;
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ message: 'Server error while confirming two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace backup codes with a new set
+// @access  Private
+router.post('/2fa/backup-codes', auth, twoFactorCodeValidation, validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    res.json({
+      message: 'Backup codes regenerated',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    console.error('Backup codes error:', error);
+    res.status(500).json({ message: 'Server error while regenerating backup codes' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication (requires password and a current code)
+// @access  Private
+router.post('/2fa/disable', auth, twoFactorCodeValidation, validate, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Delete account and all financial data (after a grace period, if configured)
+// @access  Private
+router.delete('/account', auth, deleteAccountValidation, validate, async (req, res) => {
+  try {
+    const { password, code, immediate } = req.body;
+    const user = await User.findById(req.user._id);
+
+    // Re-authenticate
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (user.twoFactorEnabled && !user.verifyTwoFactorCode(code)) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    // Leaving a group with an open balance would change what the other members owe
+    const unsettledGroups = await findUnsettledGroups(user._id);
+    if (unsettledGroups.length > 0) {
+      return res.status(409).json({
+        message: 'Settle up your shared groups before deleting your account',
+        groups: unsettledGroups.map(group => ({ id: group._id, name: group.name }))
+      });
+    }
+
+    if (ACCOUNT_DELETION_GRACE_DAYS === 0 || immediate === true || immediate === 'true') {
+      const deleted = await purgeUser(user._id);
+
+      return res.json({
+        message: 'Account and all associated data deleted permanently',
+        deleted
+      });
+    }
+
+    // Deactivate now, purge once the grace period is over
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deletionScheduledAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    await Promise.all([
+      Session.revokeAllForUser(user._id),
+      ApiKey.updateMany({ user_id: user._id, revoked_at: null }, { revoked_at: new Date() })
+    ]);
+
+    res.json({
+      message: `Account deactivated. It will be deleted permanently after ${ACCOUNT_DELETION_GRACE_DAYS} day(s) unless restored.`,
+      deletion_scheduled_at: user.deletionScheduledAt
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting account' });
+  }
+});
+
+// @route   POST /api/auth/restore-account
+// @desc    Restore an account that is still within its deletion grace period. Accounts with
+//          two-factor authentication also need a TOTP or backup code.
+// @access  Public
+router.post('/restore-account', loginValidation, validate, async (req, res) => {
+  try {
+    const { email, password, code } = req.body;
+
+    const lock = await loginThrottle.getActiveLock({ email, ip: req.ip });
+    if (lock) {
+      return loginThrottle.sendLocked(res, lock);
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || !(await user.comparePassword(password))) {
+      return rejectLogin(req, res, email, 'Invalid credentials');
+    }
+
+    if (!user.deletionScheduledAt || user.deletionScheduledAt <= new Date()) {
+      return res.status(400).json({ message: 'Account is not pending deletion' });
+    }
+
+    // The same second factor as login
+    if (user.twoFactorEnabled) {
+      if (!code) {
+        return res.status(401).json({
+          message: 'Two-factor authentication code required',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+      if (!user.verifyTwoFactorCode(code)) {
+        return rejectLogin(req, res, user.email, 'Invalid authentication code');
+      }
+    }
+
+    // Cancelling the deletion only undoes the deactivation it caused, not one by an administrator
+    user.deletionScheduledAt = null;
+    if (!user.deactivatedByAdmin) {
+      user.isActive = true;
+      user.deactivatedAt = null;
+    }
+    await user.save();
+
+    res.json({
+      message: user.isActive
+        ? 'Account restored successfully. You can log in again.'
+        : 'Account deletion cancelled, but the account remains deactivated by an administrator.'
+    });
+  } catch (error) {
+    console.error('Account restore error:', error);
+    res.status(500).json({ message: 'Server error while restoring account' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a one-time password reset link
+// @access  Public
+router.post('/forgot-password', forgotPasswordValidation, validate, async (req, res) => {
+  // Same response whether or not the email is registered, to avoid account enumeration
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    await sendPasswordResetEmail(user);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a one-time reset token
+// @access  Public
+router.post('/reset-password', resetPasswordValidation, validate, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Consume the token and set the new password
+    user.password = password;
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Invalidate every existing session for this user
+    await Session.revokeAllForUser(user._id);
+
+    res.json({ message: 'Password reset successful. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ refresh_token_hash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being presented again means it was stolen; kill the session
+      const reusedSession = await Session.findOne({ previous_token_hash: tokenHash });
+      if (reusedSession && !reusedSession.revoked_at) {
+        reusedSession.revoked_at = new Date();
+        await reusedSession.save();
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (session.revoked_at) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    if (session.expires_at <= new Date()) {
+      return res.status(401).json({ message: 'Refresh token expired' });
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user || !user.isActive) {
+      session.revoked_at = new Date();
+      await session.save();
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Rotate refresh token
+    const newRefreshToken = generateRefreshToken();
+    session.previous_token_hash = tokenHash;
+    session.refresh_token_hash = Session.hashToken(newRefreshToken);
+    session.last_used_at = new Date();
+    await session.save();
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error while refreshing token' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ message: 'Logout successful' });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    req.authSession.revoked_at = new Date();
+    await req.authSession.save();
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from every device (revokes all sessions)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id);
+
+    res.json({
+      message: 'Logged out from all devices',
+      revoked_sessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
 });
 
 module.exports = router;
@@ -2,9 +2,17 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const BorrowedMoney = require('../models/BorrowedMoney');
 const Payment = require('../models/Payment');
+const { getUserTimeZone, buildDateRange } = require('../utils/dateTime');
+const { TRASH_RETENTION_DAYS } = require('../jobs/trashPurge');
+const { validateAccount } = require('../utils/expenseInput');
+const { getBaseCurrency } = require('../utils/currency');
+const { snapshot, recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
+// API keys need the borrowed-money:read / borrowed-money:write scopes
+router.use(auth.scope('borrowed-money'));
+
 // @route   POST /api/borrowed-money
 // @desc    Create a new borrowed/lent money record
 // @access  Private
@@ -22,6 +30,7 @@ router.post('/', auth, async (req, res) => {
     });
 
     await borrowedMoney.save();
+    await recordAudit(req, { entityType: 'borrowed_money', entityId: borrowedMoney._id, action: 'create', after: borrowedMoney });
 
     res.status(201).json({
       message: `${type === 'borrowed' ? 'Borrowed' : 'Lent'} money recorded successfully`,
@@ -60,6 +69,21 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/borrowed-money/trash
+// @desc    Get deleted borrowed/lent money records, most recently deleted first
+// @access  Private
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const borrowedMoney = await BorrowedMoney.find(BorrowedMoney.trashFilter(req.user._id))
+      .sort({ deleted_at: -1 });
+
+    res.json({ borrowedMoney, retention_days: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Borrowed money trash fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching deleted records' });
+  }
+});
+
 // @route   GET /api/borrowed-money/:id
 // @desc    Get borrowed/lent money record by ID with payment history
 // @access  Private
@@ -106,6 +130,11 @@ router.put('/:id', auth, async (req, res) => {
   try {
     const { name, phone, amount, type, note } = req.body;
 
+    const existing = await BorrowedMoney.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Record not found' });
+    }
+
     const borrowedMoney = await BorrowedMoney.findOneAndUpdate(
       { _id: req.params.id, user_id: req.user._id },
       { name, phone, amount, type, note },
@@ -116,6 +145,8 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Record not found' });
     }
 
+    await recordAudit(req, { entityType: 'borrowed_money', entityId: borrowedMoney._id, action: 'update', before: existing, after: borrowedMoney });
+
     res.json({
       message: 'Record updated successfully',
       borrowedMoney
@@ -131,7 +162,7 @@ router.put('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/:id/repay', auth, async (req, res) => {
   try {
-    const { amount, payment_date, note, payment_method } = req.body;
+    const { amount, payment_date, note, payment_method, account_id } = req.body;
 
     // Validate required fields
     if (!amount || amount <= 0) {
@@ -142,6 +173,14 @@ router.post('/:id/repay', auth, async (req, res) => {
       return res.status(400).json({ message: 'Payment date is required' });
     }
 
+    // The account the repayment is paid from (or, for money lent, received into)
+    if (account_id) {
+      const accountError = await validateAccount(req.user._id, account_id, getBaseCurrency(req.user));
+      if (accountError) {
+        return res.status(400).json(accountError);
+      }
+    }
+
     // Find the borrowed money record
     const borrowedMoney = await BorrowedMoney.findOne({
       _id: req.params.id,
@@ -169,7 +208,8 @@ router.post('/:id/repay', auth, async (req, res) => {
       amount: amount,
       payment_date: new Date(payment_date),
       note: note || `Repayment for ${borrowedMoney.name}`,
-      payment_method: payment_method || 'cash'
+      payment_method: payment_method || 'cash',
+      account_id: account_id || null
     });
 
     await payment.save();
@@ -185,6 +225,15 @@ router.post('/:id/repay', auth, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await recordAudit(req, { entityType: 'payment', entityId: payment._id, action: 'create', after: payment });
+    await recordAudit(req, {
+      entityType: 'borrowed_money',
+      entityId: borrowedMoney._id,
+      action: 'update',
+      before: borrowedMoney,
+      after: updatedBorrowedMoney
+    });
+
     // Populate payment details for response
     await payment.populate('reference_id', 'name amount type');
 
@@ -256,11 +305,8 @@ router.get('/repayments/all', auth, async (req, res) => {
     };
 
     // Date range filter
-    if (start_date || end_date) {
-      filter.payment_date = {};
-      if (start_date) filter.payment_date.$gte = new Date(start_date);
-      if (end_date) filter.payment_date.$lte = new Date(end_date);
-    }
+    const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(req.user));
+    if (dateRange) filter.payment_date = dateRange;
 
     // Get all payments with borrowed money details
     const payments = await Payment.find(filter)
@@ -383,7 +429,7 @@ router.get('/overdue', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/borrowed-money/:id
-// @desc    Delete borrowed/lent money record
+// @desc    Move borrowed/lent money record to the trash
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -409,15 +455,53 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await BorrowedMoney.findByIdAndDelete(req.params.id);
+    const before = snapshot(borrowedMoney);
+    borrowedMoney.deleted_at = new Date();
+    await borrowedMoney.save();
+    await recordAudit(req, { entityType: 'borrowed_money', entityId: borrowedMoney._id, action: 'delete', before, after: borrowedMoney });
 
-    res.json({ message: 'Record deleted successfully' });
+    res.json({
+      message: `Record moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} day(s).`,
+      deleted_at: borrowedMoney.deleted_at
+    });
   } catch (error) {
     console.error('Borrowed money deletion error:', error);
     res.status(500).json({ message: 'Server error while deleting record' });
   }
 });
 
+// @route   POST /api/borrowed-money/:id/restore
+// @desc    Restore a borrowed/lent money record from the trash
+// @access  Private
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const trashed = await BorrowedMoney.findOne({ _id: req.params.id, ...BorrowedMoney.trashFilter(req.user._id) });
+    if (!trashed) {
+      return res.status(404).json({ message: 'Record not found in trash' });
+    }
+
+    const borrowedMoney = await BorrowedMoney.findOneAndUpdate(
+      { _id: req.params.id, ...BorrowedMoney.trashFilter(req.user._id) },
+      { deleted_at: null },
+      { new: true }
+    );
+
+    if (!borrowedMoney) {
+      return res.status(404).json({ message: 'Record not found in trash' });
+    }
+
+    await recordAudit(req, { entityType: 'borrowed_money', entityId: borrowedMoney._id, action: 'restore', before: trashed, after: borrowedMoney });
+
+    res.json({
+      message: 'Record restored successfully',
+      borrowedMoney
+    });
+  } catch (error) {
+    console.error('Borrowed money restore error:', error);
+    res.status(500).json({ message: 'Server error while restoring record' });
+  }
+});
+
 // @route   GET /api/borrowed-money/summary/totals
 // @desc    Get summary totals for borrowed/lent money
 // @access  Private
@@ -1,9 +1,13 @@
 const express = require('express');
 const auth = require('../middleware/auth');
 const Category = require('../models/Category');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
+// API keys need the categories:read / categories:write scopes
+router.use(auth.scope('categories'));
+
 // @route   POST /api/categories
 // @desc    Create a new category
 // @access  Private
@@ -29,6 +33,7 @@ router.post('/', auth, async (req, res) => {
     });
 
     await category.save();
+    await recordAudit(req, { entityType: 'category', entityId: category._id, action: 'create', after: category });
 
     res.status(201).json({
       message: 'Category created successfully',
@@ -96,6 +101,11 @@ router.put('/:id', auth, async (req, res) => {
       }
     }
 
+    const existing = await Category.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
     const category = await Category.findOneAndUpdate(
       { _id: req.params.id, user_id: req.user._id },
       { name, color, icon },
@@ -106,6 +116,8 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Category not found' });
     }
 
+    await recordAudit(req, { entityType: 'category', entityId: category._id, action: 'update', before: existing, after: category });
+
     res.json({
       message: 'Category updated successfully',
       category
@@ -135,6 +147,7 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await Category.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entityType: 'category', entityId: category._id, action: 'delete', before: category });
 
     res.json({ message: 'Category deleted successfully' });
   } catch (error) {
@@ -173,7 +186,10 @@ router.post('/setup-defaults', auth, async (req, res) => {
       is_default: true
     }));
 
-    await Category.insertMany(categories);
+    const created = await Category.insertMany(categories);
+    for (const category of created) {
+      await recordAudit(req, { entityType: 'category', entityId: category._id, action: 'create', after: category });
+    }
 
     res.json({
       message: 'Default categories created successfully',
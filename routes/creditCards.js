@@ -3,9 +3,16 @@ const auth = require('../middleware/auth');
 const CreditCard = require('../models/CreditCard');
 const Expense = require('../models/Expense');
 const Payment = require('../models/Payment');
+const { getUserTimeZone, startOfMonth, startOfNextMonth, buildDateRange } = require('../utils/dateTime');
+const { getBaseCurrency, convertToBaseStages } = require('../utils/currency');
+const { TRASH_RETENTION_DAYS } = require('../jobs/trashPurge');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
+// API keys need the credit-cards:read / credit-cards:write scopes
+router.use(auth.scope('credit-cards'));
+
 // @route   POST /api/credit-cards
 // @desc    Create a new credit card
 // @access  Private
@@ -22,6 +29,7 @@ router.post('/', auth, async (req, res) => {
     });
 
     await creditCard.save();
+    await recordAudit(req, { entityType: 'credit_card', entityId: creditCard._id, action: 'create', after: creditCard });
 
     res.status(201).json({
       message: 'Credit card added successfully',
@@ -48,6 +56,21 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/credit-cards/trash
+// @desc    Get deleted credit cards, most recently deleted first
+// @access  Private
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const creditCards = await CreditCard.find(CreditCard.trashFilter(req.user._id))
+      .sort({ deleted_at: -1 });
+
+    res.json({ creditCards, retention_days: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Credit card trash fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching deleted credit cards' });
+  }
+});
+
 // @route   GET /api/credit-cards/:id
 // @desc    Get credit card by ID with summary
 // @access  Private
@@ -62,24 +85,28 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Credit card not found' });
     }
 
-    // Get current month's expenses
-    const currentMonth = new Date();
-    const startOfMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
-    const endOfMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0);
+    // Get current month's expenses (month boundaries in the user's timezone),
+    // converted to the base currency at the rate for each expense's date
+    const now = new Date();
+    const timeZone = getUserTimeZone(req.user);
+    const monthStart = startOfMonth(now, timeZone);
+    const nextMonthStart = startOfNextMonth(now, timeZone);
 
     const currentMonthExpenses = await Expense.aggregate([
       {
         $match: {
           user_id: req.user._id,
           credit_card_id: creditCard._id,
-          date: { $gte: startOfMonth, $lte: endOfMonth }
+          date: { $gte: monthStart, $lt: nextMonthStart }
         }
       },
+      ...convertToBaseStages(req.user, timeZone),
       {
         $group: {
           _id: null,
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
+          total: { $sum: '$base_amount' },
+          count: { $sum: 1 },
+          unconverted_count: { $sum: { $cond: [{ $eq: ['$exchange_rate', null] }, 1, 0] } }
         }
       }
     ]);
@@ -94,8 +121,13 @@ router.get('/:id', auth, async (req, res) => {
     const summary = {
       creditCard,
       current_month: {
+        start: monthStart,
+        end: nextMonthStart,
         expenses: currentMonthExpenses[0]?.total || 0,
-        count: currentMonthExpenses[0]?.count || 0
+        count: currentMonthExpenses[0]?.count || 0,
+        currency: getBaseCurrency(req.user),
+        // Expenses in currencies with no known rate for their date, left out of the total
+        unconverted_count: currentMonthExpenses[0]?.unconverted_count || 0
       },
       last_payment: lastPayment,
       available_limit: creditCard.limit_amount ? 
@@ -116,6 +148,11 @@ router.put('/:id', auth, async (req, res) => {
   try {
     const { bank_name, card_number, limit_amount, due_date, is_active } = req.body;
 
+    const existing = await CreditCard.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Credit card not found' });
+    }
+
     const creditCard = await CreditCard.findOneAndUpdate(
       { _id: req.params.id, user_id: req.user._id },
       { bank_name, card_number, limit_amount, due_date, is_active },
@@ -126,6 +163,8 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Credit card not found' });
     }
 
+    await recordAudit(req, { entityType: 'credit_card', entityId: creditCard._id, action: 'update', before: existing, after: creditCard });
+
     res.json({
       message: 'Credit card updated successfully',
       creditCard
@@ -137,7 +176,7 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/credit-cards/:id
-// @desc    Delete credit card
+// @desc    Move credit card to the trash
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -153,22 +192,65 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    const creditCard = await CreditCard.findOneAndDelete({
-      _id: req.params.id,
-      user_id: req.user._id
-    });
+    const existing = await CreditCard.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Credit card not found' });
+    }
+
+    const creditCard = await CreditCard.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user._id },
+      { deleted_at: new Date() },
+      { new: true }
+    );
 
     if (!creditCard) {
       return res.status(404).json({ message: 'Credit card not found' });
     }
 
-    res.json({ message: 'Credit card deleted successfully' });
+    await recordAudit(req, { entityType: 'credit_card', entityId: creditCard._id, action: 'delete', before: existing, after: creditCard });
+
+    res.json({
+      message: `Credit card moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} day(s).`,
+      deleted_at: creditCard.deleted_at
+    });
   } catch (error) {
     console.error('Credit card deletion error:', error);
     res.status(500).json({ message: 'Server error while deleting credit card' });
   }
 });
 
+// @route   POST /api/credit-cards/:id/restore
+// @desc    Restore a credit card from the trash
+// @access  Private
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const trashed = await CreditCard.findOne({ _id: req.params.id, ...CreditCard.trashFilter(req.user._id) });
+    if (!trashed) {
+      return res.status(404).json({ message: 'Credit card not found in trash' });
+    }
+
+    const creditCard = await CreditCard.findOneAndUpdate(
+      { _id: req.params.id, ...CreditCard.trashFilter(req.user._id) },
+      { deleted_at: null },
+      { new: true }
+    );
+
+    if (!creditCard) {
+      return res.status(404).json({ message: 'Credit card not found in trash' });
+    }
+
+    await recordAudit(req, { entityType: 'credit_card', entityId: creditCard._id, action: 'restore', before: trashed, after: creditCard });
+
+    res.json({
+      message: 'Credit card restored successfully',
+      creditCard
+    });
+  } catch (error) {
+    console.error('Credit card restore error:', error);
+    res.status(500).json({ message: 'Server error while restoring credit card' });
+  }
+});
+
 // @route   GET /api/credit-cards/:id/expenses
 // @desc    Get expenses for a specific credit card
 // @access  Private
@@ -181,11 +263,8 @@ router.get('/:id/expenses', auth, async (req, res) => {
       credit_card_id: req.params.id
     };
 
-    if (start_date || end_date) {
-      filter.date = {};
-      if (start_date) filter.date.$gte = new Date(start_date);
-      if (end_date) filter.date.$lte = new Date(end_date);
-    }
+    const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(req.user));
+    if (dateRange) filter.date = dateRange;
 
     const expenses = await Expense.find(filter)
       .populate('category_id', 'name color icon')
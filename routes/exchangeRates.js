@@ -0,0 +1,344 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+const { uploadFiles } = require('../middleware/upload');
+const { parseCsv } = require('../utils/csv');
+const { getUserTimeZone, formatLocalDate } = require('../utils/dateTime');
+const { isCurrencyCode, normalizeCurrency, getBaseCurrency } = require('../utils/currency');
+
+const router = express.Router();
+
+// API keys need the exchange-rates:read / exchange-rates:write scopes
+router.use(auth.scope('exchange-rates'));
+
+const MAX_IMPORT_ROWS = parseInt(process.env.EXCHANGE_RATE_IMPORT_MAX_ROWS, 10) || 10000;
+const MAX_FILE_SIZE_MB = parseFloat(process.env.IMPORT_MAX_SIZE_MB) || 5;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Rates apply to calendar days; a YYYY-MM-DD date is stored as midnight UTC. Returns null if invalid.
+const parseRateDate = (value) => {
+  const text = String(value || '').trim();
+  if (!DATE_ONLY_PATTERN.test(text)) return null;
+
+  const date = new Date(`${text}T00:00:00.000Z`);
+  return !isNaN(date) && date.toISOString().startsWith(text) ? date : null;
+};
+
+// Validate and normalize one rate ({ from, to, rate, date }). Returns { rate } or { error }.
+const readRate = (input) => {
+  const from = normalizeCurrency(input?.from);
+  const to = normalizeCurrency(input?.to);
+  const rate = Number(input?.rate);
+  const date = parseRateDate(input?.date);
+
+  if (!isCurrencyCode(from)) {
+    return { error: { message: 'from must be a valid ISO 4217 code, e.g. USD', field: 'from', value: input?.from } };
+  }
+  if (!isCurrencyCode(to)) {
+    return { error: { message: 'to must be a valid ISO 4217 code, e.g. INR', field: 'to', value: input?.to } };
+  }
+  if (from === to) {
+    return { error: { message: 'from and to must be different currencies', field: 'to' } };
+  }
+  if (input?.rate === undefined || input?.rate === '' || !Number.isFinite(rate) || rate <= 0) {
+    return { error: { message: 'rate must be a number greater than 0', field: 'rate', value: input?.rate } };
+  }
+  if (!date) {
+    return { error: { message: 'date must be a calendar date (YYYY-MM-DD)', field: 'date', value: input?.date } };
+  }
+
+  return { rate: { from, to, rate, date } };
+};
+
+// Insert or replace the rate for a currency pair and day
+const upsertRate = (userId, { from, to, rate, date }, source) => {
+  return ExchangeRate.findOneAndUpdate(
+    { user_id: userId, from, to, date },
+    { $set: { rate, source } },
+    { new: true, upsert: true, runValidators: true, rawResult: true }
+  );
+};
+
+// Turn CSV text with date, from, to and rate columns into rate objects
+const readRateCsv = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    return { error: { message: 'The CSV needs a header row and at least one data row', field: 'file' } };
+  }
+
+  const [headers, ...dataRows] = rows;
+  const columns = headers.map(header => header.trim().toLowerCase());
+  const missing = ['date', 'from', 'to', 'rate'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return {
+      error: { message: `The CSV is missing columns: ${missing.join(', ')}`, field: 'file', headers }
+    };
+  }
+
+  const rates = dataRows.map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, (cells[index] || '').trim()])
+  ));
+  return { rates, firstRow: 2 };
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Get exchange rates for user (filters: from, to, start_date, end_date)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { from, to, start_date, end_date, page = 1, limit = 50 } = req.query;
+    const filter = { user_id: req.user._id };
+
+    if (from) filter.from = normalizeCurrency(from);
+    if (to) filter.to = normalizeCurrency(to);
+
+    if (start_date || end_date) {
+      const start = start_date ? parseRateDate(start_date) : null;
+      const end = end_date ? parseRateDate(end_date) : null;
+      if ((start_date && !start) || (end_date && !end)) {
+        return res.status(400).json({ message: 'start_date and end_date must be calendar dates (YYYY-MM-DD)' });
+      }
+      filter.date = {};
+      if (start) filter.date.$gte = start;
+      if (end) filter.date.$lte = end;
+    }
+
+    const exchangeRates = await ExchangeRate.find(filter)
+      .sort({ date: -1, from: 1, to: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ExchangeRate.countDocuments(filter);
+
+    res.json({
+      exchangeRates,
+      base_currency: getBaseCurrency(req.user),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Exchange rate fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching exchange rates' });
+  }
+});
+
+// @route   GET /api/exchange-rates/convert
+// @desc    Convert an amount using the rate for a date (query: amount, from, to = base currency, date = today)
+// @access  Private
+router.get('/convert', auth, async (req, res) => {
+  try {
+    const amount = Number(req.query.amount);
+    const from = normalizeCurrency(req.query.from);
+    const to = req.query.to ? normalizeCurrency(req.query.to) : getBaseCurrency(req.user);
+    const dateText = req.query.date || formatLocalDate(new Date(), getUserTimeZone(req.user));
+    const date = parseRateDate(dateText);
+
+    if (!Number.isFinite(amount)) {
+      return res.status(400).json({ message: 'amount must be a number', field: 'amount' });
+    }
+    if (!isCurrencyCode(from) || !isCurrencyCode(to)) {
+      return res.status(400).json({ message: 'from and to must be valid ISO 4217 codes', field: 'from' });
+    }
+    if (!date) {
+      return res.status(400).json({ message: 'date must be a calendar date (YYYY-MM-DD)', field: 'date' });
+    }
+
+    const rate = await ExchangeRate.findRate(req.user._id, from, to, date);
+    if (rate === null) {
+      return res.status(404).json({ message: `No exchange rate from ${from} to ${to} on or before ${dateText}` });
+    }
+
+    res.json({
+      amount,
+      from,
+      to,
+      date: dateText,
+      rate,
+      converted_amount: Math.round(amount * rate * 100) / 100
+    });
+  } catch (error) {
+    console.error('Exchange rate conversion error:', error);
+    res.status(500).json({ message: 'Server error while converting amount' });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Set the rate for a currency pair and day ({ from, to, rate, date }); replaces an existing one
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { rate, error } = readRate(req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const result = await upsertRate(req.user._id, rate, 'manual');
+    const created = !result.lastErrorObject?.updatedExisting;
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Exchange rate added successfully' : 'Exchange rate updated successfully',
+      exchangeRate: result.value
+    });
+  } catch (error) {
+    console.error('Exchange rate creation error:', error);
+    res.status(500).json({ message: 'Server error while saving exchange rate' });
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import rates from a CSV with date, from, to and rate columns (multipart field "file",
+//          or a "csv" text field) or a JSON "rates" array. Existing rates for the same day are replaced.
+// @access  Private
+router.post('/import', auth, uploadFiles('file', 1, { maxSizeMb: MAX_FILE_SIZE_MB }), async (req, res) => {
+  try {
+    const file = req.files?.[0];
+    let input;
+    if (file || typeof req.body.csv === 'string') {
+      if (file && file.buffer.includes(0)) {
+        return res.status(415).json({ message: 'The file is not a CSV text file', field: 'file' });
+      }
+      try {
+        input = readRateCsv(file ? file.buffer.toString('utf8') : req.body.csv);
+      } catch (parseError) {
+        return res.status(400).json({ message: `Could not read CSV: ${parseError.message}`, field: 'file' });
+      }
+    } else if (Array.isArray(req.body.rates)) {
+      input = { rates: req.body.rates, firstRow: 1 };
+    } else {
+      return res.status(400).json({
+        message: 'Upload a CSV file in the "file" field, send its text as "csv", or send a "rates" array',
+        field: 'file'
+      });
+    }
+
+    if (input.error) {
+      return res.status(400).json(input.error);
+    }
+    if (input.rates.length === 0) {
+      return res.status(400).json({ message: 'No exchange rates to import', field: 'rates' });
+    }
+    if (input.rates.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rates can be imported at once`, field: 'rates' });
+    }
+
+    // Later rows for the same pair and day win
+    const valid = new Map();
+    const errors = [];
+    input.rates.forEach((item, index) => {
+      const { rate, error } = readRate(item);
+      if (error) {
+        errors.push({ row: index + input.firstRow, ...error });
+        return;
+      }
+      valid.set(`${rate.from}|${rate.to}|${rate.date.toISOString()}`, rate);
+    });
+
+    let created = 0;
+    let updated = 0;
+    if (valid.size > 0) {
+      const result = await ExchangeRate.bulkWrite([...valid.values()].map(({ from, to, rate, date }) => ({
+        updateOne: {
+          filter: { user_id: req.user._id, from, to, date },
+          update: { $set: { rate, source: 'import' } },
+          upsert: true
+        }
+      })), { ordered: false });
+      created = result.upsertedCount;
+      updated = result.matchedCount;
+    }
+
+    res.status(errors.length > 0 && valid.size === 0 ? 400 : 200).json({
+      message: `Imported ${valid.size} exchange rate(s)`,
+      created,
+      updated,
+      failed: errors.length,
+      errors
+    });
+  } catch (error) {
+    console.error('Exchange rate import error:', error);
+    res.status(500).json({ message: 'Server error while importing exchange rates' });
+  }
+});
+
+// @route   PUT /api/exchange-rates/:id
+// @desc    Update an exchange rate
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid exchange rate ID format' });
+    }
+
+    const exchangeRate = await ExchangeRate.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    const { rate, error } = readRate({
+      from: req.body.from ?? exchangeRate.from,
+      to: req.body.to ?? exchangeRate.to,
+      rate: req.body.rate ?? exchangeRate.rate,
+      date: req.body.date ?? exchangeRate.date.toISOString().slice(0, 10)
+    });
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const duplicate = await ExchangeRate.exists({
+      _id: { $ne: exchangeRate._id },
+      user_id: req.user._id,
+      from: rate.from,
+      to: rate.to,
+      date: rate.date
+    });
+    if (duplicate) {
+      return res.status(409).json({ message: 'A rate for this currency pair and date already exists' });
+    }
+
+    exchangeRate.set({ ...rate, source: 'manual' });
+    await exchangeRate.save();
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      exchangeRate
+    });
+  } catch (error) {
+    console.error('Exchange rate update error:', error);
+    res.status(500).json({ message: 'Server error while updating exchange rate' });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid exchange rate ID format' });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      user_id: req.user._id
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Exchange rate deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting exchange rate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,378 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const ExpenseRule = require('../models/ExpenseRule');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const { validateTags, validateMerchant } = require('../utils/expenseInput');
+const { buildExpenseFilter } = require('../utils/expenseQuery');
+const { validateRulePattern, loadRules, matchRules, mergeRuleTags } = require('../utils/expenseRules');
+const { snapshot, recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Same limit as the bulk expense endpoints; larger rule runs are paged with next_cursor
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 500;
+
+// Rules fill in expense fields, so API keys need the expenses:read / expenses:write scopes
+router.use(auth.scope('expenses'));
+
+const RULE_FIELDS = [
+  'name', 'priority', 'is_active', 'match_type', 'pattern', 'min_amount', 'max_amount',
+  'merchant_id', 'category_id', 'tags'
+];
+
+const RULE_POPULATE = [
+  { path: 'merchant_id', select: 'name' },
+  { path: 'category_id', select: 'name color icon' }
+];
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// A page cursor is the date and ID of the last expense handled, as "<ISO date>_<id>"
+const encodeCursor = (expense) => `${expense.date.toISOString()}_${expense._id}`;
+
+const decodeCursor = (cursor) => {
+  const [date, id] = typeof cursor === 'string' ? cursor.split('_') : [];
+  const parsed = new Date(date);
+  if (!id || Number.isNaN(parsed.getTime()) || !isValidObjectId(id)) {
+    return null;
+  }
+  return { date: parsed, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Read and validate the rule fields of a request body, on top of an existing rule when updating.
+// Returns { values } with the fields to set, or { error } with an error response body.
+const readRule = async (userId, body, rule = null) => {
+  const values = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field] === '' ? null : body[field];
+  }
+  if (values.pattern === null) values.match_type = null;
+
+  const next = {
+    ...(rule ? rule.toObject() : { match_type: null, pattern: null, min_amount: null, max_amount: null, tags: [] }),
+    ...values
+  };
+
+  if (typeof next.name !== 'string' || !next.name.trim()) {
+    return { error: { message: 'Rule name is required', field: 'name' } };
+  }
+
+  if (values.priority !== undefined && !Number.isInteger(Number(values.priority))) {
+    return { error: { message: 'Priority must be a whole number', field: 'priority' } };
+  }
+
+  if (values.is_active !== undefined && typeof values.is_active !== 'boolean') {
+    return { error: { message: 'is_active must be true or false', field: 'is_active' } };
+  }
+
+  const patternError = validateRulePattern(next.match_type, next.pattern);
+  if (patternError) return { error: patternError };
+
+  for (const field of ['min_amount', 'max_amount']) {
+    if (values[field] !== undefined && values[field] !== null) {
+      if (!(Number(values[field]) >= 0)) {
+        return { error: { message: `${field} must be a number of 0 or more`, field } };
+      }
+      values[field] = next[field] = Number(values[field]);
+    }
+  }
+  if (next.min_amount !== null && next.max_amount !== null && next.min_amount > next.max_amount) {
+    return { error: { message: 'min_amount cannot be greater than max_amount', field: 'min_amount' } };
+  }
+
+  if (values.merchant_id) {
+    const merchantError = await validateMerchant(userId, values.merchant_id);
+    if (merchantError) return { error: merchantError };
+  }
+
+  if (values.category_id) {
+    if (!isValidObjectId(values.category_id)) {
+      return { error: { message: 'Invalid category ID format', field: 'category_id', value: values.category_id } };
+    }
+    if (!(await Category.exists({ _id: values.category_id, user_id: userId }))) {
+      return { error: { message: 'Category not found or does not belong to you', field: 'category_id', value: values.category_id } };
+    }
+  }
+
+  if (values.tags !== undefined) {
+    const tagError = validateTags(values.tags || []);
+    if (tagError) return { error: tagError };
+    values.tags = next.tags = [...new Set((values.tags || []).map(Expense.normalizeTag).filter(Boolean))];
+    if (values.tags.length > Expense.MAX_TAGS) {
+      return { error: { message: `A rule can add at most ${Expense.MAX_TAGS} tags`, field: 'tags' } };
+    }
+  }
+
+  if (!next.pattern && next.min_amount === null && next.max_amount === null) {
+    return { error: { message: 'A rule needs a condition: a pattern, min_amount or max_amount' } };
+  }
+  if (!next.merchant_id && !next.category_id && next.tags.length === 0) {
+    return { error: { message: 'A rule needs an action: merchant_id, category_id or tags' } };
+  }
+
+  return { values };
+};
+
+// @route   POST /api/expense-rules
+// @desc    Create a rule
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { values, error } = await readRule(req.user._id, req.body);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const rule = new ExpenseRule({ user_id: req.user._id, ...values });
+    await rule.save();
+    await rule.populate(RULE_POPULATE);
+
+    res.status(201).json({
+      message: 'Rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Rule creation error:', error);
+    res.status(500).json({ message: 'Server error while creating rule' });
+  }
+});
+
+// @route   GET /api/expense-rules
+// @desc    Get all rules for user in the order they are tried
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const rules = await ExpenseRule.find({ user_id: req.user._id })
+      .populate(RULE_POPULATE)
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({ rules });
+  } catch (error) {
+    console.error('Rule fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching rules' });
+  }
+});
+
+// @route   POST /api/expense-rules/test
+// @desc    Show which active rules match a sample { note, amount } and what they would fill in
+// @access  Private
+router.post('/test', auth, async (req, res) => {
+  try {
+    const { note, amount } = req.body;
+    const match = matchRules(await loadRules(req.user._id), { note, amount });
+
+    res.json({ match });
+  } catch (error) {
+    console.error('Rule test error:', error);
+    res.status(500).json({ message: 'Server error while testing rules' });
+  }
+});
+
+// @route   POST /api/expense-rules/apply
+// @desc    Re-run the active rules (or those in rule_ids) on existing expenses, optionally narrowed by
+//          filter (the GET /api/expenses query parameters). Merchants are only filled in where missing
+//          and categories left alone unless overwrite is true; rule tags are always added. Split
+//          expenses keep their category. With dry_run: true nothing is written. Each request handles
+//          up to BULK_MAX_ITEMS expenses, newest first; send the returned next_cursor as cursor to
+//          continue.
+// @access  Private
+router.post('/apply', auth, async (req, res) => {
+  try {
+    const { filter, rule_ids } = req.body;
+    const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+    if (rule_ids !== undefined) {
+      if (!Array.isArray(rule_ids) || rule_ids.length === 0 || rule_ids.some(id => !isValidObjectId(id))) {
+        return res.status(400).json({ message: 'rule_ids must be a non-empty array of rule IDs', field: 'rule_ids' });
+      }
+    }
+
+    let after = null;
+    if (req.body.cursor !== undefined && req.body.cursor !== null) {
+      after = decodeCursor(req.body.cursor);
+      if (!after) {
+        return res.status(400).json({ message: 'Invalid cursor; use the next_cursor of the previous response', field: 'cursor' });
+      }
+    }
+
+    let query = { user_id: req.user._id };
+    if (filter !== undefined) {
+      if (!filter || typeof filter !== 'object') {
+        return res.status(400).json({ message: 'filter must be an object of expense filters', field: 'filter' });
+      }
+      const built = await buildExpenseFilter(req.user, filter);
+      if (built.error) {
+        return res.status(400).json({ ...built.error, field: 'filter' });
+      }
+      query = built.filter;
+    }
+    if (after) {
+      query = {
+        $and: [query, { $or: [{ date: { $lt: after.date } }, { date: after.date, _id: { $lt: after.id } }] }]
+      };
+    }
+
+    const rules = await loadRules(req.user._id, rule_ids);
+    if (rules.length === 0) {
+      return res.status(400).json({ message: 'No active rules to apply' });
+    }
+
+    const summary = { total: 0, matched: 0, unchanged: 0, [dryRun ? 'would_update' : 'updated']: 0, failed: 0 };
+    const failures = [];
+    let last = null;
+    let hasMore = false;
+
+    // One extra expense is read to tell whether another page follows
+    const cursor = Expense.find(query).sort({ date: -1, _id: -1 }).limit(BULK_MAX_ITEMS + 1).cursor();
+    for await (const expense of cursor) {
+      if (summary.total === BULK_MAX_ITEMS) {
+        hasMore = true;
+        break;
+      }
+      summary.total++;
+      last = expense;
+
+      const match = matchRules(rules, expense);
+      if (match.rule_ids.length === 0) continue;
+      summary.matched++;
+
+      const changes = {};
+      if (match.merchant_id && (overwrite || !expense.merchant_id)) {
+        changes.merchant_id = match.merchant_id;
+      }
+      if (match.category_id && overwrite && expense.line_items.length === 0) {
+        changes.category_id = match.category_id;
+      }
+      if (match.tags.length > 0) {
+        changes.tags = mergeRuleTags(expense.tags, match.tags);
+      }
+
+      const before = snapshot(expense);
+      expense.set(changes);
+      if (!expense.isModified()) {
+        summary.unchanged++;
+        continue;
+      }
+
+      try {
+        if (dryRun) {
+          await expense.validate();
+        } else {
+          await expense.save();
+          await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'update', before, after: expense });
+        }
+        summary[dryRun ? 'would_update' : 'updated']++;
+      } catch (error) {
+        if (!['ValidationError', 'CastError', 'Error'].includes(error.name)) {
+          console.error('Rule apply item error:', error);
+        }
+        summary.failed++;
+        failures.push({ id: expense._id, error: { message: error.message }, rule_ids: match.rule_ids });
+      }
+    }
+
+    res.json({
+      message: dryRun ? 'Dry run completed, nothing was changed' : 'Rules applied',
+      dry_run: dryRun,
+      overwrite,
+      summary,
+      failures,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(last) : null
+    });
+  } catch (error) {
+    console.error('Rule apply error:', error);
+    res.status(500).json({ message: 'Server error while applying rules' });
+  }
+});
+
+// @route   GET /api/expense-rules/:id
+// @desc    Get rule by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid rule ID format' });
+    }
+
+    const rule = await ExpenseRule.findOne({ _id: req.params.id, user_id: req.user._id })
+      .populate(RULE_POPULATE);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    console.error('Rule fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching rule' });
+  }
+});
+
+// @route   PUT /api/expense-rules/:id
+// @desc    Update a rule
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid rule ID format' });
+    }
+
+    const rule = await ExpenseRule.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    const { values, error } = await readRule(req.user._id, req.body, rule);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    rule.set(values);
+    await rule.save();
+    await rule.populate(RULE_POPULATE);
+
+    res.json({
+      message: 'Rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Rule update error:', error);
+    res.status(500).json({ message: 'Server error while updating rule' });
+  }
+});
+
+// @route   DELETE /api/expense-rules/:id
+// @desc    Delete a rule; expenses it already changed keep their values
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid rule ID format' });
+    }
+
+    const rule = await ExpenseRule.findOneAndDelete({ _id: req.params.id, user_id: req.user._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    res.json({ message: 'Rule deleted successfully' });
+  } catch (error) {
+    console.error('Rule deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting rule' });
+  }
+});
+
+module.exports = router;
@@ -2,149 +2,326 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const mongoose = require('mongoose');
 const Expense = require('../models/Expense');
-const Category = require('../models/Category');
-const CreditCard = require('../models/CreditCard');
-const BorrowedMoney = require('../models/BorrowedMoney');
+const RecurringExpense = require('../models/RecurringExpense');
+const { getUserTimeZone, buildDateRange } = require('../utils/dateTime');
+const { getBaseCurrency, convertToBaseStages } = require('../utils/currency');
+const { TRASH_RETENTION_DAYS } = require('../jobs/trashPurge');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { applyRulesToBody } = require('../utils/expenseRules');
+const { DUPLICATE_WINDOW_DAYS, isDuplicatePair, findDuplicatesOf, findDuplicateGroups } = require('../utils/duplicates');
+const { uploadFiles } = require('../middleware/upload');
+const { getStorage, removeFiles } = require('../utils/storage');
+const { ALLOWED_CONTENT_TYPES, detectFileType, thumbnailSize } = require('../utils/fileType');
+const {
+  isValidObjectId,
+  withDefaultCategory,
+  withAccountCurrency,
+  validateNewExpense,
+  buildExpense,
+  validateExpenseUpdate,
+  prepareExpenseUpdate
+} = require('../utils/expenseInput');
+const {
+  SEARCH_MAX_RANKED,
+  EXPENSE_POPULATE,
+  buildExpenseFilter,
+  searchScore,
+  withSearchHighlights
+} = require('../utils/expenseQuery');
 
 const router = express.Router();
 
-// Helper function to validate ObjectId
-const isValidObjectId = (id) => {
-  return mongoose.Types.ObjectId.isValid(id);
+// API keys need the expenses:read / expenses:write scopes
+router.use(auth.scope('expenses'));
+
+const MAX_ATTACHMENTS_PER_EXPENSE = parseInt(process.env.ATTACHMENT_MAX_PER_EXPENSE, 10) || 10;
+const THUMBNAIL_SIZE = parseInt(process.env.ATTACHMENT_THUMBNAIL_SIZE, 10) || 256;
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 500;
+
+// Load the expenses a bulk update or delete applies to, chosen by `ids` or by `filter`
+// (the GET /api/expenses query parameters). Returns { expenses, missingIds } or { error }.
+const selectBulkExpenses = async (user, { ids, filter }) => {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { error: { message: 'ids must be a non-empty array of expense IDs', field: 'ids' } };
+    }
+    if (ids.length > BULK_MAX_ITEMS) {
+      return { error: { message: `At most ${BULK_MAX_ITEMS} expenses can be changed at once`, field: 'ids' } };
+    }
+    const invalidIds = ids.filter(id => !isValidObjectId(id));
+    if (invalidIds.length > 0) {
+      return { error: { message: 'Invalid expense ID format', field: 'ids', value: invalidIds } };
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const expenses = await Expense.find({ _id: { $in: uniqueIds }, user_id: user._id });
+    const found = new Set(expenses.map(expense => expense._id.toString()));
+    return { expenses, missingIds: uniqueIds.filter(id => !found.has(id)) };
+  }
+
+  if (filter && typeof filter === 'object') {
+    const { filter: query, error } = await buildExpenseFilter(user, filter);
+    if (error) return { error: { ...error, field: 'filter' } };
+
+    const count = await Expense.countDocuments(query);
+    if (count > BULK_MAX_ITEMS) {
+      return {
+        error: {
+          message: `The filter matches ${count} expenses; at most ${BULK_MAX_ITEMS} can be changed at once. Narrow the filter.`,
+          field: 'filter'
+        }
+      };
+    }
+    return { expenses: await Expense.find(query).sort({ date: -1 }), missingIds: [] };
+  }
+
+  return { error: { message: 'Select expenses with either ids or filter' } };
+};
+
+// Error body for a failed bulk item. Validation errors (including the model's save hooks)
+// are shown to the client; anything else is logged and reported generically.
+const bulkItemError = (error) => {
+  if (['ValidationError', 'CastError', 'Error'].includes(error.name)) {
+    return { message: error.message };
+  }
+  console.error('Bulk expense item error:', error);
+  return { message: 'Server error while processing this item' };
 };
 
 // @route   POST /api/expenses
-// @desc    Create a new expense
+// @desc    Create a new expense. The user's rules fill in the merchant, category and tags
+//          the body leaves out, unless apply_rules is false. duplicate_warning is set when
+//          the expense looks like one already recorded (see GET /api/expenses/duplicates).
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const {
-      amount,
-      category_id,
-      payment_mode,
-      credit_card_id,
-      borrowed_id,
-      date,
-      note,
-      is_recurring,
-      recurring_frequency
-    } = req.body;
+    // A split expense without a main category takes the category of its largest line
+    let body = withDefaultCategory(req.body);
 
-    // Validate required fields
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ message: 'Valid amount is required' });
+    let appliedRules = [];
+    if (req.body.apply_rules !== false && req.body.apply_rules !== 'false') {
+      ({ body, rule_ids: appliedRules } = await applyRulesToBody(req.user._id, body));
     }
+    body = await withAccountCurrency(req.user._id, body);
 
-    if (!category_id) {
-      return res.status(400).json({ message: 'Category is required' });
+    const validationError = await validateNewExpense(req.user._id, body);
+    if (validationError) {
+      return res.status(400).json(validationError);
     }
 
-    if (!payment_mode) {
-      return res.status(400).json({ message: 'Payment mode is required' });
-    }
+    const expense = buildExpense(req.user._id, body, getBaseCurrency(req.user));
 
-    // Validate ObjectId format for category_id
-    if (!isValidObjectId(category_id)) {
-      return res.status(400).json({ 
-        message: 'Invalid category ID format. Category ID must be a valid MongoDB ObjectId.',
-        field: 'category_id',
-        value: category_id
+    // A recurring expense becomes the first occurrence of a new template
+    let recurringExpense = null;
+    if (body.is_recurring && body.recurring_frequency) {
+      recurringExpense = new RecurringExpense({
+        user_id: req.user._id,
+        amount: expense.amount,
+        currency: expense.currency,
+        category_id: expense.category_id,
+        merchant_id: expense.merchant_id,
+        payment_mode: expense.payment_mode,
+        account_id: expense.account_id,
+        credit_card_id: expense.credit_card_id,
+        borrowed_id: expense.borrowed_id,
+        note: expense.note,
+        frequency: body.recurring_frequency,
+        start_date: expense.date,
+        timezone: getUserTimeZone(req.user),
+        next_index: 1
       });
+      await recurringExpense.save();
+
+      expense.recurring_id = recurringExpense._id;
+      expense.occurrence_date = expense.date;
+    }
+
+    await expense.save();
+    await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'create', after: expense });
+
+    const possibleDuplicates = await findDuplicatesOf(req.user, expense);
+
+    // Populate references for response
+    await expense.populate(EXPENSE_POPULATE);
+
+    res.status(201).json({
+      message: 'Expense created successfully',
+      expense,
+      recurringExpense,
+      applied_rules: appliedRules,
+      duplicate_warning: possibleDuplicates.length > 0,
+      possible_duplicates: possibleDuplicates
+    });
+  } catch (error) {
+    console.error('Expense creation error:', error);
+    res.status(500).json({ message: 'Server error while creating expense' });
+  }
+});
+
+// @route   POST /api/expenses/bulk
+// @desc    Create, update or delete many expenses in one request.
+//          create: { action, items: [expense] }
+//          update: { action, items: [{ id, ...fields }] } or { action, ids | filter, update: { ...fields } }
+//          delete: { action, ids | filter } (expenses are moved to the trash)
+//          With dry_run: true nothing is written and the results show what would change.
+// @access  Private
+router.post('/bulk', auth, async (req, res) => {
+  try {
+    const { action, items, ids, filter, update } = req.body;
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+    const results = [];
+
+    if (!['create', 'update', 'delete'].includes(action)) {
+      return res.status(400).json({ message: 'Action must be one of: create, update, delete', field: 'action' });
     }
 
-    // Validate category exists and belongs to user
-    const category = await Category.findOne({ _id: category_id, user_id: req.user._id });
-    if (!category) {
-      return res.status(400).json({ 
-        message: 'Category not found or does not belong to you',
-        field: 'category_id',
-        value: category_id
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0 || items.length > BULK_MAX_ITEMS)) {
+      return res.status(400).json({
+        message: `items must be an array of 1 to ${BULK_MAX_ITEMS} entries`,
+        field: 'items'
       });
     }
 
-    // Validate credit card if payment mode is credit_card
-    if (payment_mode === 'credit_card') {
-      if (!credit_card_id) {
-        return res.status(400).json({ 
-          message: 'Credit card is required for credit card payment',
-          field: 'credit_card_id'
-        });
+    if (action === 'create') {
+      if (!items) {
+        return res.status(400).json({ message: 'items is required to create expenses', field: 'items' });
       }
-      if (!isValidObjectId(credit_card_id)) {
-        return res.status(400).json({ 
-          message: 'Invalid credit card ID format. Credit card ID must be a valid MongoDB ObjectId.',
-          field: 'credit_card_id',
-          value: credit_card_id
-        });
+
+      for (const [index, item] of items.entries()) {
+        try {
+          if (item?.is_recurring) {
+            results.push({ index, status: 'failed', error: { message: 'Recurring expenses cannot be created in bulk' } });
+            continue;
+          }
+
+          const body = await withAccountCurrency(req.user._id, withDefaultCategory(item || {}));
+          const validationError = await validateNewExpense(req.user._id, body);
+          if (validationError) {
+            results.push({ index, status: 'failed', error: validationError });
+            continue;
+          }
+
+          const expense = buildExpense(req.user._id, body, getBaseCurrency(req.user));
+          if (dryRun) {
+            await expense.validate();
+          } else {
+            await expense.save();
+            await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'create', after: expense });
+          }
+          results.push(dryRun ? { index, status: 'would_create' } : { index, id: expense._id, status: 'created' });
+        } catch (error) {
+          results.push({ index, status: 'failed', error: bulkItemError(error) });
+        }
       }
-      const creditCard = await CreditCard.findOne({ _id: credit_card_id, user_id: req.user._id });
-      if (!creditCard) {
-        return res.status(400).json({ 
-          message: 'Credit card not found or does not belong to you',
-          field: 'credit_card_id',
-          value: credit_card_id
+    } else if (action === 'update') {
+      // Either one set of changes per item, or the same changes for every selected expense
+      let changes;
+      if (items) {
+        const itemIds = items.map(item => item?.id || item?._id);
+        const selection = await selectBulkExpenses(req.user, { ids: itemIds });
+        if (selection.error) {
+          return res.status(400).json({ ...selection.error, field: 'items' });
+        }
+        changes = items.map((item, index) => {
+          const { id, _id, ...fields } = item;
+          const expenseId = String(itemIds[index]);
+          return {
+            index,
+            id: expenseId,
+            expense: selection.expenses.find(expense => expense._id.toString() === expenseId),
+            fields
+          };
         });
+      } else {
+        if (!update || typeof update !== 'object' || Object.keys(update).length === 0) {
+          return res.status(400).json({ message: 'update must be an object with the fields to change', field: 'update' });
+        }
+        const selection = await selectBulkExpenses(req.user, { ids, filter });
+        if (selection.error) {
+          return res.status(400).json(selection.error);
+        }
+        changes = [
+          ...selection.expenses.map(expense => ({ id: expense._id.toString(), expense, fields: update })),
+          ...selection.missingIds.map(id => ({ id, expense: null, fields: update }))
+        ];
       }
-    }
 
-    // Validate borrowed money if payment mode is borrowed
-    if (payment_mode === 'borrowed') {
-      if (!borrowed_id || borrowed_id.trim() === '') {
-        return res.status(400).json({ 
-          message: 'Borrowed money reference is required',
-          field: 'borrowed_id'
-        });
+      for (const { index, id, expense, fields } of changes) {
+        const result = index !== undefined ? { index, id } : { id };
+        try {
+          if (!expense) {
+            results.push({ ...result, status: 'not_found' });
+            continue;
+          }
+
+          const validationError = await validateExpenseUpdate(req.user._id, expense, fields);
+          if (validationError) {
+            results.push({ ...result, status: 'failed', error: validationError });
+            continue;
+          }
+
+          const before = snapshot(expense);
+          expense.set(prepareExpenseUpdate(fields));
+          if (!expense.isModified()) {
+            results.push({ ...result, status: 'unchanged' });
+            continue;
+          }
+
+          const changed = expense.modifiedPaths().filter(path => !path.includes('.'));
+          if (dryRun) {
+            await expense.validate();
+          } else {
+            await expense.save();
+            await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'update', before, after: expense });
+          }
+          results.push({ ...result, status: dryRun ? 'would_update' : 'updated', changed });
+        } catch (error) {
+          results.push({ ...result, status: 'failed', error: bulkItemError(error) });
+        }
       }
-      if (!isValidObjectId(borrowed_id)) {
-        return res.status(400).json({ 
-          message: 'Invalid borrowed money ID format. Borrowed money ID must be a valid MongoDB ObjectId.',
-          field: 'borrowed_id',
-          value: borrowed_id
-        });
+    } else {
+      const selection = await selectBulkExpenses(req.user, { ids, filter });
+      if (selection.error) {
+        return res.status(400).json(selection.error);
       }
-      const borrowed = await BorrowedMoney.findOne({ _id: borrowed_id, user_id: req.user._id });
-      if (!borrowed) {
-        return res.status(400).json({ 
-          message: 'Borrowed money record not found or does not belong to you',
-          field: 'borrowed_id',
-          value: borrowed_id
-        });
+
+      const deletedAt = new Date();
+      for (const expense of selection.expenses) {
+        try {
+          if (!dryRun) {
+            await Expense.updateOne({ _id: expense._id, user_id: req.user._id }, { deleted_at: deletedAt });
+            const before = snapshot(expense);
+            await recordAudit(req, {
+              entityType: 'expense',
+              entityId: expense._id,
+              action: 'delete',
+              before,
+              after: { ...before, deleted_at: deletedAt }
+            });
+          }
+          results.push({ id: expense._id, status: dryRun ? 'would_delete' : 'deleted' });
+        } catch (error) {
+          results.push({ id: expense._id, status: 'failed', error: bulkItemError(error) });
+        }
       }
+      selection.missingIds.forEach(id => results.push({ id, status: 'not_found' }));
     }
 
-    // Clean up empty string values to prevent ObjectId casting errors
-    const cleanBorrowedId = borrowed_id && borrowed_id.trim() !== '' ? borrowed_id : undefined;
-    const cleanCreditCardId = credit_card_id && credit_card_id.trim() !== '' ? credit_card_id : undefined;
-
-    const expense = new Expense({
-      user_id: req.user._id,
-      amount,
-      category_id,
-      payment_mode,
-      credit_card_id: cleanCreditCardId,
-      borrowed_id: cleanBorrowedId,
-      date: date || new Date(),
-      note,
-      is_recurring,
-      recurring_frequency
-    });
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { total: results.length });
 
-    await expense.save();
-
-    // Populate references for response
-    await expense.populate([
-      { path: 'category_id', select: 'name color icon' },
-      { path: 'credit_card_id', select: 'bank_name card_number' },
-      { path: 'borrowed_id', select: 'name amount type' }
-    ]);
-
-    res.status(201).json({
-      message: 'Expense created successfully',
-      expense
+    res.json({
+      message: dryRun ? 'Dry run completed, nothing was changed' : 'Bulk operation completed',
+      action,
+      dry_run: dryRun,
+      summary,
+      results
     });
   } catch (error) {
-    console.error('Expense creation error:', error);
-    res.status(500).json({ message: 'Server error while creating expense' });
+    console.error('Bulk expense error:', error);
+    res.status(500).json({ message: 'Server error while processing bulk operation' });
   }
 });
 
@@ -156,54 +333,82 @@ router.get('/', auth, async (req, res) => {
     const {
       page = 1,
       limit = 20,
-      start_date,
-      end_date,
-      category_id,
-      payment_mode,
-      min_amount,
-      max_amount,
-      sort_by = 'date',
       sort_order = 'desc'
     } = req.query;
 
-    const filter = { user_id: req.user._id };
-
-    // Date range filter
-    if (start_date || end_date) {
-      filter.date = {};
-      if (start_date) filter.date.$gte = new Date(start_date);
-      if (end_date) filter.date.$lte = new Date(end_date);
+    const { filter, search, error } = await buildExpenseFilter(req.user, req.query);
+    if (error) {
+      return res.status(400).json(error);
     }
 
-    // Category filter
-    if (category_id) {
-      if (!isValidObjectId(category_id)) {
-        return res.status(400).json({ message: 'Invalid category ID format' });
-      }
-      filter.category_id = category_id;
+    // Searches are ranked by relevance unless another sort is asked for
+    const sort_by = req.query.sort_by || (search ? 'relevance' : 'date');
+    if (sort_by === 'relevance' && !search) {
+      return res.status(400).json({ message: 'sort_by=relevance needs a search query (q)' });
     }
 
-    // Payment mode filter
-    if (payment_mode) {
-      filter.payment_mode = payment_mode;
-    }
+    let expenses;
+    if (sort_by === 'relevance') {
+      // Rank the matches in memory, then load the requested page
+      const candidates = await Expense.find(filter)
+        .select('category_id line_items.category_id credit_card_id date')
+        .sort({ date: -1 })
+        .limit(SEARCH_MAX_RANKED)
+        .lean();
+
+      const pageIds = candidates
+        .map(candidate => ({ id: candidate._id, score: searchScore(search, candidate), date: candidate.date }))
+        .sort((a, b) => b.score - a.score || b.date - a.date)
+        .slice((page - 1) * limit, page * limit)
+        .map(candidate => candidate.id.toString());
 
-    // Amount range filter
-    if (min_amount || max_amount) {
-      filter.amount = {};
-      if (min_amount) filter.amount.$gte = parseFloat(min_amount);
-      if (max_amount) filter.amount.$lte = parseFloat(max_amount);
+      const pageExpenses = await Expense.find({ _id: { $in: pageIds } }).populate(EXPENSE_POPULATE);
+      expenses = pageIds
+        .map(id => pageExpenses.find(expense => expense._id.toString() === id))
+        .filter(Boolean);
+    } else {
+      // Sorting
+      const sort = {};
+      sort[sort_by] = sort_order === 'desc' ? -1 : 1;
+
+      expenses = await Expense.find(filter)
+        .populate(EXPENSE_POPULATE)
+        .sort(sort)
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
     }
 
-    // Sorting
-    const sort = {};
-    sort[sort_by] = sort_order === 'desc' ? -1 : 1;
+    const count = await Expense.countDocuments(filter);
+    // Only the ranked matches can be paged through
+    const truncated = sort_by === 'relevance' && count > SEARCH_MAX_RANKED;
+    const total = truncated ? SEARCH_MAX_RANKED : count;
+
+    res.json({
+      expenses: search ? expenses.map(expense => withSearchHighlights(search, expense)) : expenses,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+      ...(sort_by === 'relevance' && { truncated, total_matches: count })
+    });
+  } catch (error) {
+    console.error('Expense fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching expenses' });
+  }
+});
+
+// @route   GET /api/expenses/trash
+// @desc    Get deleted expenses, most recently deleted first. They are purged after the retention period.
+// @access  Private
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filter = Expense.trashFilter(req.user._id);
 
     const expenses = await Expense.find(filter)
-      .populate('category_id', 'name color icon')
-      .populate('credit_card_id', 'bank_name card_number')
-      .populate('borrowed_id', 'name amount type')
-      .sort(sort)
+      .populate(EXPENSE_POPULATE)
+      .sort({ deleted_at: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
@@ -214,12 +419,48 @@ router.get('/', auth, async (req, res) => {
       total,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
-      hasNext: page * limit < total,
-      hasPrev: page > 1
+      retention_days: TRASH_RETENTION_DAYS
     });
   } catch (error) {
-    console.error('Expense fetch error:', error);
-    res.status(500).json({ message: 'Server error while fetching expenses' });
+    console.error('Expense trash fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching deleted expenses' });
+  }
+});
+
+// @route   GET /api/expenses/duplicates
+// @desc    Find groups of likely duplicate expenses: same amount, currency and payment mode, dates
+//          within DUPLICATE_WINDOW_DAYS and similar notes. Takes the GET /api/expenses filters;
+//          only the most recent DUPLICATE_SCAN_MAX matching expenses are scanned.
+// @access  Private
+router.get('/duplicates', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const { filter, error } = await buildExpenseFilter(req.user, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const { groups, truncated } = await findDuplicateGroups(req.user, filter);
+    const pageGroups = groups.slice((page - 1) * limit, page * limit);
+
+    const expenses = await Expense.find({ _id: { $in: pageGroups.flat() }, user_id: req.user._id })
+      .populate(EXPENSE_POPULATE);
+    const expensesById = new Map(expenses.map(expense => [expense._id.toString(), expense]));
+
+    res.json({
+      groups: pageGroups.map(ids => ({
+        expenses: ids.map(id => expensesById.get(id)).filter(Boolean)
+      })),
+      total: groups.length,
+      totalPages: Math.ceil(groups.length / limit),
+      currentPage: page,
+      window_days: DUPLICATE_WINDOW_DAYS,
+      truncated
+    });
+  } catch (error) {
+    console.error('Duplicate expense scan error:', error);
+    res.status(500).json({ message: 'Server error while finding duplicate expenses' });
   }
 });
 
@@ -231,11 +472,7 @@ router.get('/:id', auth, async (req, res) => {
     const expense = await Expense.findOne({
       _id: req.params.id,
       user_id: req.user._id
-    }).populate([
-      { path: 'category_id', select: 'name color icon' },
-      { path: 'credit_card_id', select: 'bank_name card_number' },
-      { path: 'borrowed_id', select: 'name amount type' }
-    ]);
+    }).populate(EXPENSE_POPULATE);
 
     if (!expense) {
       return res.status(404).json({ message: 'Expense not found' });
@@ -262,87 +499,18 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    // Validate category if being updated
-    if (req.body.category_id) {
-      if (!isValidObjectId(req.body.category_id)) {
-        return res.status(400).json({ 
-          message: 'Invalid category ID format. Category ID must be a valid MongoDB ObjectId.',
-          field: 'category_id',
-          value: req.body.category_id
-        });
-      }
-      const category = await Category.findOne({ _id: req.body.category_id, user_id: req.user._id });
-      if (!category) {
-        return res.status(400).json({ 
-          message: 'Category not found or does not belong to you',
-          field: 'category_id',
-          value: req.body.category_id
-        });
-      }
-    }
-
-    // Validate credit card if payment mode is credit_card
-    if (req.body.payment_mode === 'credit_card' && req.body.credit_card_id) {
-      if (!isValidObjectId(req.body.credit_card_id)) {
-        return res.status(400).json({ 
-          message: 'Invalid credit card ID format. Credit card ID must be a valid MongoDB ObjectId.',
-          field: 'credit_card_id',
-          value: req.body.credit_card_id
-        });
-      }
-      const creditCard = await CreditCard.findOne({ _id: req.body.credit_card_id, user_id: req.user._id });
-      if (!creditCard) {
-        return res.status(400).json({ 
-          message: 'Credit card not found or does not belong to you',
-          field: 'credit_card_id',
-          value: req.body.credit_card_id
-        });
-      }
-    }
-
-    // Validate borrowed money if payment mode is borrowed
-    if (req.body.payment_mode === 'borrowed' && req.body.borrowed_id) {
-      if (!req.body.borrowed_id || req.body.borrowed_id.trim() === '') {
-        return res.status(400).json({ 
-          message: 'Borrowed money reference is required',
-          field: 'borrowed_id'
-        });
-      }
-      if (!isValidObjectId(req.body.borrowed_id)) {
-        return res.status(400).json({ 
-          message: 'Invalid borrowed money ID format. Borrowed money ID must be a valid MongoDB ObjectId.',
-          field: 'borrowed_id',
-          value: req.body.borrowed_id
-        });
-      }
-      const borrowed = await BorrowedMoney.findOne({ _id: req.body.borrowed_id, user_id: req.user._id });
-      if (!borrowed) {
-        return res.status(400).json({ 
-          message: 'Borrowed money record not found or does not belong to you',
-          field: 'borrowed_id',
-          value: req.body.borrowed_id
-        });
-      }
-    }
-
-    // Clean up empty string values in update data
-    const updateData = { ...req.body };
-    if (updateData.borrowed_id !== undefined && updateData.borrowed_id !== null) {
-      updateData.borrowed_id = updateData.borrowed_id.trim() !== '' ? updateData.borrowed_id : undefined;
-    }
-    if (updateData.credit_card_id !== undefined && updateData.credit_card_id !== null) {
-      updateData.credit_card_id = updateData.credit_card_id.trim() !== '' ? updateData.credit_card_id : undefined;
+    const validationError = await validateExpenseUpdate(req.user._id, expense, req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
     }
 
     const updatedExpense = await Expense.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      prepareExpenseUpdate(req.body),
       { new: true, runValidators: true }
-    ).populate([
-      { path: 'category_id', select: 'name color icon' },
-      { path: 'credit_card_id', select: 'bank_name card_number' },
-      { path: 'borrowed_id', select: 'name amount type' }
-    ]);
+    ).populate(EXPENSE_POPULATE);
+
+    await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'update', before: expense, after: updatedExpense });
 
     res.json({
       message: 'Expense updated successfully',
@@ -355,11 +523,11 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/expenses/:id
-// @desc    Delete expense
+// @desc    Move expense to the trash
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const expense = await Expense.findOneAndDelete({
+    const expense = await Expense.findOne({
       _id: req.params.id,
       user_id: req.user._id
     });
@@ -368,13 +536,318 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    res.json({ message: 'Expense deleted successfully' });
+    const trashedExpense = await Expense.findOneAndUpdate(
+      { _id: expense._id, user_id: req.user._id },
+      { deleted_at: new Date() },
+      { new: true }
+    );
+    await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'delete', before: expense, after: trashedExpense });
+
+    res.json({
+      message: `Expense moved to trash. It can be restored for ${TRASH_RETENTION_DAYS} day(s).`,
+      deleted_at: trashedExpense.deleted_at
+    });
   } catch (error) {
     console.error('Expense deletion error:', error);
     res.status(500).json({ message: 'Server error while deleting expense' });
   }
 });
 
+// @route   POST /api/expenses/:id/restore
+// @desc    Restore an expense from the trash
+// @access  Private
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Expense not found in trash' });
+    }
+
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      ...Expense.trashFilter(req.user._id)
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found in trash' });
+    }
+
+    // The category, card or loan it refers to may have been deleted since
+    const referenceError = await validateNewExpense(req.user._id, expense.toObject());
+    if (referenceError) {
+      return res.status(409).json({
+        ...referenceError,
+        message: `Expense cannot be restored: ${referenceError.message}`
+      });
+    }
+
+    const before = snapshot(expense);
+    expense.deleted_at = null;
+    await expense.save();
+    await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'restore', before, after: expense });
+
+    res.json({
+      message: 'Expense restored successfully',
+      expense
+    });
+  } catch (error) {
+    console.error('Expense restore error:', error);
+    res.status(500).json({ message: 'Server error while restoring expense' });
+  }
+});
+
+// @route   POST /api/expenses/:id/merge
+// @desc    Merge a duplicate into this expense, body { duplicate_id }. This expense keeps its values
+//          and gains the duplicate's receipts and tags, plus its note and merchant where it has none.
+//          The duplicate is moved to the trash. The two must look like duplicates of each other
+//          (see utils/duplicates) unless force: true is given.
+// @access  Private
+router.post('/:id/merge', auth, async (req, res) => {
+  try {
+    const { duplicate_id } = req.body;
+    const force = req.body.force === true || req.body.force === 'true';
+
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    if (!isValidObjectId(duplicate_id)) {
+      return res.status(400).json({ message: 'A valid duplicate_id is required', field: 'duplicate_id' });
+    }
+    if (String(duplicate_id) === req.params.id) {
+      return res.status(400).json({ message: 'An expense cannot be merged with itself', field: 'duplicate_id' });
+    }
+
+    const [expense, duplicate] = await Promise.all([
+      Expense.findOne({ _id: req.params.id, user_id: req.user._id }),
+      Expense.findOne({ _id: duplicate_id, user_id: req.user._id })
+    ]);
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+    if (!duplicate) {
+      return res.status(404).json({ message: 'Duplicate expense not found', field: 'duplicate_id' });
+    }
+
+    if (!force && !isDuplicatePair(req.user, expense, duplicate)) {
+      return res.status(409).json({
+        message: 'These expenses do not look like duplicates of each other. Send force: true to merge them anyway.',
+        field: 'duplicate_id'
+      });
+    }
+
+    if (expense.attachments.length + duplicate.attachments.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+      return res.status(400).json({
+        message: `The merged expense would have more than ${MAX_ATTACHMENTS_PER_EXPENSE} attachments. Delete some receipts first.`
+      });
+    }
+
+    const before = snapshot(expense);
+    const duplicateBefore = snapshot(duplicate);
+
+    const tags = [...new Set([...expense.tags, ...duplicate.tags])];
+    expense.tags = tags.slice(0, Math.max(expense.tags.length, Expense.MAX_TAGS));
+    if (!expense.note && duplicate.note) expense.note = duplicate.note;
+    if (!expense.merchant_id && duplicate.merchant_id) expense.merchant_id = duplicate.merchant_id;
+    expense.attachments.push(...duplicate.attachments.map(attachment => attachment.toObject()));
+
+    try {
+      await expense.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: `Expenses cannot be merged: ${error.message}` });
+      }
+      throw error;
+    }
+
+    // The receipts now belong to the kept expense, so purging the duplicate must not remove them
+    const trashedDuplicate = await Expense.findOneAndUpdate(
+      { _id: duplicate._id, user_id: req.user._id },
+      { deleted_at: new Date(), attachments: [] },
+      { new: true }
+    );
+
+    await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'update', before, after: expense });
+    await recordAudit(req, {
+      entityType: 'expense',
+      entityId: duplicate._id,
+      action: 'delete',
+      before: duplicateBefore,
+      after: trashedDuplicate
+    });
+
+    await expense.populate(EXPENSE_POPULATE);
+
+    res.json({
+      message: `Expenses merged. The duplicate was moved to trash and can be restored for ${TRASH_RETENTION_DAYS} day(s).`,
+      expense,
+      merged_id: duplicate._id
+    });
+  } catch (error) {
+    console.error('Expense merge error:', error);
+    res.status(500).json({ message: 'Server error while merging expenses' });
+  }
+});
+
+// @route   POST /api/expenses/:id/attachments
+// @desc    Upload receipt files (multipart field "files"): JPEG, PNG, GIF, WebP or PDF
+// @access  Private
+router.post('/:id/attachments', auth, uploadFiles('files', MAX_ATTACHMENTS_PER_EXPENSE), async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded. Send them in the "files" multipart field.', field: 'files' });
+    }
+
+    const expense = await Expense.findOne({ _id: req.params.id, user_id: req.user._id });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (expense.attachments.length + files.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+      return res.status(400).json({
+        message: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments`,
+        field: 'files'
+      });
+    }
+
+    // Check every file before storing any of them
+    const detected = files.map(file => detectFileType(file.buffer));
+    const rejected = files.filter((file, index) => !detected[index]).map(file => file.originalname);
+    if (rejected.length > 0) {
+      return res.status(415).json({
+        message: `Unsupported file type. Allowed types: ${ALLOWED_CONTENT_TYPES.join(', ')}`,
+        field: 'files',
+        value: rejected
+      });
+    }
+
+    const storage = getStorage();
+    const before = snapshot(expense);
+    const attachments = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        const type = detected[index];
+        const attachmentId = new mongoose.Types.ObjectId();
+        const storageKey = `${req.user._id}/${expense._id}/${attachmentId}${type.extension}`;
+
+        await storage.save(storageKey, file.buffer);
+        attachments.push({
+          _id: attachmentId,
+          storage_key: storageKey,
+          filename: file.originalname,
+          content_type: type.contentType,
+          size: file.size,
+          width: type.width,
+          height: type.height,
+          thumbnail: thumbnailSize(type.width, type.height, THUMBNAIL_SIZE)
+        });
+      }
+
+      expense.attachments.push(...attachments);
+      await expense.save();
+    } catch (error) {
+      await removeFiles(attachments.map(attachment => attachment.storage_key));
+      throw error;
+    }
+
+    await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'update', before, after: expense });
+
+    res.status(201).json({
+      message: `${attachments.length} attachment(s) uploaded successfully`,
+      attachments: expense.attachments.slice(-attachments.length)
+    });
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    res.status(500).json({ message: 'Server error while uploading attachments' });
+  }
+});
+
+// @route   GET /api/expenses/:id/attachments/:attachmentId
+// @desc    Download an attachment (?download=true to save instead of display inline)
+// @access  Private
+router.get('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id) || !isValidObjectId(req.params.attachmentId)) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const expense = await Expense.findOne({ _id: req.params.id, user_id: req.user._id })
+      .select('attachments');
+    const attachment = expense?.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const stream = getStorage().createReadStream(attachment.storage_key);
+    stream.on('error', (error) => {
+      if (res.headersSent) return res.destroy(error);
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ message: 'Attachment file is missing' });
+      }
+      console.error('Attachment download error:', error);
+      res.status(500).json({ message: 'Server error while downloading attachment' });
+    });
+    stream.once('open', () => {
+      res.attachment(attachment.filename || 'receipt');
+      res.set({
+        'Content-Type': attachment.content_type,
+        'Content-Length': attachment.size,
+        'Cache-Control': 'private, no-store'
+      });
+      if (req.query.download !== 'true') {
+        res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    res.status(500).json({ message: 'Server error while downloading attachment' });
+  }
+});
+
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
+// @desc    Delete an attachment and its file
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id) || !isValidObjectId(req.params.attachmentId)) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const expense = await Expense.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user._id, 'attachments._id': req.params.attachmentId },
+      { $pull: { attachments: { _id: req.params.attachmentId } } }
+    );
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const attachment = expense.attachments.id(req.params.attachmentId);
+    await removeFiles([attachment.storage_key]);
+
+    const before = snapshot(expense);
+    await recordAudit(req, {
+      entityType: 'expense',
+      entityId: expense._id,
+      action: 'update',
+      before,
+      after: { ...before, attachments: before.attachments.filter(item => !item._id.equals(attachment._id)) }
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    console.error('Attachment deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting attachment' });
+  }
+});
+
 // @route   GET /api/expenses/analytics/summary
 // @desc    Get expense analytics summary
 // @access  Private
@@ -382,29 +855,53 @@ router.get('/analytics/summary', auth, async (req, res) => {
   try {
     const { start_date, end_date } = req.query;
     const filter = { user_id: req.user._id };
+    const { currency, week_start } = req.user.preferences;
+    const timeZone = getUserTimeZone(req.user);
 
-    if (start_date || end_date) {
-      filter.date = {};
-      if (start_date) filter.date.$gte = new Date(start_date);
-      if (end_date) filter.date.$lte = new Date(end_date);
-    }
+    const dateRange = buildDateRange(start_date, end_date, timeZone);
+    if (dateRange) filter.date = dateRange;
+
+    // Every total is in the base currency, converted at the rate for each expense's date
+    const converted = [{ $match: filter }, ...convertToBaseStages(req.user, timeZone)];
 
     // Total expenses
     const totalExpenses = await Expense.aggregate([
-      { $match: filter },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      ...converted,
+      { $group: { _id: null, total: { $sum: '$base_amount' } } }
     ]);
 
-    // Expenses by category
+    // Expenses by category (each line of a split expense counts toward its own category)
     const expensesByCategory = await Expense.aggregate([
-      { $match: filter },
+      ...converted,
+      {
+        $project: {
+          parts: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$line_items', []] } }, 0] },
+              {
+                $map: {
+                  input: '$line_items',
+                  as: 'line',
+                  in: {
+                    amount: { $multiply: ['$$line.amount', '$exchange_rate'] },
+                    category_id: '$$line.category_id'
+                  }
+                }
+              },
+              [{ amount: '$base_amount', category_id: '$category_id' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$parts' },
       {
         $group: {
-          _id: '$category_id',
-          total: { $sum: '$amount' },
-          count: { $sum: 1 }
+          _id: '$parts.category_id',
+          total: { $sum: '$parts.amount' },
+          expense_ids: { $addToSet: '$_id' }
         }
       },
+      { $addFields: { count: { $size: '$expense_ids' } } },
       {
         $lookup: {
           from: 'categories',
@@ -426,43 +923,109 @@ router.get('/analytics/summary', auth, async (req, res) => {
       { $sort: { total: -1 } }
     ]);
 
+    // Expenses by tag (an expense with several tags counts toward each of them)
+    const expensesByTag = await Expense.aggregate([
+      ...converted,
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          total: { $sum: '$base_amount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { total: -1 } },
+      { $project: { _id: 0, tag: '$_id', total: 1, count: 1 } }
+    ]);
+
     // Expenses by payment mode
     const expensesByPaymentMode = await Expense.aggregate([
-      { $match: filter },
+      ...converted,
       {
         $group: {
           _id: '$payment_mode',
-          total: { $sum: '$amount' },
+          total: { $sum: '$base_amount' },
           count: { $sum: 1 }
         }
       },
       { $sort: { total: -1 } }
     ]);
 
-    // Monthly trend (last 12 months)
+    // Monthly trend (last 12 months), bucketed in the user's timezone
     const monthlyTrend = await Expense.aggregate([
-      { $match: filter },
+      ...converted,
+      {
+        $group: {
+          _id: {
+            year: { $year: { date: '$date', timezone: timeZone } },
+            month: { $month: { date: '$date', timezone: timeZone } }
+          },
+          total: { $sum: '$base_amount' }
+        }
+      },
+      { $sort: { '_id.year': -1, '_id.month': -1 } },
+      { $limit: 12 },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+
+    // Weekly trend (last 12 weeks), weeks starting on the user's preferred day
+    const weeklyTrend = await Expense.aggregate([
+      ...converted,
       {
         $group: {
           _id: {
-            year: { $year: '$date' },
-            month: { $month: '$date' }
+            $dateTrunc: {
+              date: '$date',
+              unit: 'week',
+              timezone: timeZone,
+              startOfWeek: week_start || 'monday'
+            }
           },
-          total: { $sum: '$amount' }
+          total: { $sum: '$base_amount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: -1 } },
+      { $limit: 12 },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          week_start: { $dateToString: { date: '$_id', format: '%Y-%m-%d', timezone: timeZone } },
+          total: 1,
+          count: 1
+        }
+      }
+    ]);
+
+    // Expenses in currencies with no known rate for their date are left out of the totals
+    const unconverted = await Expense.aggregate([
+      ...converted,
+      { $match: { exchange_rate: null } },
+      {
+        $group: {
+          _id: '$currency',
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
         }
       },
-      { $sort: { '_id.year': 1, '_id.month': 1 } },
-      { $limit: 12 }
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, currency: '$_id', total: 1, count: 1 } }
     ]);
 
     res.json({
       summary: {
         total_amount: totalExpenses[0]?.total || 0,
-        total_count: await Expense.countDocuments(filter)
+        total_count: await Expense.countDocuments(filter),
+        currency,
+        timezone: timeZone,
+        unconverted
       },
       by_category: expensesByCategory,
+      by_tag: expensesByTag,
       by_payment_mode: expensesByPaymentMode,
-      monthly_trend: monthlyTrend
+      monthly_trend: monthlyTrend,
+      weekly_trend: weeklyTrend
     });
   } catch (error) {
     console.error('Analytics error:', error);
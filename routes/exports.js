@@ -0,0 +1,296 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Expense = require('../models/Expense');
+const Payment = require('../models/Payment');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const Merchant = require('../models/Merchant');
+const Account = require('../models/Account');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { getUserTimeZone, formatLocalDate } = require('../utils/dateTime');
+const { buildExpenseFilter } = require('../utils/expenseQuery');
+const { buildPaymentFilter } = require('../utils/paymentQuery');
+const { EXPORT_FORMATS, streamExport } = require('../utils/exportFormats');
+
+const router = express.Router();
+
+const EXPENSE_COLUMNS = [
+  'id', 'date', 'amount', 'currency', 'merchant', 'category', 'line_items', 'payment_mode',
+  'credit_card', 'borrowed_from', 'account', 'note', 'tags', 'attachments', 'created_at'
+];
+const PAYMENT_COLUMNS = [
+  'id', 'date', 'type', 'paid_to', 'amount', 'currency', 'payment_method', 'account', 'note', 'created_at'
+];
+const BORROWED_COLUMNS = [
+  'id', 'date', 'name', 'phone', 'type', 'amount', 'repaid_amount', 'remaining_amount',
+  'currency', 'status', 'note', 'created_at'
+];
+
+// Check the format parameter; answers the request and returns null when it is invalid
+const readFormat = (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`, field: 'format' });
+    return null;
+  }
+  return format;
+};
+
+// Map a cursor's documents to export records
+async function* mapCursor(cursor, toRecord) {
+  try {
+    for await (const doc of cursor) {
+      yield toRecord(doc);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+// First and last date of the exported records, needed up front by OFX. Aggregations don't
+// cast their filter, so it is cast to the schema (string IDs to ObjectIds) as find() would.
+const dateBounds = async (Model, filter, dateField) => {
+  const [bounds] = await Model.aggregate([
+    { $match: Model.find(filter).cast() },
+    { $group: { _id: null, start: { $min: `$${dateField}` }, end: { $max: `$${dateField}` } } }
+  ]);
+  const now = new Date();
+  return { start: bounds?.start || now, end: bounds?.end || now };
+};
+
+// Finish a failed export: a JSON error if nothing was sent yet, otherwise cut the download short
+const handleExportError = (res, error, label) => {
+  console.error(`${label} export error:`, error);
+  if (res.headersSent) {
+    res.destroy(error);
+  } else {
+    res.status(500).json({ message: `Server error while exporting ${label.toLowerCase()}` });
+  }
+};
+
+// @route   GET /api/exports/expenses
+// @desc    Export expenses as CSV, JSON or OFX (?format=), with the GET /api/expenses filters
+// @access  Private
+router.get('/expenses', auth.scope('expenses'), auth, async (req, res) => {
+  try {
+    const format = readFormat(req, res);
+    if (!format) return;
+
+    const { filter, error } = await buildExpenseFilter(req.user, req.query);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const timeZone = getUserTimeZone(req.user);
+    const { currency } = req.user.preferences;
+
+    // Names are looked up from small per-user collections instead of populating every row
+    const [categories, merchants, creditCards, borrowed, accounts] = await Promise.all([
+      Category.find({ user_id: req.user._id }).select('name').lean(),
+      Merchant.find({ user_id: req.user._id }).select('name').lean(),
+      CreditCard.find({ user_id: req.user._id }).select('bank_name card_number').lean(),
+      BorrowedMoney.find({ user_id: req.user._id }).select('name').lean(),
+      Account.find({ user_id: req.user._id }).select('name').lean()
+    ]);
+    const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+    const merchantNames = new Map(merchants.map(merchant => [merchant._id.toString(), merchant.name]));
+    const cardNames = new Map(creditCards.map(card => [
+      card._id.toString(),
+      card.card_number ? `${card.bank_name} ${card.card_number}` : card.bank_name
+    ]));
+    const borrowedNames = new Map(borrowed.map(record => [record._id.toString(), record.name]));
+    const accountNames = new Map(accounts.map(account => [account._id.toString(), account.name]));
+    const nameOf = (names, id) => (id ? names.get(id.toString()) || '' : '');
+
+    const toRecord = (expense) => ({
+      id: expense._id.toString(),
+      date: formatLocalDate(expense.date, timeZone),
+      amount: expense.amount,
+      currency: expense.currency || currency,
+      merchant: nameOf(merchantNames, expense.merchant_id),
+      category: nameOf(categoryNames, expense.category_id),
+      line_items: (expense.line_items || [])
+        .map(item => `${nameOf(categoryNames, item.category_id)}: ${item.amount}${item.note ? ` (${item.note})` : ''}`)
+        .join('; '),
+      payment_mode: expense.payment_mode,
+      credit_card: nameOf(cardNames, expense.credit_card_id),
+      borrowed_from: nameOf(borrowedNames, expense.borrowed_id),
+      account: nameOf(accountNames, expense.account_id),
+      note: expense.note || '',
+      tags: (expense.tags || []).join('; '),
+      attachments: (expense.attachments || []).length,
+      created_at: expense.createdAt
+    });
+
+    const cursor = Expense.find(filter)
+      .sort({ date: 1 })
+      .select('-attachments.storage_key')
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      name: 'expenses',
+      columns: EXPENSE_COLUMNS,
+      records: mapCursor(cursor, toRecord),
+      ofx: format === 'ofx' && {
+        ...(await dateBounds(Expense, filter, 'date')),
+        currency,
+        accountId: 'EXPENSES',
+        transaction: record => ({
+          id: record.id,
+          date: record.date,
+          amount: -record.amount,
+          name: record.merchant || record.category,
+          // OFX statements have one currency; amounts in another one are labelled in the memo
+          memo: [
+            record.currency !== currency && `Amount in ${record.currency}`,
+            record.note,
+            record.credit_card && `Card: ${record.credit_card}`
+          ].filter(Boolean).join(' - ')
+        })
+      }
+    });
+  } catch (error) {
+    handleExportError(res, error, 'Expense');
+  }
+});
+
+// @route   GET /api/exports/payments
+// @desc    Export payments as CSV, JSON or OFX (?format=), with the GET /api/payments filters
+// @access  Private
+router.get('/payments', auth.scope('payments'), auth, async (req, res) => {
+  try {
+    const format = readFormat(req, res);
+    if (!format) return;
+
+    const filter = buildPaymentFilter(req.user, req.query);
+    const timeZone = getUserTimeZone(req.user);
+    const { currency } = req.user.preferences;
+
+    // Payments point at a card, a borrowed money record or a group, plus a person for settlements
+    const [creditCards, borrowed, accounts, groupIds, counterpartyIds] = await Promise.all([
+      CreditCard.find({ user_id: req.user._id }).select('bank_name card_number').lean(),
+      BorrowedMoney.find({ user_id: req.user._id }).select('name').lean(),
+      Account.find({ user_id: req.user._id }).select('name').lean(),
+      Payment.distinct('reference_id', { user_id: req.user._id, type: 'group_settlement' }),
+      Payment.distinct('counterparty_user_id', { user_id: req.user._id, type: 'group_settlement' })
+    ]);
+    const [groups, counterparties] = await Promise.all([
+      Group.find({ _id: { $in: groupIds } }).select('name').lean(),
+      User.find({ _id: { $in: counterpartyIds } }).select('username').lean()
+    ]);
+
+    const referenceNames = new Map([
+      ...creditCards.map(card => [card._id.toString(), card.card_number ? `${card.bank_name} ${card.card_number}` : card.bank_name]),
+      ...borrowed.map(record => [record._id.toString(), record.name]),
+      ...groups.map(group => [group._id.toString(), group.name])
+    ]);
+    const usernames = new Map(counterparties.map(user => [user._id.toString(), user.username]));
+    const accountNames = new Map(accounts.map(account => [account._id.toString(), account.name]));
+
+    const toRecord = (payment) => {
+      let paidTo = referenceNames.get(payment.reference_id.toString()) || '';
+      if (payment.type === 'group_settlement' && payment.counterparty_user_id) {
+        paidTo = `${usernames.get(payment.counterparty_user_id.toString()) || 'former member'} (${paidTo})`;
+      }
+
+      return {
+        id: payment._id.toString(),
+        date: formatLocalDate(payment.payment_date, timeZone),
+        type: payment.type,
+        paid_to: paidTo,
+        amount: payment.amount,
+        currency,
+        payment_method: payment.payment_method,
+        account: payment.account_id ? accountNames.get(payment.account_id.toString()) || '' : '',
+        note: payment.note || '',
+        created_at: payment.createdAt
+      };
+    };
+
+    const cursor = Payment.find(filter).sort({ payment_date: 1 }).lean().cursor();
+
+    await streamExport(res, {
+      format,
+      name: 'payments',
+      columns: PAYMENT_COLUMNS,
+      records: mapCursor(cursor, toRecord),
+      ofx: format === 'ofx' && {
+        ...(await dateBounds(Payment, filter, 'payment_date')),
+        currency,
+        accountId: 'PAYMENTS',
+        transaction: record => ({
+          id: record.id,
+          date: record.date,
+          amount: -record.amount,
+          name: record.paid_to || record.type,
+          memo: record.note
+        })
+      }
+    });
+  } catch (error) {
+    handleExportError(res, error, 'Payment');
+  }
+});
+
+// @route   GET /api/exports/borrowed-money
+// @desc    Export borrowed and lent money as CSV, JSON or OFX (?format=, type, status)
+// @access  Private
+router.get('/borrowed-money', auth.scope('borrowed-money'), auth, async (req, res) => {
+  try {
+    const format = readFormat(req, res);
+    if (!format) return;
+
+    const { type, status } = req.query;
+    const filter = { user_id: req.user._id };
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+
+    const timeZone = getUserTimeZone(req.user);
+    const { currency } = req.user.preferences;
+
+    const toRecord = (record) => ({
+      id: record._id.toString(),
+      date: formatLocalDate(record.createdAt, timeZone),
+      name: record.name,
+      phone: record.phone || '',
+      type: record.type,
+      amount: record.amount,
+      repaid_amount: record.repaid_amount,
+      remaining_amount: Math.round((record.amount - record.repaid_amount) * 100) / 100,
+      currency,
+      status: record.status,
+      note: record.note || '',
+      created_at: record.createdAt
+    });
+
+    const cursor = BorrowedMoney.find(filter).sort({ createdAt: 1 }).lean().cursor();
+
+    await streamExport(res, {
+      format,
+      name: 'borrowed-money',
+      columns: BORROWED_COLUMNS,
+      records: mapCursor(cursor, toRecord),
+      // Borrowing brings money in, lending sends it out
+      ofx: format === 'ofx' && {
+        ...(await dateBounds(BorrowedMoney, filter, 'createdAt')),
+        currency,
+        accountId: 'LOANS',
+        transaction: record => ({
+          id: record.id,
+          date: record.date,
+          amount: record.type === 'borrowed' ? record.amount : -record.amount,
+          name: record.name,
+          memo: [record.type, record.note].filter(Boolean).join(' - ')
+        })
+      }
+    });
+  } catch (error) {
+    handleExportError(res, error, 'Borrowed money');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,573 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupExpense = require('../models/GroupExpense');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const {
+  fromCents,
+  computeSplits,
+  computeSettlementTransfers
+} = require('../utils/settlement');
+const { getGroupBalances } = require('../utils/groupBalances');
+
+const router = express.Router();
+
+// API keys need the groups:read / groups:write scopes
+router.use(auth.scope('groups'));
+
+const MEMBER_FIELDS = 'username firstName lastName';
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Find a group the current user belongs to
+const findGroup = (req) => {
+  if (!isValidObjectId(req.params.id)) return null;
+  return Group.findOne({ _id: req.params.id, 'members.user_id': req.user._id });
+};
+
+// Look up registered users by username or email
+const findUsersByIdentifiers = async (identifiers) => {
+  const normalized = identifiers.map(value => String(value).trim()).filter(Boolean);
+  const users = await User.find({
+    isActive: true,
+    $or: [
+      { username: { $in: normalized } },
+      { email: { $in: normalized.map(value => value.toLowerCase()) } }
+    ]
+  }).select('_id username email');
+
+  const missing = normalized.filter(value =>
+    !users.some(user => user.username === value || user.email === value.toLowerCase()));
+
+  return { users, missing };
+};
+
+// Attach usernames to balances and transfers for responses
+const describeMembers = async (group) => {
+  const users = await User.find({ _id: { $in: group.members.map(member => member.user_id) } })
+    .select(MEMBER_FIELDS);
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+const formatBalances = (balances, members) => {
+  return [...balances].map(([userId, cents]) => ({
+    user_id: userId,
+    username: members.get(userId)?.username || null,
+    balance: fromCents(cents)
+  }));
+};
+
+const formatTransfers = (transfers, members) => {
+  return transfers.map(transfer => ({
+    ...transfer,
+    from_username: members.get(transfer.from)?.username || null,
+    to_username: members.get(transfer.to)?.username || null
+  }));
+};
+
+// @route   POST /api/groups
+// @desc    Create a group; members are registered users given by username or email
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, members = [] } = req.body;
+
+    if (!Array.isArray(members)) {
+      return res.status(400).json({ message: 'Members must be an array of usernames or emails', field: 'members' });
+    }
+
+    const { users, missing } = await findUsersByIdentifiers(members);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: 'Some members are not registered users',
+        field: 'members',
+        value: missing
+      });
+    }
+
+    const group = new Group({
+      name,
+      created_by: req.user._id,
+      members: [
+        { user_id: req.user._id, role: 'owner' },
+        ...users
+          .filter(user => !user._id.equals(req.user._id))
+          .map(user => ({ user_id: user._id, role: 'member' }))
+      ]
+    });
+
+    await group.save();
+    await group.populate('members.user_id', MEMBER_FIELDS);
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Group creation error:', error);
+    res.status(500).json({ message: 'Server error while creating group' });
+  }
+});
+
+// @route   GET /api/groups
+// @desc    Get all groups the user belongs to, with the user's balance in each
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const groups = await Group.find({ 'members.user_id': req.user._id })
+      .sort({ updatedAt: -1 });
+
+    // Balances come from the member IDs, before populate turns a missing user into null
+    const balances = await Promise.all(groups.map(group => getGroupBalances(group)));
+    await Group.populate(groups, { path: 'members.user_id', select: MEMBER_FIELDS });
+
+    const result = groups.map((group, i) => {
+      const data = group.toObject();
+      return {
+        ...data,
+        members: data.members.filter(member => member.user_id),
+        my_balance: fromCents(balances[i].get(req.user._id.toString()) || 0)
+      };
+    });
+
+    res.json({ groups: result });
+  } catch (error) {
+    console.error('Group fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching groups' });
+  }
+});
+
+// @route   GET /api/groups/:id
+// @desc    Get group with member balances
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const [balances, members] = await Promise.all([getGroupBalances(group), describeMembers(group)]);
+    await group.populate('members.user_id', MEMBER_FIELDS);
+
+    res.json({
+      group,
+      balances: formatBalances(balances, members)
+    });
+  } catch (error) {
+    console.error('Group fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching group' });
+  }
+});
+
+// @route   PUT /api/groups/:id
+// @desc    Rename group
+// @access  Private (owner)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!group.isOwner(req.user._id)) {
+      return res.status(403).json({ message: 'Only the group owner can update the group' });
+    }
+
+    if (req.body.name !== undefined) group.name = req.body.name;
+    await group.save();
+
+    res.json({
+      message: 'Group updated successfully',
+      group
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Group update error:', error);
+    res.status(500).json({ message: 'Server error while updating group' });
+  }
+});
+
+// @route   DELETE /api/groups/:id
+// @desc    Delete a fully settled group with its expenses and settlement payments
+// @access  Private (owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!group.isOwner(req.user._id)) {
+      return res.status(403).json({ message: 'Only the group owner can delete the group' });
+    }
+
+    const balances = await getGroupBalances(group);
+    if ([...balances.values()].some(cents => cents !== 0)) {
+      return res.status(400).json({ message: 'Cannot delete a group with unsettled balances. Please settle up first.' });
+    }
+
+    await GroupExpense.deleteMany({ group_id: group._id });
+    await Payment.deleteMany({ type: 'group_settlement', reference_id: group._id });
+    await Group.deleteOne({ _id: group._id });
+
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Group deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting group' });
+  }
+});
+
+// @route   POST /api/groups/:id/members
+// @desc    Add registered users to the group by username or email
+// @access  Private
+router.post('/:id/members', auth, async (req, res) => {
+  try {
+    const { members } = req.body;
+
+    if (!Array.isArray(members) || members.length === 0) {
+      return res.status(400).json({ message: 'Members must be a non-empty array of usernames or emails', field: 'members' });
+    }
+
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const { users, missing } = await findUsersByIdentifiers(members);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: 'Some members are not registered users',
+        field: 'members',
+        value: missing
+      });
+    }
+
+    const added = users.filter(user => !group.isMember(user._id));
+    added.forEach(user => group.members.push({ user_id: user._id, role: 'member' }));
+    await group.save();
+    await group.populate('members.user_id', MEMBER_FIELDS);
+
+    res.json({
+      message: `${added.length} member(s) added`,
+      group
+    });
+  } catch (error) {
+    console.error('Group member add error:', error);
+    res.status(500).json({ message: 'Server error while adding members' });
+  }
+});
+
+// @route   DELETE /api/groups/:id/members/:userId
+// @desc    Remove a member (owner) or leave the group (self); the member's balance must be zero
+// @access  Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const isSelf = req.user._id.equals(req.params.userId);
+    if (!isSelf && !group.isOwner(req.user._id)) {
+      return res.status(403).json({ message: 'Only the group owner can remove other members' });
+    }
+
+    if (!isValidObjectId(req.params.userId) || !group.isMember(req.params.userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (group.isOwner(req.params.userId)) {
+      return res.status(400).json({ message: 'The group owner cannot leave. Delete the group instead.' });
+    }
+
+    const balances = await getGroupBalances(group);
+    if ((balances.get(req.params.userId) || 0) !== 0) {
+      return res.status(400).json({ message: 'Member has an unsettled balance. Please settle up first.' });
+    }
+
+    group.members = group.members.filter(member => !member.user_id.equals(req.params.userId));
+    await group.save();
+
+    res.json({ message: isSelf ? 'You left the group' : 'Member removed successfully' });
+  } catch (error) {
+    console.error('Group member removal error:', error);
+    res.status(500).json({ message: 'Server error while removing member' });
+  }
+});
+
+// @route   POST /api/groups/:id/expenses
+// @desc    Add a shared expense. split_type is equal, shares or exact;
+//          splits: [{ user_id, shares? , amount? }] (defaults to all members for equal)
+// @access  Private
+router.post('/:id/expenses', auth, async (req, res) => {
+  try {
+    const { amount, description, date, paid_by, split_type = 'equal', splits } = req.body;
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ message: 'Valid amount is required' });
+    }
+
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const payerId = paid_by || req.user._id.toString();
+    if (!isValidObjectId(payerId) || !group.isMember(payerId)) {
+      return res.status(400).json({ message: 'Payer must be a member of the group', field: 'paid_by', value: paid_by });
+    }
+
+    const participants = Array.isArray(splits) && splits.length > 0
+      ? splits
+      : group.members.map(member => ({ user_id: member.user_id.toString() }));
+
+    const nonMembers = participants.filter(p => !isValidObjectId(p.user_id) || !group.isMember(p.user_id));
+    if (nonMembers.length > 0) {
+      return res.status(400).json({
+        message: 'Every participant must be a member of the group',
+        field: 'splits',
+        value: nonMembers.map(p => p.user_id)
+      });
+    }
+
+    if (new Set(participants.map(p => String(p.user_id))).size !== participants.length) {
+      return res.status(400).json({ message: 'Each participant can only appear once', field: 'splits' });
+    }
+
+    let computedSplits;
+    try {
+      computedSplits = computeSplits(amount, split_type, participants);
+    } catch (splitError) {
+      return res.status(400).json({ message: splitError.message, field: 'splits' });
+    }
+
+    const groupExpense = new GroupExpense({
+      group_id: group._id,
+      paid_by: payerId,
+      created_by: req.user._id,
+      amount,
+      description,
+      date: date || new Date(),
+      split_type,
+      splits: computedSplits
+    });
+
+    await groupExpense.save();
+    await groupExpense.populate([
+      { path: 'paid_by', select: MEMBER_FIELDS },
+      { path: 'splits.user_id', select: MEMBER_FIELDS }
+    ]);
+
+    res.status(201).json({
+      message: 'Group expense added successfully',
+      groupExpense
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Group expense creation error:', error);
+    res.status(500).json({ message: 'Server error while adding group expense' });
+  }
+});
+
+// @route   GET /api/groups/:id/expenses
+// @desc    Get group expenses
+// @access  Private
+router.get('/:id/expenses', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const filter = { group_id: group._id };
+
+    const groupExpenses = await GroupExpense.find(filter)
+      .populate('paid_by', MEMBER_FIELDS)
+      .populate('splits.user_id', MEMBER_FIELDS)
+      .sort({ date: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await GroupExpense.countDocuments(filter);
+
+    res.json({
+      groupExpenses,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Group expense fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching group expenses' });
+  }
+});
+
+// @route   DELETE /api/groups/:id/expenses/:expenseId
+// @desc    Delete a group expense (its creator, payer or the group owner). Refused once a
+//          settlement was recorded after it or when someone it involves has left the group.
+// @access  Private
+router.delete('/:id/expenses/:expenseId', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!isValidObjectId(req.params.expenseId)) {
+      return res.status(404).json({ message: 'Group expense not found' });
+    }
+
+    const groupExpense = await GroupExpense.findOne({ _id: req.params.expenseId, group_id: group._id });
+
+    if (!groupExpense) {
+      return res.status(404).json({ message: 'Group expense not found' });
+    }
+
+    const canDelete = groupExpense.created_by.equals(req.user._id) ||
+      groupExpense.paid_by.equals(req.user._id) ||
+      group.isOwner(req.user._id);
+    if (!canDelete) {
+      return res.status(403).json({ message: 'Only the creator, payer or group owner can delete this expense' });
+    }
+
+    // Ex-members can no longer settle up, so their balances must not change
+    const involved = [groupExpense.paid_by, ...groupExpense.splits.map(split => split.user_id)];
+    if (involved.some(userId => !group.isMember(userId))) {
+      return res.status(409).json({
+        message: 'Cannot delete an expense involving someone who has left the group'
+      });
+    }
+
+    const settledSince = await Payment.exists({
+      type: 'group_settlement',
+      reference_id: group._id,
+      payment_date: { $gt: groupExpense.date }
+    });
+    if (settledSince) {
+      return res.status(409).json({
+        message: 'Cannot delete an expense that was followed by a settlement. Add a correcting expense instead.'
+      });
+    }
+
+    await GroupExpense.deleteOne({ _id: groupExpense._id });
+
+    res.json({ message: 'Group expense deleted successfully' });
+  } catch (error) {
+    console.error('Group expense deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting group expense' });
+  }
+});
+
+// @route   GET /api/groups/:id/balances
+// @desc    Get running balance per member (positive = is owed money)
+// @access  Private
+router.get('/:id/balances', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const [balances, members] = await Promise.all([getGroupBalances(group), describeMembers(group)]);
+
+    res.json({ balances: formatBalances(balances, members) });
+  } catch (error) {
+    console.error('Group balance fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching balances' });
+  }
+});
+
+// @route   GET /api/groups/:id/settle-up
+// @desc    Preview the transfers that would settle every balance
+// @access  Private
+router.get('/:id/settle-up', auth, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const [balances, members] = await Promise.all([getGroupBalances(group), describeMembers(group)]);
+
+    res.json({
+      balances: formatBalances(balances, members),
+      transfers: formatTransfers(computeSettlementTransfers(balances), members)
+    });
+  } catch (error) {
+    console.error('Settle-up preview error:', error);
+    res.status(500).json({ message: 'Server error while computing settlement' });
+  }
+});
+
+// @route   POST /api/groups/:id/settle-up
+// @desc    Record the settling transfers the current user pays as payments. Each member records
+//          their own payments, so nobody can settle a debt on someone else's behalf.
+// @access  Private
+router.post('/:id/settle-up', auth, async (req, res) => {
+  try {
+    const { payment_method, payment_date } = req.body;
+    const group = await findGroup(req);
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const [balances, members] = await Promise.all([getGroupBalances(group), describeMembers(group)]);
+    const me = req.user._id.toString();
+
+    const transfers = computeSettlementTransfers(balances).filter(transfer => transfer.from === me);
+
+    if (transfers.length === 0) {
+      return res.status(400).json({ message: 'You have nothing to pay in this group' });
+    }
+
+    const payments = await Payment.insertMany(transfers.map(transfer => ({
+      user_id: transfer.from,
+      type: 'group_settlement',
+      reference_id: group._id,
+      counterparty_user_id: transfer.to,
+      amount: transfer.amount,
+      payment_date: payment_date || new Date(),
+      note: `Settlement in ${group.name}: ${members.get(transfer.from)?.username} paid ${members.get(transfer.to)?.username}`,
+      payment_method: payment_method || 'upi'
+    })));
+
+    res.status(201).json({
+      message: 'Settlement recorded successfully',
+      transfers: formatTransfers(transfers, members),
+      payments
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Settle-up error:', error);
+    res.status(500).json({ message: 'Server error while recording settlement' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,553 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const ImportBatch = require('../models/ImportBatch');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const RecurringExpense = require('../models/RecurringExpense');
+const { uploadFiles } = require('../middleware/upload');
+const { TRASH_RETENTION_DAYS } = require('../jobs/trashPurge');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { getUserTimeZone, formatLocalDate } = require('../utils/dateTime');
+const { parseCsv } = require('../utils/csv');
+const { isCurrencyCode, normalizeCurrency, getBaseCurrency } = require('../utils/currency');
+const { escapeRegex } = require('../utils/search');
+const {
+  resolveMapping,
+  parseAmount,
+  dateOrderForLocale,
+  parseImportDate,
+  parsePaymentMode,
+  parseTags
+} = require('../utils/expenseImport');
+
+const router = express.Router();
+
+// Imports create expenses, so API keys need the expenses:read / expenses:write scopes
+router.use(auth.scope('expenses'));
+
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+const MAX_FILE_SIZE_MB = parseFloat(process.env.IMPORT_MAX_SIZE_MB) || 5;
+const PREVIEW_TTL_HOURS = parseFloat(process.env.IMPORT_PREVIEW_TTL_HOURS) || 24;
+const INSERT_CHUNK_SIZE = 500;
+
+const DATE_ORDERS = ['auto', 'YMD', 'DMY', 'MDY'];
+const DECIMAL_SEPARATORS = ['auto', '.', ','];
+const NEGATIVE_AMOUNT_MODES = ['reject', 'absolute'];
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Multipart fields arrive as strings; accept JSON for the mapping and "true"/"false" for flags
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return { value };
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { error: true };
+  }
+};
+
+const parseFlag = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || value === 'true';
+};
+
+// Read and check the import options from the request body
+const readOptions = (body, user) => {
+  const options = {
+    date_format: body.date_format || 'auto',
+    decimal_separator: body.decimal_separator || 'auto',
+    negative_amounts: body.negative_amounts || 'reject',
+    default_payment_mode: body.default_payment_mode || 'cash',
+    default_category: body.default_category ? String(body.default_category).trim() : null,
+    default_currency: body.default_currency ? normalizeCurrency(body.default_currency) : getBaseCurrency(user),
+    create_categories: parseFlag(body.create_categories, true),
+    delimiter: body.delimiter || null
+  };
+
+  if (!DATE_ORDERS.includes(options.date_format)) {
+    return { error: { message: `date_format must be one of: ${DATE_ORDERS.join(', ')}`, field: 'date_format' } };
+  }
+  if (!DECIMAL_SEPARATORS.includes(options.decimal_separator)) {
+    return { error: { message: 'decimal_separator must be "auto", "." or ","', field: 'decimal_separator' } };
+  }
+  if (!NEGATIVE_AMOUNT_MODES.includes(options.negative_amounts)) {
+    return { error: { message: 'negative_amounts must be "reject" or "absolute"', field: 'negative_amounts' } };
+  }
+  if (!isCurrencyCode(options.default_currency)) {
+    return { error: { message: 'default_currency must be a valid ISO 4217 code, e.g. USD', field: 'default_currency' } };
+  }
+  if (!['cash', 'credit_card'].includes(options.default_payment_mode)) {
+    return { error: { message: 'default_payment_mode must be "cash" or "credit_card"', field: 'default_payment_mode' } };
+  }
+
+  // Ambiguous numeric dates follow the user's locale unless a format is given
+  options.date_order = options.date_format === 'auto'
+    ? dateOrderForLocale(user.preferences?.locale)
+    : options.date_format;
+
+  return { options };
+};
+
+// Rows and expenses on the same local day with the same amount and currency may be duplicates
+const duplicateKey = (date, amount, currency, timeZone) =>
+  `${formatLocalDate(date, timeZone)}|${Math.round(amount * 100)}|${currency}`;
+
+const normalizeNote = (note) => (note || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Parse the data rows into preview rows: values, issues, resolved categories and cards
+const parseRows = async (user, dataRows, mapping, options) => {
+  const timeZone = getUserTimeZone(user);
+  const [categories, creditCards] = await Promise.all([
+    Category.find({ user_id: user._id }).select('name'),
+    CreditCard.find({ user_id: user._id }).select('bank_name card_number')
+  ]);
+  const categoriesByName = new Map(categories.map(category => [category.name.toLowerCase(), category]));
+
+  const findCreditCard = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return creditCards.length === 1 ? creditCards[0] : null;
+    return creditCards.find(card => card.bank_name.toLowerCase() === text) ||
+      creditCards.find(card => /^\d{4}$/.test(text) && String(card.card_number || '').endsWith(text)) ||
+      null;
+  };
+
+  const cell = (cells, field) => (mapping[field] !== undefined ? (cells[mapping[field]] || '').trim() : '');
+
+  return dataRows.map((cells, index) => {
+    const issues = [];
+    const row = { row: index + 2, issues };
+
+    row.date = parseImportDate(cell(cells, 'date'), { dateOrder: options.date_order, timeZone });
+    if (!row.date) issues.push(`Unrecognised date "${cell(cells, 'date')}"`);
+
+    const amount = parseAmount(cell(cells, 'amount'), { decimalSeparator: options.decimal_separator });
+    if (amount === null) {
+      issues.push(`Unrecognised amount "${cell(cells, 'amount')}"`);
+    } else if (amount < 0 && options.negative_amounts === 'reject') {
+      issues.push('Negative amount (credits are not imported)');
+    } else if (Math.abs(amount) < 0.01) {
+      issues.push('Amount must be greater than 0');
+    } else {
+      row.amount = Math.round(Math.abs(amount) * 100) / 100;
+    }
+
+    const currencyCell = cell(cells, 'currency');
+    row.currency = currencyCell ? normalizeCurrency(currencyCell) : options.default_currency;
+    if (!isCurrencyCode(row.currency)) issues.push(`Unknown currency "${currencyCell}"`);
+
+    row.category_name = cell(cells, 'category') || options.default_category;
+    if (!row.category_name) {
+      issues.push('Category is missing');
+    } else if (row.category_name.length > 50) {
+      issues.push('Category name cannot exceed 50 characters');
+    } else {
+      const category = categoriesByName.get(row.category_name.toLowerCase());
+      if (category) {
+        row.category_id = category._id;
+        row.category_name = category.name;
+      } else if (!options.create_categories) {
+        issues.push(`Category "${row.category_name}" does not exist`);
+      }
+    }
+
+    const paymentModeCell = cell(cells, 'payment_mode');
+    row.payment_mode = paymentModeCell ? parsePaymentMode(paymentModeCell) : options.default_payment_mode;
+    if (!row.payment_mode) {
+      issues.push(`Unknown payment mode "${paymentModeCell}"`);
+    } else if (row.payment_mode === 'borrowed') {
+      issues.push('Borrowed money expenses cannot be imported');
+    } else if (row.payment_mode === 'credit_card') {
+      const creditCard = findCreditCard(cell(cells, 'card'));
+      if (creditCard) {
+        row.credit_card_id = creditCard._id;
+      } else {
+        issues.push(`No credit card matches "${cell(cells, 'card')}"; use the bank name or the last 4 digits`);
+      }
+    }
+
+    row.note = cell(cells, 'note').slice(0, 500) || undefined;
+    row.tags = [...new Set(parseTags(cell(cells, 'tags')).map(Expense.normalizeTag))].slice(0, Expense.MAX_TAGS);
+    if (row.tags.some(tag => tag.length > Expense.MAX_TAG_LENGTH)) {
+      issues.push(`Tags cannot exceed ${Expense.MAX_TAG_LENGTH} characters`);
+    }
+
+    row.status = issues.length > 0 ? 'invalid' : 'ready';
+    return row;
+  });
+};
+
+// Flag rows that repeat an existing expense (same local day and amount) or an earlier row of
+// the file (same day, amount and note). Rows with the same note as the expense are matched first.
+const flagDuplicates = async (user, rows) => {
+  const timeZone = getUserTimeZone(user);
+  const baseCurrency = getBaseCurrency(user);
+  const candidates = rows.filter(row => row.status === 'ready');
+  if (candidates.length === 0) return;
+
+  const times = candidates.map(row => row.date.getTime());
+  const dayMs = 24 * 60 * 60 * 1000;
+  const existing = await Expense.find({
+    user_id: user._id,
+    date: { $gte: new Date(Math.min(...times) - dayMs), $lte: new Date(Math.max(...times) + dayMs) }
+  }).select('amount currency date note').lean();
+
+  const existingByKey = new Map();
+  for (const expense of existing) {
+    const key = duplicateKey(expense.date, expense.amount, expense.currency || baseCurrency, timeZone);
+    if (!existingByKey.has(key)) existingByKey.set(key, []);
+    existingByKey.get(key).push(expense);
+  }
+
+  const seenRows = new Map();
+  for (const row of candidates) {
+    const key = duplicateKey(row.date, row.amount, row.currency, timeZone);
+    const note = normalizeNote(row.note);
+
+    const matches = existingByKey.get(key) || [];
+    if (matches.length > 0) {
+      const index = Math.max(0, matches.findIndex(expense => normalizeNote(expense.note) === note));
+      row.status = 'duplicate';
+      row.duplicate_of = matches[index]._id;
+      matches.splice(index, 1);
+      continue;
+    }
+
+    const rowKey = `${key}|${note}`;
+    if (seenRows.has(rowKey)) {
+      row.status = 'duplicate';
+      row.duplicate_of_row = seenRows.get(rowKey);
+    } else {
+      seenRows.set(rowKey, row.row);
+    }
+  }
+};
+
+// Find or create the categories rows refer to by name. Returns the ids of created categories.
+const resolveCategories = async (userId, rows) => {
+  const created = [];
+  const byName = new Map();
+
+  for (const row of rows.filter(row => !row.category_id)) {
+    const key = row.category_name.toLowerCase();
+    if (!byName.has(key)) {
+      let category = await Category.findOne({
+        user_id: userId,
+        name: { $regex: new RegExp(`^${escapeRegex(row.category_name)}$`, 'i') }
+      });
+      if (!category) {
+        category = await Category.create({ user_id: userId, name: row.category_name });
+        created.push(category._id);
+      }
+      byName.set(key, category._id);
+    }
+    row.category_id = byName.get(key);
+  }
+
+  return created;
+};
+
+// Remove categories created by an import that nothing refers to any more
+const removeUnusedCategories = async (userId, categoryIds) => {
+  let removed = 0;
+  for (const categoryId of categoryIds) {
+    const [usedByExpense, usedByTemplate] = await Promise.all([
+      Expense.exists({ user_id: userId, $or: [{ category_id: categoryId }, { 'line_items.category_id': categoryId }] }),
+      RecurringExpense.exists({ user_id: userId, category_id: categoryId })
+    ]);
+    if (!usedByExpense && !usedByTemplate) {
+      const result = await Category.deleteOne({ _id: categoryId, user_id: userId });
+      removed += result.deletedCount;
+    }
+  }
+  return removed;
+};
+
+const findBatch = (req) => {
+  if (!isValidObjectId(req.params.id)) return null;
+  return ImportBatch.findOne({ _id: req.params.id, user_id: req.user._id });
+};
+
+// @route   POST /api/imports
+// @desc    Upload a CSV (multipart field "file", or a "csv" text field) and get a preview.
+//          Optional: mapping { date, amount, currency, category, note, payment_mode, card, tags } of
+//          column names or indexes, date_format, decimal_separator, negative_amounts,
+//          default_category, default_currency, default_payment_mode, create_categories, delimiter.
+// @access  Private
+router.post('/', auth, uploadFiles('file', 1, { maxSizeMb: MAX_FILE_SIZE_MB }), async (req, res) => {
+  try {
+    const file = req.files?.[0];
+    let text;
+    if (file) {
+      if (file.buffer.includes(0)) {
+        return res.status(415).json({ message: 'The file is not a CSV text file', field: 'file' });
+      }
+      text = file.buffer.toString('utf8');
+    } else if (typeof req.body.csv === 'string') {
+      text = req.body.csv;
+    } else {
+      return res.status(400).json({ message: 'Upload a CSV file in the "file" field or send its text as "csv"', field: 'file' });
+    }
+
+    const { options, error: optionsError } = readOptions(req.body, req.user);
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    const mappingField = parseJsonField(req.body.mapping);
+    if (mappingField.error) {
+      return res.status(400).json({ message: 'Mapping must be valid JSON', field: 'mapping' });
+    }
+
+    let rows;
+    try {
+      rows = parseCsv(text, { delimiter: options.delimiter });
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not read CSV: ${parseError.message}`, field: 'file' });
+    }
+
+    if (rows.length < 2) {
+      return res.status(400).json({ message: 'The CSV needs a header row and at least one data row', field: 'file' });
+    }
+
+    const [headers, ...dataRows] = rows;
+    if (dataRows.length > MAX_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_ROWS} rows can be imported at once`, field: 'file' });
+    }
+
+    const { mapping, error: mappingError } = resolveMapping(mappingField.value, headers);
+    if (mappingError) {
+      return res.status(400).json({ ...mappingError, headers });
+    }
+
+    const previewRows = await parseRows(req.user, dataRows, mapping, options);
+    await flagDuplicates(req.user, previewRows);
+
+    const batch = new ImportBatch({
+      user_id: req.user._id,
+      filename: file?.originalname,
+      headers,
+      mapping,
+      options,
+      rows: previewRows,
+      expires_at: new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000)
+    });
+    await batch.save();
+
+    res.status(201).json({
+      message: 'Import preview ready. Review the rows, then commit the import.',
+      batch
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(500).json({ message: 'Server error while preparing import' });
+  }
+});
+
+// @route   GET /api/imports
+// @desc    List import batches
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ user_id: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ batches: batches.map(batch => batch.toSummaryJSON()) });
+  } catch (error) {
+    console.error('Import fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching imports' });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get an import batch with its rows (?status=ready|duplicate|invalid, page, limit)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 100 } = req.query;
+    const batch = await findBatch(req);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const rows = status ? batch.rows.filter(row => row.status === status) : batch.rows;
+
+    res.json({
+      batch: batch.toSummaryJSON(),
+      rows: rows.slice((page - 1) * limit, page * limit),
+      total: rows.length,
+      totalPages: Math.ceil(rows.length / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Import fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching import' });
+  }
+});
+
+// @route   POST /api/imports/:id/commit
+// @desc    Import the previewed rows. Ready rows are imported; duplicates only with
+//          include_duplicates: true. skip_rows: [row numbers] leaves rows out.
+// @access  Private
+router.post('/:id/commit', auth, async (req, res) => {
+  try {
+    const includeDuplicates = parseFlag(req.body.include_duplicates, false);
+    const skipRows = new Set((Array.isArray(req.body.skip_rows) ? req.body.skip_rows : []).map(Number));
+
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    // Claim the preview so the same batch can't be committed twice
+    const batch = await ImportBatch.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user._id, status: 'preview' },
+      { status: 'committed', committed_at: new Date(), expires_at: null },
+      { new: true }
+    );
+
+    if (!batch) {
+      const existing = await findBatch(req);
+      if (!existing) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+      return res.status(409).json({ message: `This import is already ${existing.status}` });
+    }
+
+    const rows = batch.rows.filter(row =>
+      (row.status === 'ready' || (row.status === 'duplicate' && includeDuplicates)) && !skipRows.has(row.row));
+
+    let createdCategoryIds = [];
+    const inserted = [];
+    try {
+      createdCategoryIds = await resolveCategories(req.user._id, rows);
+
+      const expenses = rows.map(row => ({
+        user_id: req.user._id,
+        amount: row.amount,
+        currency: row.currency,
+        category_id: row.category_id,
+        payment_mode: row.payment_mode,
+        credit_card_id: row.credit_card_id,
+        date: row.date,
+        note: row.note,
+        tags: row.tags,
+        import_batch_id: batch._id
+      }));
+
+      for (let i = 0; i < expenses.length; i += INSERT_CHUNK_SIZE) {
+        inserted.push(...await Expense.insertMany(expenses.slice(i, i + INSERT_CHUNK_SIZE)));
+      }
+    } catch (error) {
+      // Leave nothing half-imported; the preview can be committed again
+      await Expense.deleteMany({ import_batch_id: batch._id });
+      await removeUnusedCategories(req.user._id, createdCategoryIds);
+      await ImportBatch.updateOne(
+        { _id: batch._id },
+        { status: 'preview', committed_at: null, expires_at: new Date(Date.now() + PREVIEW_TTL_HOURS * 60 * 60 * 1000) }
+      );
+      throw error;
+    }
+
+    batch.created_category_ids = createdCategoryIds;
+    batch.imported_count = rows.length;
+    await batch.save();
+
+    for (const expense of inserted) {
+      await recordAudit(req, { entityType: 'expense', entityId: expense._id, action: 'create', after: expense });
+    }
+
+    res.json({
+      message: `${rows.length} expense(s) imported successfully`,
+      batch: batch.toSummaryJSON()
+    });
+  } catch (error) {
+    console.error('Import commit error:', error);
+    res.status(500).json({ message: 'Server error while committing import' });
+  }
+});
+
+// @route   POST /api/imports/:id/undo
+// @desc    Move the expenses of a committed import to the trash, and delete the categories it created if unused
+// @access  Private
+router.post('/:id/undo', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const batch = await ImportBatch.findOneAndUpdate(
+      { _id: req.params.id, user_id: req.user._id, status: 'committed' },
+      { status: 'undone', undone_at: new Date() },
+      { new: true }
+    );
+
+    if (!batch) {
+      const existing = await findBatch(req);
+      if (!existing) {
+        return res.status(404).json({ message: 'Import not found' });
+      }
+      return res.status(409).json({ message: 'Only committed imports can be undone' });
+    }
+
+    const expenses = await Expense.find({ user_id: req.user._id, import_batch_id: batch._id });
+    const deletedAt = new Date();
+    const result = await Expense.updateMany(
+      { _id: { $in: expenses.map(expense => expense._id) }, user_id: req.user._id },
+      { deleted_at: deletedAt }
+    );
+
+    for (const expense of expenses) {
+      const before = snapshot(expense);
+      await recordAudit(req, {
+        entityType: 'expense',
+        entityId: expense._id,
+        action: 'delete',
+        before,
+        after: { ...before, deleted_at: deletedAt }
+      });
+    }
+
+    const removedCategories = await removeUnusedCategories(req.user._id, batch.created_category_ids);
+
+    res.json({
+      message: `Import undone successfully. Its expenses were moved to the trash and can be restored for ${TRASH_RETENTION_DAYS} day(s).`,
+      expenses_deleted: result.modifiedCount,
+      categories_deleted: removedCategories
+    });
+  } catch (error) {
+    console.error('Import undo error:', error);
+    res.status(500).json({ message: 'Server error while undoing import' });
+  }
+});
+
+// @route   DELETE /api/imports/:id
+// @desc    Discard a preview or remove an undone import from the list
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const batch = await findBatch(req);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    if (batch.status === 'committed') {
+      return res.status(400).json({ message: 'Undo the import before deleting it' });
+    }
+
+    await ImportBatch.deleteOne({ _id: batch._id });
+
+    res.json({ message: 'Import deleted successfully' });
+  } catch (error) {
+    console.error('Import deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting import' });
+  }
+});
+
+module.exports = router;
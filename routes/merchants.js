@@ -0,0 +1,314 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const Merchant = require('../models/Merchant');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const ExpenseRule = require('../models/ExpenseRule');
+const Category = require('../models/Category');
+const { getUserTimeZone, buildDateRange } = require('../utils/dateTime');
+const { convertToBaseStages } = require('../utils/currency');
+const { escapeRegex } = require('../utils/search');
+const { updateManyWithAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Merchants describe expenses, so API keys need the expenses:read / expenses:write scopes
+router.use(auth.scope('expenses'));
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Check a merchant body: the name is unique per user (ignoring case) and the default category
+// belongs to the user. Returns an error response body, or null when valid.
+const validateMerchantBody = async (userId, { name, default_category_id }, merchantId = null) => {
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { message: 'Merchant name is required', field: 'name' };
+    }
+    const existing = await Merchant.findOne({
+      name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') },
+      user_id: userId,
+      ...(merchantId && { _id: { $ne: merchantId } })
+    });
+    if (existing) {
+      return { message: 'Merchant with this name already exists', field: 'name' };
+    }
+  }
+
+  if (default_category_id) {
+    if (!isValidObjectId(default_category_id)) {
+      return { message: 'Invalid category ID format', field: 'default_category_id', value: default_category_id };
+    }
+    if (!(await Category.exists({ _id: default_category_id, user_id: userId }))) {
+      return { message: 'Category not found or does not belong to you', field: 'default_category_id', value: default_category_id };
+    }
+  }
+
+  return null;
+};
+
+// Spending totals in the base currency; expenses without a rate for their date are counted
+// in unconverted_count and left out of the total and average
+const spendingTotals = {
+  total: { $sum: '$base_amount' },
+  count: { $sum: 1 },
+  unconverted_count: { $sum: { $cond: [{ $eq: ['$exchange_rate', null] }, 1, 0] } },
+  first_date: { $min: '$date' },
+  last_date: { $max: '$date' }
+};
+
+const withAverage = (totals) => {
+  const converted = totals.count - totals.unconverted_count;
+  return { ...totals, average: converted > 0 ? Math.round((totals.total / converted) * 100) / 100 : 0 };
+};
+
+// @route   POST /api/merchants
+// @desc    Create a merchant
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, default_category_id, note } = req.body;
+
+    const validationError = await validateMerchantBody(req.user._id, { name: name ?? '', default_category_id });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const merchant = new Merchant({
+      user_id: req.user._id,
+      name,
+      default_category_id: default_category_id || null,
+      note
+    });
+
+    await merchant.save();
+
+    res.status(201).json({
+      message: 'Merchant created successfully',
+      merchant
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Merchant creation error:', error);
+    res.status(500).json({ message: 'Server error while creating merchant' });
+  }
+});
+
+// @route   GET /api/merchants
+// @desc    Get all merchants for user (?q= filters by name)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { user_id: req.user._id };
+    if (req.query.q) {
+      filter.name = { $regex: escapeRegex(String(req.query.q)), $options: 'i' };
+    }
+
+    const merchants = await Merchant.find(filter)
+      .populate('default_category_id', 'name color icon')
+      .sort({ name: 1 });
+
+    res.json({ merchants });
+  } catch (error) {
+    console.error('Merchant fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching merchants' });
+  }
+});
+
+// @route   GET /api/merchants/analytics
+// @desc    Spending per merchant in the base currency, highest first (filters: start_date, end_date).
+//          Expenses without a merchant are totalled separately as unassigned.
+// @access  Private
+router.get('/analytics', auth, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const filter = { user_id: req.user._id };
+    const timeZone = getUserTimeZone(req.user);
+
+    const dateRange = buildDateRange(start_date, end_date, timeZone);
+    if (dateRange) filter.date = dateRange;
+
+    const groups = await Expense.aggregate([
+      { $match: filter },
+      ...convertToBaseStages(req.user, timeZone),
+      { $group: { _id: { $ifNull: ['$merchant_id', null] }, ...spendingTotals } },
+      {
+        $lookup: {
+          from: 'merchants',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'merchant'
+        }
+      },
+      { $sort: { total: -1 } },
+      {
+        $project: {
+          _id: 0,
+          merchant_id: '$_id',
+          merchant_name: { $first: '$merchant.name' },
+          total: 1,
+          count: 1,
+          unconverted_count: 1,
+          first_date: 1,
+          last_date: 1
+        }
+      }
+    ]);
+
+    const unassigned = groups.find(group => group.merchant_id === null);
+    const merchants = groups.filter(group => group.merchant_id !== null).map(withAverage);
+
+    res.json({
+      summary: {
+        total_amount: groups.reduce((sum, group) => sum + group.total, 0),
+        merchant_count: merchants.length,
+        currency: req.user.preferences.currency,
+        timezone: timeZone
+      },
+      by_merchant: merchants,
+      unassigned: withAverage(unassigned || { total: 0, count: 0, unconverted_count: 0, first_date: null, last_date: null })
+    });
+  } catch (error) {
+    console.error('Merchant analytics error:', error);
+    res.status(500).json({ message: 'Server error while fetching merchant analytics' });
+  }
+});
+
+// @route   GET /api/merchants/:id
+// @desc    Get a merchant with its spending totals and monthly trend (last 12 months)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid merchant ID format' });
+    }
+
+    const merchant = await Merchant.findOne({ _id: req.params.id, user_id: req.user._id })
+      .populate('default_category_id', 'name color icon');
+
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    const timeZone = getUserTimeZone(req.user);
+    const converted = [
+      { $match: { user_id: req.user._id, merchant_id: merchant._id } },
+      ...convertToBaseStages(req.user, timeZone)
+    ];
+
+    const [totals] = await Expense.aggregate([
+      ...converted,
+      { $group: { _id: null, ...spendingTotals } },
+      { $project: { _id: 0 } }
+    ]);
+
+    const monthlyTrend = await Expense.aggregate([
+      ...converted,
+      {
+        $group: {
+          _id: {
+            year: { $year: { date: '$date', timezone: timeZone } },
+            month: { $month: { date: '$date', timezone: timeZone } }
+          },
+          total: { $sum: '$base_amount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': -1, '_id.month': -1 } },
+      { $limit: 12 },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+
+    res.json({
+      merchant,
+      summary: {
+        ...withAverage(totals || { total: 0, count: 0, unconverted_count: 0, first_date: null, last_date: null }),
+        currency: req.user.preferences.currency
+      },
+      monthly_trend: monthlyTrend
+    });
+  } catch (error) {
+    console.error('Merchant fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching merchant' });
+  }
+});
+
+// @route   PUT /api/merchants/:id
+// @desc    Update a merchant
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid merchant ID format' });
+    }
+
+    const merchant = await Merchant.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    const { name, default_category_id, note } = req.body;
+
+    const validationError = await validateMerchantBody(req.user._id, { name, default_category_id }, merchant._id);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    if (name !== undefined) merchant.name = name;
+    if (default_category_id !== undefined) merchant.default_category_id = default_category_id || null;
+    if (note !== undefined) merchant.note = note;
+
+    await merchant.save();
+
+    res.json({
+      message: 'Merchant updated successfully',
+      merchant
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Merchant update error:', error);
+    res.status(500).json({ message: 'Server error while updating merchant' });
+  }
+});
+
+// @route   DELETE /api/merchants/:id
+// @desc    Delete a merchant. Its expenses (including those in the trash) and recurring expenses
+//          keep everything but the merchant; rules stop setting it.
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid merchant ID format' });
+    }
+
+    const merchant = await Merchant.findOneAndDelete({ _id: req.params.id, user_id: req.user._id });
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    const reference = { user_id: req.user._id, merchant_id: merchant._id };
+    const [expenses, , rules] = await Promise.all([
+      updateManyWithAudit(req, Expense, 'expense', reference, { merchant_id: null }, { withDeleted: true }),
+      RecurringExpense.updateMany(reference, { merchant_id: null }),
+      ExpenseRule.updateMany(reference, { merchant_id: null })
+    ]);
+
+    res.json({
+      message: 'Merchant deleted successfully',
+      expenses_updated: expenses.modifiedCount,
+      rules_updated: rules.modifiedCount
+    });
+  } catch (error) {
+    console.error('Merchant deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting merchant' });
+  }
+});
+
+module.exports = router;
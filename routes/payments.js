@@ -4,9 +4,20 @@ const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const CreditCard = require('../models/CreditCard');
 const BorrowedMoney = require('../models/BorrowedMoney');
+const { getUserTimeZone, buildDateRange } = require('../utils/dateTime');
+const { buildPaymentFilter } = require('../utils/paymentQuery');
+const { validateAccount } = require('../utils/expenseInput');
+const { getBaseCurrency } = require('../utils/currency');
+const { recordAudit } = require('../utils/audit');
 
 const router = express.Router();
 
+// API keys need the payments:read / payments:write scopes
+router.use(auth.scope('payments'));
+
+// Group settlements change other members' balances, so they are only recorded through /api/groups
+const GROUP_SETTLEMENT_LOCKED = 'Group settlement payments cannot be changed or deleted';
+
 // Helper function to validate ObjectId
 const isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id);
@@ -17,7 +28,7 @@ const isValidObjectId = (id) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const { type, reference_id, amount, payment_date, note, payment_method } = req.body;
+    const { type, reference_id, amount, payment_date, note, payment_method, account_id } = req.body;
 
     // Validate ObjectId format for reference_id
     if (!isValidObjectId(reference_id)) {
@@ -49,12 +60,20 @@ router.post('/', auth, async (req, res) => {
       }
     } else {
       return res.status(400).json({ 
-        message: 'Invalid payment type. Must be either "credit_card" or "borrowed"',
+        message: 'Invalid payment type. Must be either "credit_card" or "borrowed" (group settlements are recorded through /api/groups)',
         field: 'type',
         value: type
       });
     }
 
+    // Payments are in the base currency, so the account paid from must be too
+    if (account_id) {
+      const accountError = await validateAccount(req.user._id, account_id, getBaseCurrency(req.user));
+      if (accountError) {
+        return res.status(400).json(accountError);
+      }
+    }
+
     const payment = new Payment({
       user_id: req.user._id,
       type,
@@ -62,10 +81,12 @@ router.post('/', auth, async (req, res) => {
       amount,
       payment_date: payment_date || new Date(),
       note,
-      payment_method
+      payment_method,
+      account_id: account_id || null
     });
 
     await payment.save();
+    await recordAudit(req, { entityType: 'payment', entityId: payment._id, action: 'create', after: payment });
 
     // Update borrowed money repaid amount if applicable
     if (type === 'borrowed') {
@@ -94,30 +115,11 @@ router.get('/', auth, async (req, res) => {
     const {
       page = 1,
       limit = 20,
-      type,
-      start_date,
-      end_date,
-      min_amount,
-      max_amount,
       sort_by = 'payment_date',
       sort_order = 'desc'
     } = req.query;
 
-    const filter = { user_id: req.user._id };
-
-    if (type) filter.type = type;
-    
-    if (start_date || end_date) {
-      filter.payment_date = {};
-      if (start_date) filter.payment_date.$gte = new Date(start_date);
-      if (end_date) filter.payment_date.$lte = new Date(end_date);
-    }
-
-    if (min_amount || max_amount) {
-      filter.amount = {};
-      if (min_amount) filter.amount.$gte = parseFloat(min_amount);
-      if (max_amount) filter.amount.$lte = parseFloat(max_amount);
-    }
+    const filter = buildPaymentFilter(req.user, req.query);
 
     const sort = {};
     sort[sort_by] = sort_order === 'desc' ? -1 : 1;
@@ -167,11 +169,27 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { amount, payment_date, note, payment_method } = req.body;
+    const { amount, payment_date, note, payment_method, account_id } = req.body;
+
+    const existing = await Payment.findOne({ _id: req.params.id, user_id: req.user._id });
+    if (!existing) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (existing.type === 'group_settlement') {
+      return res.status(400).json({ message: GROUP_SETTLEMENT_LOCKED });
+    }
+
+    if (account_id) {
+      const accountError = await validateAccount(req.user._id, account_id, getBaseCurrency(req.user));
+      if (accountError) {
+        return res.status(400).json(accountError);
+      }
+    }
 
     const payment = await Payment.findOneAndUpdate(
       { _id: req.params.id, user_id: req.user._id },
-      { amount, payment_date, note, payment_method },
+      { amount, payment_date, note, payment_method, account_id: account_id === '' ? null : account_id },
       { new: true, runValidators: true }
     );
 
@@ -179,32 +197,11 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    // Update borrowed money repaid amount if applicable
+    await recordAudit(req, { entityType: 'payment', entityId: payment._id, action: 'update', before: existing, after: payment });
+
+    // Recalculate the borrowed money repaid amount if applicable
     if (payment.type === 'borrowed') {
-      const borrowed = await BorrowedMoney.findById(payment.reference_id);
-      if (borrowed) {
-        // Recalculate repaid amount by summing all payments
-        const totalPaid = await Payment.aggregate([
-          {
-            $match: {
-              user_id: req.user._id,
-              type: 'borrowed',
-              reference_id: payment.reference_id
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              total: { $sum: '$amount' }
-            }
-          }
-        ]);
-
-        const newRepaidAmount = Math.min(totalPaid[0]?.total || 0, borrowed.amount);
-        await BorrowedMoney.findByIdAndUpdate(payment.reference_id, {
-          repaid_amount: newRepaidAmount
-        });
-      }
+      await BorrowedMoney.syncRepaidAmount(req.user._id, payment.reference_id);
     }
 
     res.json({
@@ -231,34 +228,16 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
+    if (payment.type === 'group_settlement') {
+      return res.status(400).json({ message: GROUP_SETTLEMENT_LOCKED });
+    }
+
     await Payment.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { entityType: 'payment', entityId: payment._id, action: 'delete', before: payment });
 
-    // Update borrowed money repaid amount if applicable
+    // Recalculate the borrowed money repaid amount if applicable
     if (payment.type === 'borrowed') {
-      const borrowed = await BorrowedMoney.findById(payment.reference_id);
-      if (borrowed) {
-        // Recalculate repaid amount by summing remaining payments
-        const totalPaid = await Payment.aggregate([
-          {
-            $match: {
-              user_id: req.user._id,
-              type: 'borrowed',
-              reference_id: payment.reference_id
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              total: { $sum: '$amount' }
-            }
-          }
-        ]);
-
-        const newRepaidAmount = Math.min(totalPaid[0]?.total || 0, borrowed.amount);
-        await BorrowedMoney.findByIdAndUpdate(payment.reference_id, {
-          repaid_amount: newRepaidAmount
-        });
-      }
+      await BorrowedMoney.syncRepaidAmount(req.user._id, payment.reference_id);
     }
 
     res.json({ message: 'Payment deleted successfully' });
@@ -276,11 +255,8 @@ router.get('/summary/totals', auth, async (req, res) => {
     const { start_date, end_date } = req.query;
     const filter = { user_id: req.user._id };
 
-    if (start_date || end_date) {
-      filter.payment_date = {};
-      if (start_date) filter.payment_date.$gte = new Date(start_date);
-      if (end_date) filter.payment_date.$lte = new Date(end_date);
-    }
+    const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(req.user));
+    if (dateRange) filter.payment_date = dateRange;
 
     const summary = await Payment.aggregate([
       { $match: filter },
@@ -295,7 +271,8 @@ router.get('/summary/totals', auth, async (req, res) => {
 
     const totals = {
       credit_card: { amount: 0, count: 0 },
-      borrowed: { amount: 0, count: 0 }
+      borrowed: { amount: 0, count: 0 },
+      group_settlement: { amount: 0, count: 0 }
     };
 
     summary.forEach(item => {
@@ -303,6 +280,8 @@ router.get('/summary/totals', auth, async (req, res) => {
         totals.credit_card = { amount: item.total_amount, count: item.count };
       } else if (item._id === 'borrowed') {
         totals.borrowed = { amount: item.total_amount, count: item.count };
+      } else if (item._id === 'group_settlement') {
+        totals.group_settlement = { amount: item.total_amount, count: item.count };
       }
     });
 
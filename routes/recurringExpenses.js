@@ -0,0 +1,534 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const mongoose = require('mongoose');
+const RecurringExpense = require('../models/RecurringExpense');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const ExchangeRate = require('../models/ExchangeRate');
+const { getUserTimeZone, formatLocalDate } = require('../utils/dateTime');
+const { normalizeCurrency, getBaseCurrency } = require('../utils/currency');
+const { validateCurrency, validateMerchant, validateAccount, withAccountCurrency } = require('../utils/expenseInput');
+const { listOccurrences, findOccurrence } = require('../utils/recurrence');
+const { createOccurrenceExpense, generateForTemplate } = require('../jobs/recurringExpenses');
+
+const router = express.Router();
+
+// Recurring templates are expenses as far as API key scopes go
+router.use(auth.scope('expenses'));
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Check that referenced category, card, borrowed record and account exist and belong to the user.
+// Returns an error response body, or null when everything is valid.
+const validateReferences = async (userId, { category_id, payment_mode, credit_card_id, borrowed_id, account_id, currency }) => {
+  if (category_id !== undefined) {
+    if (!isValidObjectId(category_id)) {
+      return { message: 'Invalid category ID format', field: 'category_id', value: category_id };
+    }
+    if (!(await Category.exists({ _id: category_id, user_id: userId }))) {
+      return { message: 'Category not found or does not belong to you', field: 'category_id', value: category_id };
+    }
+  }
+
+  if (payment_mode === 'credit_card') {
+    if (!credit_card_id || !isValidObjectId(credit_card_id)) {
+      return { message: 'Valid credit card is required for credit card payment', field: 'credit_card_id' };
+    }
+    if (!(await CreditCard.exists({ _id: credit_card_id, user_id: userId }))) {
+      return { message: 'Credit card not found or does not belong to you', field: 'credit_card_id', value: credit_card_id };
+    }
+  }
+
+  if (payment_mode === 'borrowed') {
+    if (!borrowed_id || !isValidObjectId(borrowed_id)) {
+      return { message: 'Valid borrowed money reference is required', field: 'borrowed_id' };
+    }
+    if (!(await BorrowedMoney.exists({ _id: borrowed_id, user_id: userId }))) {
+      return { message: 'Borrowed money record not found or does not belong to you', field: 'borrowed_id', value: borrowed_id };
+    }
+  }
+
+  if (payment_mode === 'account') {
+    if (!account_id) {
+      return { message: 'Account is required for account payment', field: 'account_id' };
+    }
+    return validateAccount(userId, account_id, currency);
+  }
+
+  return null;
+};
+
+// Find a template owned by the current user
+const findTemplate = (req) => {
+  if (!isValidObjectId(req.params.id)) return null;
+  return RecurringExpense.findOne({ _id: req.params.id, user_id: req.user._id });
+};
+
+// @route   POST /api/recurring-expenses
+// @desc    Create a recurring expense template
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const {
+      amount,
+      currency,
+      category_id,
+      merchant_id,
+      payment_mode,
+      account_id,
+      credit_card_id,
+      borrowed_id,
+      note,
+      frequency,
+      interval,
+      start_date,
+      end_date
+    } = await withAccountCurrency(req.user._id, req.body);
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({ message: 'Valid amount is required' });
+    }
+
+    if (currency !== undefined && currency !== null) {
+      const currencyError = validateCurrency(currency);
+      if (currencyError) return res.status(400).json(currencyError);
+    }
+
+    if (!category_id) {
+      return res.status(400).json({ message: 'Category is required' });
+    }
+
+    if (!payment_mode) {
+      return res.status(400).json({ message: 'Payment mode is required' });
+    }
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        message: `Frequency must be one of: ${FREQUENCIES.join(', ')}`,
+        field: 'frequency',
+        value: frequency
+      });
+    }
+
+    if (!start_date || isNaN(new Date(start_date))) {
+      return res.status(400).json({ message: 'Valid start date is required', field: 'start_date' });
+    }
+
+    if (end_date && !(new Date(end_date) >= new Date(start_date))) {
+      return res.status(400).json({ message: 'End date must be a valid date on or after the start date', field: 'end_date' });
+    }
+
+    const referenceError = await validateReferences(req.user._id, {
+      category_id,
+      payment_mode,
+      credit_card_id,
+      borrowed_id,
+      account_id,
+      currency
+    });
+    if (referenceError) {
+      return res.status(400).json(referenceError);
+    }
+
+    if (merchant_id) {
+      const merchantError = await validateMerchant(req.user._id, merchant_id);
+      if (merchantError) return res.status(400).json(merchantError);
+    }
+
+    const template = new RecurringExpense({
+      user_id: req.user._id,
+      amount,
+      currency: currency ? normalizeCurrency(currency) : getBaseCurrency(req.user),
+      category_id,
+      merchant_id: merchant_id || null,
+      payment_mode,
+      credit_card_id: payment_mode === 'credit_card' ? credit_card_id : null,
+      borrowed_id: payment_mode === 'borrowed' ? borrowed_id : null,
+      account_id: payment_mode === 'account' ? account_id : null,
+      note,
+      frequency,
+      interval,
+      start_date: new Date(start_date),
+      end_date: end_date ? new Date(end_date) : null,
+      timezone: getUserTimeZone(req.user)
+    });
+
+    await template.save();
+
+    // Create anything already due (e.g. a start date in the past)
+    const generated = await generateForTemplate(template);
+
+    res.status(201).json({
+      message: 'Recurring expense created successfully',
+      recurringExpense: template,
+      generated_count: generated,
+      upcoming: listOccurrences(template, { from: new Date(), limit: 5 })
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Recurring expense creation error:', error);
+    res.status(500).json({ message: 'Server error while creating recurring expense' });
+  }
+});
+
+// @route   GET /api/recurring-expenses
+// @desc    Get all recurring expense templates for user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await RecurringExpense.find({ user_id: req.user._id })
+      .populate('category_id', 'name color icon')
+      .sort({ createdAt: -1 });
+
+    const now = new Date();
+    const recurringExpenses = templates.map(template => ({
+      ...template.toObject(),
+      next_occurrence: listOccurrences(template, { from: now, limit: 1 })[0]?.date || null
+    }));
+
+    res.json({ recurringExpenses });
+  } catch (error) {
+    console.error('Recurring expense fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching recurring expenses' });
+  }
+});
+
+// @route   GET /api/recurring-expenses/upcoming
+// @desc    Get upcoming occurrences across all templates
+// @access  Private
+router.get('/upcoming', auth, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days, 10) || 30, 366);
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const templates = await RecurringExpense.find({ user_id: req.user._id, is_paused: false })
+      .populate('category_id', 'name color icon');
+
+    const occurrences = templates
+      .flatMap(template => listOccurrences(template, { from: now, to: until, limit: 400 })
+        .map(occurrence => ({
+          recurring_id: template._id,
+          date: occurrence.date,
+          status: occurrence.status,
+          amount: template.amount,
+          currency: template.currency,
+          note: template.note,
+          category: template.category_id,
+          payment_mode: template.payment_mode
+        })))
+      .sort((a, b) => a.date - b.date);
+
+    // The total is in the base currency at today's rates; occurrences in a currency without a
+    // known rate are counted in unconverted_count and left out of it
+    const base = getBaseCurrency(req.user);
+    const today = new Date(formatLocalDate(now, getUserTimeZone(req.user)));
+    const counted = occurrences.filter(occurrence => occurrence.status !== 'skipped');
+    const rates = new Map(await Promise.all(
+      [...new Set(counted.map(occurrence => occurrence.currency || base))]
+        .map(async currency => [currency, await ExchangeRate.findRate(req.user._id, currency, base, today)])
+    ));
+    const converted = counted.filter(occurrence => rates.get(occurrence.currency || base) !== null);
+
+    res.json({
+      occurrences,
+      total_amount: Math.round(converted
+        .reduce((sum, occurrence) => sum + occurrence.amount * rates.get(occurrence.currency || base), 0) * 100) / 100,
+      unconverted_count: counted.length - converted.length,
+      currency: base,
+      from: now,
+      until
+    });
+  } catch (error) {
+    console.error('Upcoming occurrences fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching upcoming occurrences' });
+  }
+});
+
+// @route   GET /api/recurring-expenses/:id
+// @desc    Get recurring expense template with upcoming occurrences
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    const generatedCount = await Expense.countDocuments({ recurring_id: template._id });
+
+    res.json({
+      recurringExpense: template,
+      generated_count: generatedCount,
+      upcoming: listOccurrences(template, { from: new Date(), limit: 5 })
+    });
+  } catch (error) {
+    console.error('Recurring expense fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching recurring expense' });
+  }
+});
+
+// @route   GET /api/recurring-expenses/:id/upcoming
+// @desc    Get the next occurrences of a template
+// @access  Private
+router.get('/:id/upcoming', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    const count = Math.min(parseInt(req.query.count, 10) || 10, 100);
+
+    res.json({
+      occurrences: listOccurrences(template, { from: new Date(), limit: count })
+    });
+  } catch (error) {
+    console.error('Upcoming occurrences fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching upcoming occurrences' });
+  }
+});
+
+// @route   PUT /api/recurring-expenses/:id
+// @desc    Update a template (affects occurrences generated from now on)
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    const {
+      amount, currency, category_id, merchant_id, payment_mode, account_id, credit_card_id, borrowed_id, note, end_date
+    } = req.body;
+
+    // Schedule fields define which occurrences exist; changing them would orphan generated ones
+    if (['frequency', 'interval', 'start_date'].some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        message: 'Frequency, interval and start date cannot be changed. End this recurring expense and create a new one.'
+      });
+    }
+
+    if (currency !== undefined) {
+      const currencyError = validateCurrency(currency);
+      if (currencyError) return res.status(400).json(currencyError);
+    }
+
+    if (end_date && !(new Date(end_date) >= template.start_date)) {
+      return res.status(400).json({ message: 'End date must be a valid date on or after the start date', field: 'end_date' });
+    }
+
+    const mode = payment_mode || template.payment_mode;
+    const creditCardId = mode === 'credit_card' ? (credit_card_id || template.credit_card_id) : null;
+    const borrowedId = mode === 'borrowed' ? (borrowed_id || template.borrowed_id) : null;
+    const accountId = mode === 'account' ? (account_id || template.account_id) : null;
+
+    const referenceError = await validateReferences(req.user._id, {
+      category_id,
+      payment_mode: mode,
+      credit_card_id: creditCardId,
+      borrowed_id: borrowedId,
+      account_id: accountId,
+      currency: currency !== undefined ? currency : template.currency
+    });
+    if (referenceError) {
+      return res.status(400).json(referenceError);
+    }
+
+    if (merchant_id) {
+      const merchantError = await validateMerchant(req.user._id, merchant_id);
+      if (merchantError) return res.status(400).json(merchantError);
+    }
+
+    if (amount !== undefined) template.amount = amount;
+    if (currency !== undefined) template.currency = normalizeCurrency(currency);
+    if (category_id !== undefined) template.category_id = category_id;
+    if (merchant_id !== undefined) template.merchant_id = merchant_id || null;
+    if (note !== undefined) template.note = note;
+    if (end_date !== undefined) template.end_date = end_date ? new Date(end_date) : null;
+    template.payment_mode = mode;
+    template.credit_card_id = creditCardId;
+    template.borrowed_id = borrowedId;
+    template.account_id = accountId;
+
+    await template.save();
+
+    res.json({
+      message: 'Recurring expense updated successfully',
+      recurringExpense: template
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Recurring expense update error:', error);
+    res.status(500).json({ message: 'Server error while updating recurring expense' });
+  }
+});
+
+// @route   DELETE /api/recurring-expenses/:id
+// @desc    Delete a template (expenses already generated are kept)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    await RecurringExpense.deleteOne({ _id: template._id });
+
+    res.json({ message: 'Recurring expense deleted successfully' });
+  } catch (error) {
+    console.error('Recurring expense deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting recurring expense' });
+  }
+});
+
+// @route   POST /api/recurring-expenses/:id/pause
+// @desc    Pause a template; nothing is generated until it is resumed
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    template.is_paused = true;
+    await template.save();
+
+    res.json({ message: 'Recurring expense paused', recurringExpense: template });
+  } catch (error) {
+    console.error('Recurring expense pause error:', error);
+    res.status(500).json({ message: 'Server error while pausing recurring expense' });
+  }
+});
+
+// @route   POST /api/recurring-expenses/:id/resume
+// @desc    Resume a paused template. Occurrences that fell due while paused are skipped
+//          unless catch_up is true.
+// @access  Private
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    if (!template.is_paused) {
+      return res.status(400).json({ message: 'Recurring expense is not paused' });
+    }
+
+    const catchUp = req.body.catch_up === true || req.body.catch_up === 'true';
+    const now = new Date();
+
+    if (!catchUp) {
+      // Move past everything that fell due while paused
+      const missed = listOccurrences(template, { to: now, fromIndex: template.next_index, limit: Infinity });
+      if (missed.length > 0) {
+        template.next_index = missed[missed.length - 1].index + 1;
+      }
+    }
+
+    template.is_paused = false;
+    await template.save();
+
+    const generated = await generateForTemplate(template, now);
+
+    res.json({
+      message: 'Recurring expense resumed',
+      recurringExpense: template,
+      generated_count: generated
+    });
+  } catch (error) {
+    console.error('Recurring expense resume error:', error);
+    res.status(500).json({ message: 'Server error while resuming recurring expense' });
+  }
+});
+
+// @route   POST /api/recurring-expenses/:id/occurrences/:action
+// @desc    Skip, pause or resume a single occurrence (body: { date: "YYYY-MM-DD" })
+// @access  Private
+router.post('/:id/occurrences/:action', auth, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const { date } = req.body;
+
+    if (!['skip', 'pause', 'resume'].includes(action)) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    if (!date) {
+      return res.status(400).json({ message: 'Occurrence date is required', field: 'date' });
+    }
+
+    const template = await findTemplate(req);
+
+    if (!template) {
+      return res.status(404).json({ message: 'Recurring expense not found' });
+    }
+
+    const occurrence = findOccurrence(template, String(date));
+    if (!occurrence) {
+      return res.status(400).json({
+        message: 'No occurrence of this recurring expense falls on that date',
+        field: 'date',
+        value: date
+      });
+    }
+
+    const alreadyCreated = await Expense.exists({ recurring_id: template._id, occurrence_date: occurrence.date });
+    if (alreadyCreated && action !== 'resume') {
+      return res.status(400).json({ message: 'This occurrence has already been recorded as an expense' });
+    }
+
+    template.occurrence_overrides = template.occurrence_overrides
+      .filter(item => item.date.getTime() !== occurrence.date.getTime());
+
+    let created = false;
+    if (action === 'skip' || action === 'pause') {
+      template.occurrence_overrides.push({ date: occurrence.date, status: action === 'skip' ? 'skipped' : 'paused' });
+      await template.save();
+    } else {
+      await template.save();
+      // A resumed occurrence that is already due is created right away
+      if (occurrence.date <= new Date() && occurrence.index < template.next_index) {
+        created = await createOccurrenceExpense(template, occurrence.date);
+      }
+    }
+
+    const messages = {
+      skip: 'Occurrence skipped',
+      pause: 'Occurrence paused',
+      resume: 'Occurrence resumed'
+    };
+
+    res.json({
+      message: messages[action],
+      occurrence: { date: occurrence.date, status: template.getOverride(occurrence.date) },
+      expense_created: created
+    });
+  } catch (error) {
+    console.error('Occurrence update error:', error);
+    res.status(500).json({ message: 'Server error while updating occurrence' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const Expense = require('../models/Expense');
+const { getUserTimeZone } = require('../utils/dateTime');
+const { getBaseCurrency, convertToBaseStages } = require('../utils/currency');
+const { escapeRegex } = require('../utils/search');
+const { updateManyWithAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Tags live on expenses, so API keys need the expenses:read / expenses:write scopes
+router.use(auth.scope('expenses'));
+
+// Validate a tag name from the request body. Returns an error response body, or null when valid.
+const validateTagName = (value, field) => {
+  if (typeof value !== 'string' || !Expense.normalizeTag(value)) {
+    return { message: 'Tag name is required', field };
+  }
+  if (Expense.normalizeTag(value).length > Expense.MAX_TAG_LENGTH) {
+    return { message: `Tags cannot exceed ${Expense.MAX_TAG_LENGTH} characters`, field, value };
+  }
+  return null;
+};
+
+// Replace every tag in `sources` with `target` on the user's expenses, keeping tag order and
+// dropping duplicates. Renaming onto an existing tag therefore merges the two.
+const replaceTags = (req, sources, target) => {
+  return updateManyWithAudit(
+    req,
+    Expense,
+    'expense',
+    { user_id: req.user._id, tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                in: { $cond: [{ $in: ['$$this', sources] }, target, '$$this'] }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        }
+      }
+    }]
+  );
+};
+
+// @route   GET /api/tags
+// @desc    List tags with usage counts and totals (?q= filters by prefix)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { q } = req.query;
+    const tagMatch = q ? { tags: { $regex: `^${escapeRegex(Expense.normalizeTag(q))}` } } : {};
+
+    // Totals are in the base currency; expenses without a rate for their date are counted in
+    // unconverted_count and left out of the total
+    const tags = await Expense.aggregate([
+      { $match: { user_id: req.user._id, tags: { $exists: true, $ne: [] } } },
+      { $unwind: '$tags' },
+      { $match: tagMatch },
+      ...convertToBaseStages(req.user, getUserTimeZone(req.user)),
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          total: { $sum: '$base_amount' },
+          unconverted_count: { $sum: { $cond: [{ $eq: ['$exchange_rate', null] }, 1, 0] } },
+          last_used: { $max: '$date' }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1, total: 1, unconverted_count: 1, last_used: 1 } }
+    ]);
+
+    res.json({ tags, currency: getBaseCurrency(req.user) });
+  } catch (error) {
+    console.error('Tag fetch error:', error);
+    res.status(500).json({ message: 'Server error while fetching tags' });
+  }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Merge several tags into one, body { tags: [...], into }
+// @access  Private
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const { tags, into } = req.body;
+
+    if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string')) {
+      return res.status(400).json({ message: 'Tags to merge must be a non-empty array of strings', field: 'tags' });
+    }
+
+    const intoError = validateTagName(into, 'into');
+    if (intoError) {
+      return res.status(400).json(intoError);
+    }
+
+    const target = Expense.normalizeTag(into);
+    const sources = [...new Set(tags.map(Expense.normalizeTag))].filter(tag => tag && tag !== target);
+
+    if (sources.length === 0) {
+      return res.status(400).json({ message: 'Nothing to merge', field: 'tags' });
+    }
+
+    const result = await replaceTags(req, sources, target);
+
+    res.json({
+      message: `Merged ${sources.length} tag(s) into "${target}"`,
+      tag: target,
+      merged: sources,
+      expenses_updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Tag merge error:', error);
+    res.status(500).json({ message: 'Server error while merging tags' });
+  }
+});
+
+// @route   PUT /api/tags/:tag
+// @desc    Rename a tag on all expenses, body { name }. Renaming to an existing tag merges them.
+// @access  Private
+router.put('/:tag', auth, async (req, res) => {
+  try {
+    const nameError = validateTagName(req.body.name, 'name');
+    if (nameError) {
+      return res.status(400).json(nameError);
+    }
+
+    const source = Expense.normalizeTag(req.params.tag);
+    const target = Expense.normalizeTag(req.body.name);
+
+    const exists = await Expense.exists({ user_id: req.user._id, tags: source });
+    if (!exists) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    if (source === target) {
+      return res.json({ message: 'Tag unchanged', tag: target, expenses_updated: 0 });
+    }
+
+    const result = await replaceTags(req, [source], target);
+
+    res.json({
+      message: 'Tag renamed successfully',
+      tag: target,
+      expenses_updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Tag rename error:', error);
+    res.status(500).json({ message: 'Server error while renaming tag' });
+  }
+});
+
+// @route   DELETE /api/tags/:tag
+// @desc    Remove a tag from all expenses
+// @access  Private
+router.delete('/:tag', auth, async (req, res) => {
+  try {
+    const tag = Expense.normalizeTag(req.params.tag);
+
+    const result = await updateManyWithAudit(
+      req,
+      Expense,
+      'expense',
+      { user_id: req.user._id, tags: tag },
+      { $pull: { tags: tag } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag deleted successfully',
+      expenses_updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Tag deletion error:', error);
+    res.status(500).json({ message: 'Server error while deleting tag' });
+  }
+});
+
+module.exports = router;
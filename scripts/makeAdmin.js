@@ -0,0 +1,35 @@
+// Grant the admin role to an existing user: npm run make-admin -- user@example.com
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const main = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run make-admin -- <email>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role: 'admin' },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.username} <${user.email}> is now an admin`);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch((error) => {
+  console.error('make-admin error:', error);
+  process.exit(1);
+});
@@ -10,6 +10,21 @@ const categoryRoutes = require('./routes/categories');
 const creditCardRoutes = require('./routes/creditCards');
 const borrowedMoneyRoutes = require('./routes/borrowedMoney');
 const paymentRoutes = require('./routes/payments');
+const apiKeyRoutes = require('./routes/apiKeys');
+const adminRoutes = require('./routes/admin');
+const recurringExpenseRoutes = require('./routes/recurringExpenses');
+const groupRoutes = require('./routes/groups');
+const tagRoutes = require('./routes/tags');
+const importRoutes = require('./routes/imports');
+const exportRoutes = require('./routes/exports');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const auditRoutes = require('./routes/audit');
+const merchantRoutes = require('./routes/merchants');
+const expenseRuleRoutes = require('./routes/expenseRules');
+const accountRoutes = require('./routes/accounts');
+const { startAccountPurgeJob } = require('./jobs/accountPurge');
+const { startRecurringExpenseJob } = require('./jobs/recurringExpenses');
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,6 +45,9 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  startAccountPurgeJob();
+  startRecurringExpenseJob();
+  startTrashPurgeJob();
 })
 .catch((err) => {
   console.error('MongoDB connection error:', err);
@@ -38,10 +56,22 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/recurring-expenses', recurringExpenseRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/expense-rules', expenseRuleRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/credit-cards', creditCardRoutes);
 app.use('/api/borrowed-money', borrowedMoneyRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+const { computeBalances, listTransactions } = require('../utils/accountBalances');
+
+const userId = new mongoose.Types.ObjectId();
+const otherAccountId = new mongoose.Types.ObjectId();
+
+const newAccount = (openingBalance) => new Account({
+  user_id: userId,
+  name: 'Savings',
+  type: 'bank',
+  currency: 'INR',
+  opening_balance: openingBalance
+});
+
+// A stand-in for a mongoose query: every chained call returns it and lean() resolves the rows
+const fakeQuery = (rows) => {
+  const query = {
+    populate: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: async () => rows
+  };
+  return query;
+};
+
+// The account field a sumByAccount pipeline groups on, e.g. 'from_account_id'
+const groupedField = (pipeline) => pipeline.find(stage => stage.$group).$group._id.slice(1);
+
+test('balance is the opening balance plus money in minus money out', async (t) => {
+  const account = newAccount(1000);
+  const row = (amount, count, incomingAmount = 0) => ({ _id: account._id, amount, incoming_amount: incomingAmount, count });
+
+  t.mock.method(Expense, 'aggregate', async () => [row(250.5, 3)]);
+  t.mock.method(Payment, 'aggregate', async () => [row(100, 1, 40)]);
+  t.mock.method(Transfer, 'aggregate', async (pipeline) => {
+    return groupedField(pipeline) === 'from_account_id' ? [row(200, 1)] : [row(75.25, 2)];
+  });
+
+  const balances = await computeBalances(userId, [account]);
+
+  assert.deepStrictEqual(balances.get(account._id.toString()), {
+    opening_balance: 1000,
+    expenses: 250.5,
+    payments_out: 100,
+    payments_in: 40,
+    transfers_out: 200,
+    transfers_in: 75.25,
+    transaction_count: 7,
+    balance: 564.75
+  });
+});
+
+test('an account without transactions keeps its opening balance', async (t) => {
+  const account = newAccount(-20);
+
+  t.mock.method(Expense, 'aggregate', async () => []);
+  t.mock.method(Payment, 'aggregate', async () => []);
+  t.mock.method(Transfer, 'aggregate', async () => []);
+
+  const balances = await computeBalances(userId, [account]);
+
+  assert.strictEqual(balances.get(account._id.toString()).balance, -20);
+  assert.strictEqual(balances.get(account._id.toString()).transaction_count, 0);
+});
+
+test('balances as of a date only count transactions up to it', async (t) => {
+  const account = newAccount(0);
+  const until = new Date('2026-03-31T23:59:59.999Z');
+  const aggregate = t.mock.method(Expense, 'aggregate', async () => []);
+  t.mock.method(Payment, 'aggregate', async () => []);
+  t.mock.method(Transfer, 'aggregate', async () => []);
+
+  await computeBalances(userId, [account], until);
+
+  const [pipeline] = aggregate.mock.calls[0].arguments;
+  assert.deepStrictEqual(pipeline[0].$match.date, { $lte: until });
+});
+
+test('transactions are signed by direction and listed newest first', async (t) => {
+  const account = newAccount(0);
+  const day = (date) => new Date(`2026-04-${date}T10:00:00Z`);
+
+  t.mock.method(Expense, 'find', () => fakeQuery([
+    { _id: 'e1', date: day('02'), amount: 30, note: '', merchant_id: { name: 'Cafe' } }
+  ]));
+  t.mock.method(Payment, 'aggregate', async () => [
+    { _id: 'p1', payment_date: day('05'), amount: 500, type: 'credit_card', incoming: false },
+    { _id: 'p2', payment_date: day('01'), amount: 200, type: 'borrowed', incoming: true, note: 'Repaid' }
+  ]);
+  t.mock.method(Transfer, 'find', () => fakeQuery([
+    { _id: 't1', date: day('04'), amount: 100, to_amount: 100, from_account_id: account._id, to_account_id: otherAccountId },
+    { _id: 't2', date: day('03'), amount: 10, to_amount: 800, from_account_id: otherAccountId, to_account_id: account._id }
+  ]));
+
+  const transactions = await listTransactions(userId, account, null, 10);
+
+  assert.deepStrictEqual(transactions.map(({ type, id, amount }) => [type, id, amount]), [
+    ['payment', 'p1', -500],
+    ['transfer_out', 't1', -100],
+    ['transfer_in', 't2', 800],
+    ['expense', 'e1', -30],
+    ['payment', 'p2', 200]
+  ]);
+  assert.strictEqual(transactions[3].description, 'Cafe');
+  assert.ok(transactions[1].counterparty_account_id.equals(otherAccountId));
+});
+
+test('the transaction list is capped at the limit', async (t) => {
+  const account = newAccount(0);
+  const expenses = [1, 2, 3].map(n => ({ _id: `e${n}`, date: new Date(2026, 0, n), amount: n }));
+
+  t.mock.method(Expense, 'find', () => fakeQuery(expenses));
+  t.mock.method(Payment, 'aggregate', async () => [{ _id: 'p1', payment_date: new Date(2026, 0, 4), amount: 9, incoming: false }]);
+  t.mock.method(Transfer, 'find', () => fakeQuery([]));
+
+  const transactions = await listTransactions(userId, account, null, 2);
+
+  assert.deepStrictEqual(transactions.map(transaction => transaction.id), ['p1', 'e3']);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const adminRoutes = require('../routes/admin');
+
+test('the user list only sorts by known fields', async (t) => {
+  const admin = testUser();
+  admin.role = 'admin';
+  const app = await startApp('/api/admin', adminRoutes);
+  t.after(() => app.close());
+  const find = t.mock.method(User, 'find', () => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      limit: () => query,
+      skip: async () => []
+    };
+    return query;
+  });
+  t.mock.method(User, 'countDocuments', async () => 0);
+  t.mock.method(Expense, 'aggregate', async () => []);
+  const headers = loginAs(t, admin);
+
+  const rejected = await app.request('GET', '/users?sort_by=password', undefined, headers);
+
+  assert.strictEqual(rejected.status, 400);
+  assert.strictEqual(rejected.body.field, 'sort_by');
+  assert.strictEqual(find.mock.callCount(), 0);
+
+  const sorted = await app.request('GET', '/users?sort_by=lastLogin&sort_order=asc', undefined, headers);
+
+  assert.strictEqual(sorted.status, 200);
+  assert.strictEqual(find.mock.callCount(), 1);
+});
@@ -0,0 +1,141 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const Account = require('../models/Account');
+const AuditLog = require('../models/AuditLog');
+const Expense = require('../models/Expense');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+const auditRoutes = require('../routes/audit');
+const { diffSnapshots, updateManyWithAudit } = require('../utils/audit');
+
+const user = testUser();
+const req = { user, method: 'PUT', originalUrl: '/api/tags/food', ip: '127.0.0.1', get: () => 'test' };
+
+const newExpense = (tags) => new Expense({
+  user_id: user._id,
+  amount: 10,
+  category_id: new mongoose.Types.ObjectId(),
+  payment_mode: 'upi',
+  date: new Date('2026-06-01T00:00:00Z'),
+  tags
+});
+
+// A stand-in for a find query that resolves to the given documents
+const found = (docs) => ({ setOptions: async () => docs });
+
+test('diffSnapshots lists only the fields that changed', () => {
+  assert.deepStrictEqual(diffSnapshots({ amount: 1, note: 'a' }, { amount: 2, note: 'a' }), [
+    { field: 'amount', before: 1, after: 2 }
+  ]);
+});
+
+test('updateManyWithAudit records the before and after of every changed record', async (t) => {
+  const changed = newExpense(['food']);
+  const unchanged = newExpense(['food']);
+  const changedAfter = Expense.hydrate({ ...changed.toObject(), tags: ['groceries'] });
+  const unchangedAfter = Expense.hydrate(unchanged.toObject());
+
+  const results = [[changed, unchanged], [unchangedAfter, changedAfter]];
+  t.mock.method(Expense, 'find', () => found(results.shift()));
+  const updateMany = t.mock.method(Expense, 'updateMany', () => ({ setOptions: async () => ({ matchedCount: 2, modifiedCount: 1 }) }));
+  const audit = t.mock.method(AuditLog, 'create', async (entry) => entry);
+
+  const result = await updateManyWithAudit(req, Expense, 'expense', { user_id: user._id, tags: 'food' }, { $set: { tags: ['groceries'] } });
+
+  assert.strictEqual(result.modifiedCount, 1);
+  assert.deepStrictEqual(updateMany.mock.calls[0].arguments[0]._id, { $in: [changed._id, unchanged._id] });
+  assert.strictEqual(audit.mock.callCount(), 1);
+  const [entry] = audit.mock.calls[0].arguments;
+  assert.strictEqual(entry.entity_id, changed._id);
+  assert.strictEqual(entry.action, 'update');
+  assert.deepStrictEqual(entry.changes, [{ field: 'tags', before: ['food'], after: ['groceries'] }]);
+});
+
+test('updateManyWithAudit does nothing when no record matches', async (t) => {
+  t.mock.method(Expense, 'find', () => found([]));
+  const updateMany = t.mock.method(Expense, 'updateMany', () => ({ setOptions: async () => ({}) }));
+
+  const result = await updateManyWithAudit(req, Expense, 'expense', { user_id: user._id, tags: 'none' }, { $pull: { tags: 'none' } });
+
+  assert.deepStrictEqual(result, { matchedCount: 0, modifiedCount: 0 });
+  assert.strictEqual(updateMany.mock.callCount(), 0);
+});
+
+describe('POST /api/audit/:entityType/:entityId/revert', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/audit', auditRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  const newAccount = (owner, currency) => new Account({ user_id: owner._id, name: `${currency} account`, type: 'bank', currency });
+
+  // Stub the version lookup and the record it belongs to
+  const stubVersion = (t, owner, Model, record, versionAfter) => {
+    const version = new AuditLog({
+      user_id: owner._id,
+      entity_type: Model.modelName.toLowerCase(),
+      entity_id: record._id,
+      action: 'update',
+      after: versionAfter
+    });
+    t.mock.method(AuditLog, 'findOne', async () => version);
+    t.mock.method(Model, 'findOne', () => ({ setOptions: async () => record }));
+    return version;
+  };
+
+  test('refuses to put a payment back on an account outside the base currency', async (t) => {
+    const owner = testUser({ currency: 'INR' });
+    const usdAccount = newAccount(owner, 'USD');
+    const payment = new Payment({
+      user_id: owner._id,
+      type: 'credit_card',
+      reference_id: new mongoose.Types.ObjectId(),
+      amount: 100,
+      payment_date: new Date()
+    });
+    const version = stubVersion(t, owner, Payment, payment, { amount: 100, account_id: usdAccount._id });
+    t.mock.method(Account, 'findOne', async () => usdAccount);
+    const save = t.mock.method(Payment.prototype, 'save', async function() { return this; });
+
+    const response = await app.request('POST', `/payment/${payment._id}/revert`, { version_id: version._id }, loginAs(t, owner));
+
+    assert.strictEqual(response.status, 409);
+    assert.match(response.body.message, /account currency \(USD\)/);
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+
+  test('refuses a same-currency transfer whose received amount differs', async (t) => {
+    const owner = testUser();
+    const [from, to] = [newAccount(owner, 'INR'), newAccount(owner, 'INR')];
+    const transfer = new Transfer({
+      user_id: owner._id,
+      from_account_id: from._id,
+      to_account_id: to._id,
+      amount: 50,
+      to_amount: 50,
+      date: new Date()
+    });
+    const version = stubVersion(t, owner, Transfer, transfer, {
+      from_account_id: from._id,
+      to_account_id: to._id,
+      amount: 50,
+      to_amount: 45
+    });
+    t.mock.method(Account, 'find', async () => [from, to]);
+    const save = t.mock.method(Transfer.prototype, 'save', async function() { return this; });
+
+    const response = await app.request('POST', `/transfer/${transfer._id}/revert`, { version_id: version._id }, loginAs(t, owner));
+
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.field, 'to_amount');
+    assert.strictEqual(save.mock.callCount(), 0);
+  });
+});
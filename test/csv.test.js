@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { detectDelimiter, parseCsv, formatCsvValue, formatCsvRow } = require('../utils/csv');
+
+test('parses quoted fields, escaped quotes and embedded newlines', () => {
+  const text = 'date,note,amount\n2026-01-05,"Lunch, with ""Sam""",12.50\n2026-01-06,"two\nlines",3\n';
+
+  assert.deepStrictEqual(parseCsv(text), [
+    ['date', 'note', 'amount'],
+    ['2026-01-05', 'Lunch, with "Sam"', '12.50'],
+    ['2026-01-06', 'two\nlines', '3']
+  ]);
+});
+
+test('handles CRLF line endings, a byte order mark and blank lines', () => {
+  const text = '\uFEFFdate,amount\r\n2026-01-05,10\r\n\r\n,\r\n2026-01-06,20';
+
+  assert.deepStrictEqual(parseCsv(text), [['date', 'amount'], ['2026-01-05', '10'], ['2026-01-06', '20']]);
+});
+
+test('detects the delimiter from the header line', () => {
+  assert.strictEqual(detectDelimiter('date;note;amount\n1,2;3;4'), ';');
+  assert.strictEqual(detectDelimiter('date\tamount\n'), '\t');
+  assert.strictEqual(detectDelimiter('amount'), ',');
+  assert.deepStrictEqual(parseCsv('a|b\n1|2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('an explicit delimiter wins over detection', () => {
+  assert.deepStrictEqual(parseCsv('a;b,c\n1;2,3', { delimiter: ',' }), [['a;b', 'c'], ['1;2', '3']]);
+});
+
+test('reports the line of an unclosed quoted field', () => {
+  assert.throws(() => parseCsv('a,b\n1,2\n3,"open\n4,5'), /Unclosed quoted field starting on line 3/);
+});
+
+test('quotes values containing the delimiter, quotes or line breaks', () => {
+  assert.strictEqual(formatCsvValue('plain'), 'plain');
+  assert.strictEqual(formatCsvValue('a,b'), '"a,b"');
+  assert.strictEqual(formatCsvValue('say "hi"'), '"say ""hi"""');
+  assert.strictEqual(formatCsvValue('two\nlines'), '"two\nlines"');
+  assert.strictEqual(formatCsvValue('a;b', ';'), '"a;b"');
+  assert.strictEqual(formatCsvValue(null), '');
+  assert.strictEqual(formatCsvValue(new Date('2026-01-05T00:00:00Z')), '2026-01-05T00:00:00.000Z');
+});
+
+test('neutralises spreadsheet formulas but keeps signed numbers', () => {
+  assert.strictEqual(formatCsvValue('=SUM(A1:A2)'), '\'=SUM(A1:A2)');
+  assert.strictEqual(formatCsvValue('@cmd'), '\'@cmd');
+  assert.strictEqual(formatCsvValue('+1,2'), '"\'+1,2"');
+  assert.strictEqual(formatCsvValue('-12.5'), '-12.5');
+  assert.strictEqual(formatCsvValue(-12.5), '-12.5');
+});
+
+test('formatted rows parse back to the same values', () => {
+  const values = ['2026-01-05', 'Lunch, "with" Sam', 'multi\r\nline', '42'];
+
+  assert.strictEqual(formatCsvRow(['a', 'b']), 'a,b\r\n');
+  assert.deepStrictEqual(parseCsv(formatCsvRow(values), { delimiter: ',' }), [values]);
+});
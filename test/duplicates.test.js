@@ -0,0 +1,148 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const Expense = require('../models/Expense');
+const expenseRoutes = require('../routes/expenses');
+const { DUPLICATE_SCAN_MAX, noteSimilarity, isDuplicatePair, findDuplicateGroups } = require('../utils/duplicates');
+
+const user = testUser({ currency: 'INR' });
+
+const newExpense = (fields) => new Expense({
+  user_id: user._id,
+  category_id: new mongoose.Types.ObjectId(),
+  amount: 499,
+  payment_mode: 'upi',
+  date: new Date('2026-02-10T12:00:00Z'),
+  note: 'Electricity bill',
+  ...fields
+});
+
+describe('noteSimilarity', () => {
+  test('is the share of the shorter note found in the other', () => {
+    assert.strictEqual(noteSimilarity('Electricity bill', 'electricity bill - March'), 1);
+    assert.strictEqual(noteSimilarity('Dinner at Cafe', 'Lunch at home'), 1 / 3);
+    assert.strictEqual(noteSimilarity('', 'anything'), 0.5);
+  });
+});
+
+describe('isDuplicatePair', () => {
+  test('matches the same spend entered twice', () => {
+    const a = newExpense();
+    const b = newExpense({ date: new Date('2026-02-10T20:00:00Z'), note: 'electricity bill Feb' });
+
+    assert.strictEqual(isDuplicatePair(user, a, b), true);
+  });
+
+  test('a missing currency counts as the base currency', () => {
+    assert.strictEqual(isDuplicatePair(user, newExpense({ currency: 'INR' }), newExpense()), true);
+    assert.strictEqual(isDuplicatePair(user, newExpense({ currency: 'USD' }), newExpense()), false);
+  });
+
+  test('rejects different amounts, payment modes, far apart dates or unrelated notes', () => {
+    const a = newExpense();
+
+    assert.strictEqual(isDuplicatePair(user, a, newExpense({ amount: 499.5 })), false);
+    assert.strictEqual(isDuplicatePair(user, a, newExpense({ payment_mode: 'cash' })), false);
+    assert.strictEqual(isDuplicatePair(user, a, newExpense({ date: new Date('2026-02-13T12:00:00Z') })), false);
+    assert.strictEqual(isDuplicatePair(user, a, newExpense({ note: 'Gym membership' })), false);
+  });
+
+  test('occurrences of one recurring expense and different merchants are never duplicates', () => {
+    const recurringId = new mongoose.Types.ObjectId();
+
+    assert.strictEqual(isDuplicatePair(user, newExpense({ recurring_id: recurringId }), newExpense({ recurring_id: recurringId })), false);
+    assert.strictEqual(
+      isDuplicatePair(user, newExpense({ merchant_id: new mongoose.Types.ObjectId() }), newExpense({ merchant_id: new mongoose.Types.ObjectId() })),
+      false
+    );
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  // Stand-in for the scan query; it resolves to the expenses newest first, as the sort asks for
+  const stubScan = (t, expenses) => {
+    const limits = [];
+    const newestFirst = [...expenses].sort((a, b) => b.date - a.date);
+    t.mock.method(Expense, 'find', () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        limit: (n) => { limits.push(n); return query; },
+        lean: async () => newestFirst.slice(0, limits[0])
+      };
+      return query;
+    });
+    return limits;
+  };
+  const on = (day, fields = {}) => newExpense({ date: new Date(`2026-02-${day}T12:00:00Z`), ...fields });
+
+  test('groups entries within the window and keeps monthly repeats apart', async (t) => {
+    const first = on('01');
+    const repeat = on('01', { date: new Date('2026-02-01T18:00:00Z'), note: 'electricity bill again' });
+    const later = [on('08'), on('15'), on('22')];
+    const otherAmount = on('01', { amount: 20 });
+    stubScan(t, [later[2], first, otherAmount, later[0], repeat, later[1]]);
+
+    const { groups, truncated } = await findDuplicateGroups(user, { user_id: user._id });
+
+    assert.deepStrictEqual(groups, [[first._id.toString(), repeat._id.toString()]]);
+    assert.strictEqual(truncated, false);
+  });
+
+  test('a vague entry does not chain expenses further apart than the window', async (t) => {
+    const a = on('10', { date: new Date('2026-02-10T00:00:00Z') });
+    const vague = on('10', { date: new Date('2026-02-10T20:00:00Z'), note: '' });
+    const b = on('11', { date: new Date('2026-02-11T12:00:00Z') });
+    stubScan(t, [a, vague, b]);
+
+    const { groups } = await findDuplicateGroups(user, { user_id: user._id });
+
+    // b is within the window of the vague entry but not of a, so it joins no group
+    assert.deepStrictEqual(groups, [[a._id.toString(), vague._id.toString()]]);
+  });
+
+  test('scans only the most recent expenses and says when there were more', async (t) => {
+    const start = new Date('2026-01-01T00:00:00Z').getTime();
+    const expenses = Array.from({ length: DUPLICATE_SCAN_MAX + 1 }, (_, i) => ({
+      _id: new mongoose.Types.ObjectId(),
+      amount: 5,
+      payment_mode: 'cash',
+      date: new Date(start + i * 60 * 60 * 1000),
+      note: `Coffee ${i}`
+    }));
+    const limits = stubScan(t, expenses);
+
+    const { groups, truncated } = await findDuplicateGroups(user, { user_id: user._id });
+
+    assert.deepStrictEqual(limits, [DUPLICATE_SCAN_MAX + 1]);
+    assert.strictEqual(truncated, true);
+    assert.ok(groups.flat().every(id => id !== expenses[0]._id.toString()));
+  });
+});
+
+describe('POST /api/expenses/:id/merge', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/expenses', expenseRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  test('refuses to merge expenses that do not look like duplicates', async (t) => {
+    const expense = newExpense();
+    const other = newExpense({ amount: 120, note: 'Groceries' });
+    t.mock.method(Expense, 'findOne', async (filter) => [expense, other].find(doc => doc._id.equals(filter._id)));
+    const trash = t.mock.method(Expense, 'findOneAndUpdate', async () => null);
+
+    const response = await app.request('POST', `/${expense._id}/merge`, { duplicate_id: other._id }, loginAs(t, user));
+
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.field, 'duplicate_id');
+    assert.strictEqual(trash.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const AuditLog = require('../models/AuditLog');
+const Expense = require('../models/Expense');
+const ExpenseRule = require('../models/ExpenseRule');
+const expenseRuleRoutes = require('../routes/expenseRules');
+const { validateRulePattern, loadRules, matchRules } = require('../utils/expenseRules');
+
+const userId = new mongoose.Types.ObjectId();
+
+const newRule = (fields) => new ExpenseRule({ user_id: userId, name: 'Rule', ...fields });
+
+// A stand-in for the rule query: sort() and the first populate() chain, the last one resolves
+const fakeRuleQuery = (rules) => {
+  let populated = 0;
+  const query = {
+    sort: () => query,
+    populate: () => (++populated === 2 ? Promise.resolve(rules) : query)
+  };
+  return query;
+};
+
+test('accepts contains and regex patterns', () => {
+  assert.strictEqual(validateRulePattern(undefined, undefined), null);
+  assert.strictEqual(validateRulePattern('contains', 'uber (trip)'), null);
+  assert.strictEqual(validateRulePattern('regex', '^(uber|ola)\\b'), null);
+});
+
+test('rejects an unknown match type, a missing pattern and an invalid regex', () => {
+  assert.strictEqual(validateRulePattern('startsWith', 'a').field, 'match_type');
+  assert.strictEqual(validateRulePattern('regex', '  ').field, 'pattern');
+  assert.match(validateRulePattern('regex', '(unclosed').message, /^Invalid regex/);
+});
+
+test('rejects regexes with nested repetition', () => {
+  for (const pattern of ['(a+)+$', '(x*)*y', '(\\w+\\s?)+$']) {
+    assert.match(validateRulePattern('regex', pattern).message, /too long to match/, pattern);
+  }
+  // The same text is harmless as a plain contains pattern
+  assert.strictEqual(validateRulePattern('contains', '(a+)+$'), null);
+});
+
+test('saved rules with unsafe patterns are skipped', async (t) => {
+  const safe = newRule({ match_type: 'regex', pattern: '^uber' });
+  const unsafe = newRule({ match_type: 'regex', pattern: '(a+)+$' });
+  t.mock.method(ExpenseRule, 'find', () => fakeRuleQuery([unsafe, safe]));
+
+  const rules = await loadRules(userId);
+
+  assert.deepStrictEqual(rules.map(({ rule }) => rule), [safe]);
+});
+
+test('the first matching rule sets the category and every match adds its tags', () => {
+  const firstCategory = new mongoose.Types.ObjectId();
+  const rules = [
+    { rule: newRule({ tags: ['travel'], category_id: { _id: firstCategory } }), regex: /uber/i },
+    { rule: newRule({ tags: ['never'] }), regex: /swiggy/i },
+    { rule: newRule({ tags: ['work', 'travel'], category_id: { _id: new mongoose.Types.ObjectId() }, min_amount: 100 }), regex: null }
+  ];
+
+  const match = matchRules(rules, { note: 'Uber to office', amount: 250 });
+
+  assert.strictEqual(match.category_id, firstCategory);
+  assert.deepStrictEqual(match.tags, ['travel', 'work']);
+  assert.strictEqual(match.rule_ids.length, 2);
+  assert.strictEqual(matchRules(rules, { note: 'Uber', amount: 50 }).rule_ids.length, 1);
+});
+
+test('applying rules handles one page of expenses and returns counts with a cursor', async (t) => {
+  const user = testUser();
+  const app = await startApp('/api/expense-rules', expenseRuleRoutes);
+  t.after(() => app.close());
+
+  const start = new Date('2026-03-01T00:00:00Z').getTime();
+  const expenses = Array.from({ length: 501 }, (_, i) => new Expense({
+    user_id: user._id,
+    category_id: new mongoose.Types.ObjectId(),
+    amount: 10,
+    payment_mode: 'cash',
+    date: new Date(start - i * 60 * 1000),
+    note: i === 0 ? 'Uber to office' : `Coffee ${i}`
+  }));
+  t.mock.method(ExpenseRule, 'find', () => fakeRuleQuery([newRule({ match_type: 'contains', pattern: 'uber', tags: ['travel'] })]));
+  const calls = [];
+  t.mock.method(Expense, 'find', (filter) => {
+    const call = { filter };
+    calls.push(call);
+    const query = {
+      sort: () => query,
+      limit: (n) => { call.limit = n; return query; },
+      cursor: () => (async function* () { yield* expenses.slice(0, call.limit); })()
+    };
+    return query;
+  });
+  t.mock.method(Expense.prototype, 'save', async function() { return this; });
+  t.mock.method(AuditLog, 'create', async (entry) => entry);
+  const headers = loginAs(t, user);
+
+  const response = await app.request('POST', '/apply', {}, headers);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(calls[0].limit, 501);
+  assert.deepStrictEqual(response.body.summary, { total: 500, matched: 1, unchanged: 0, updated: 1, failed: 0 });
+  assert.deepStrictEqual(response.body.failures, []);
+  assert.strictEqual(response.body.results, undefined);
+  assert.strictEqual(response.body.has_more, true);
+  assert.strictEqual(response.body.next_cursor, `${expenses[499].date.toISOString()}_${expenses[499]._id}`);
+
+  await app.request('POST', '/apply', { cursor: response.body.next_cursor }, headers);
+
+  const [, page] = calls[1].filter.$and;
+  assert.deepStrictEqual(page.$or[0], { date: { $lt: expenses[499].date } });
+  assert.ok(page.$or[1]._id.$lt.equals(expenses[499]._id));
+
+  const invalid = await app.request('POST', '/apply', { cursor: 'not-a-cursor' }, headers);
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.field, 'cursor');
+});
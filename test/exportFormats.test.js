@@ -0,0 +1,162 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const mongoose = require('mongoose');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const Account = require('../models/Account');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const Expense = require('../models/Expense');
+const Merchant = require('../models/Merchant');
+const exportRoutes = require('../routes/exports');
+const { streamExport } = require('../utils/exportFormats');
+
+// A stand-in for an Express response that collects what is written. With a full buffer,
+// write() reports backpressure and the test decides when to emit 'drain'.
+const fakeResponse = ({ fullBuffer = false } = {}) => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.body = '';
+  res.ended = false;
+  res.set = (headers) => Object.assign(res.headers, headers);
+  res.write = (chunk) => {
+    res.body += chunk;
+    return !fullBuffer;
+  };
+  res.end = () => { res.ended = true; };
+  return res;
+};
+
+// An async iterable like a MongoDB cursor
+async function* recordsOf(items) {
+  yield* items;
+}
+
+const records = [
+  { date: '2026-01-05', note: 'Lunch, with Sam', amount: 12.5 },
+  { date: '2026-01-06', note: '=1+1', amount: 3 }
+];
+
+test('CSV exports a header row and one row per record', async () => {
+  const res = fakeResponse();
+
+  const count = await streamExport(res, {
+    format: 'csv',
+    name: 'expenses',
+    columns: ['date', 'note', 'amount'],
+    records: recordsOf(records)
+  });
+
+  assert.strictEqual(count, 2);
+  assert.strictEqual(res.body, 'date,note,amount\r\n2026-01-05,"Lunch, with Sam",12.5\r\n2026-01-06,\'=1+1,3\r\n');
+  assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.match(res.headers['Content-Disposition'], /^attachment; filename="expenses-\d{4}-\d{2}-\d{2}\.csv"$/);
+  assert.ok(res.ended);
+});
+
+test('JSON exports the records under the collection name with a count', async () => {
+  const res = fakeResponse();
+
+  await streamExport(res, { format: 'json', name: 'expenses', records: recordsOf(records) });
+
+  const body = JSON.parse(res.body);
+  assert.deepStrictEqual(body.expenses, records);
+  assert.strictEqual(body.count, 2);
+  assert.ok(!Number.isNaN(Date.parse(body.exported_at)));
+});
+
+test('JSON export of no records is still valid', async () => {
+  const res = fakeResponse();
+
+  await streamExport(res, { format: 'json', name: 'payments', records: recordsOf([]) });
+
+  assert.deepStrictEqual(JSON.parse(res.body).payments, []);
+});
+
+test('OFX exports a bank statement with signed transactions and the net balance', async () => {
+  const res = fakeResponse();
+
+  await streamExport(res, {
+    format: 'ofx',
+    name: 'expenses',
+    records: recordsOf([
+      { id: 'e1', date: '2026-01-05T09:30:00Z', amount: 12.5, note: 'Lunch <& tea>' },
+      { id: 'r1', date: '2026-01-06T00:00:00Z', amount: -20, note: '' }
+    ]),
+    ofx: {
+      currency: 'INR',
+      start: '2026-01-01T00:00:00Z',
+      end: '2026-01-31T23:59:59Z',
+      accountId: 'user-1',
+      transaction: (record) => ({ id: record.id, date: record.date, amount: -record.amount, name: record.note, memo: record.note })
+    }
+  });
+
+  assert.ok(res.body.startsWith('OFXHEADER:100\nDATA:OFXSGML\nVERSION:102\n'));
+  assert.match(res.body, /<CURDEF>INR\n/);
+  assert.match(res.body, /<ACCTID>user-1\n/);
+  assert.match(res.body, /<DTSTART>20260101000000\[0:GMT\]\n/);
+  assert.match(res.body, /<TRNTYPE>DEBIT\n<DTPOSTED>20260105093000\[0:GMT\]\n<TRNAMT>-12.50\n<FITID>e1\n<NAME>Lunch &lt;&amp; tea&gt;\n<MEMO>/);
+  assert.match(res.body, /<TRNTYPE>CREDIT\n<DTPOSTED>20260106000000\[0:GMT\]\n<TRNAMT>20.00\n<FITID>r1\n<NAME>Unknown\n<\/STMTTRN>/);
+  assert.match(res.body, /<LEDGERBAL><BALAMT>7.50<DTASOF>/);
+  assert.ok(res.body.endsWith('</OFX>\n'));
+  assert.strictEqual(res.headers['Content-Type'], 'application/x-ofx; charset=utf-8');
+});
+
+test('waits for the client to drain a full buffer', async () => {
+  const res = fakeResponse({ fullBuffer: true });
+  let finished = false;
+
+  const done = streamExport(res, { format: 'json', name: 'expenses', records: recordsOf(records) })
+    .then(() => { finished = true; });
+
+  for (let i = 0; i < 10 && !finished; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+    res.emit('drain');
+  }
+  await done;
+
+  assert.ok(finished);
+  assert.strictEqual(JSON.parse(res.body).count, 2);
+});
+
+test('stops when the client closes the connection', async () => {
+  const res = fakeResponse({ fullBuffer: true });
+
+  const done = streamExport(res, { format: 'csv', name: 'expenses', columns: ['date'], records: recordsOf(records) });
+  res.emit('close');
+
+  await assert.rejects(done, /Client closed the connection/);
+  assert.ok(!res.ended);
+});
+
+test('OFX date bounds match ID filters as ObjectIds', async (t) => {
+  const user = testUser();
+  const categoryId = new mongoose.Types.ObjectId();
+  const app = await startApp('/api/exports', exportRoutes);
+  t.after(() => app.close());
+
+  for (const Model of [Account, BorrowedMoney, Category, CreditCard, Merchant]) {
+    t.mock.method(Model, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  }
+  // Queries are built for real; only the export cursor is replaced with an empty one
+  const find = Expense.find;
+  t.mock.method(Expense, 'find', function(...args) {
+    const query = find.apply(this, args);
+    query.cursor = () => Object.assign(recordsOf([]), { close: async () => {} });
+    return query;
+  });
+  const aggregate = t.mock.method(Expense, 'aggregate', async () => [
+    { start: new Date('2026-01-02T00:00:00Z'), end: new Date('2026-01-09T00:00:00Z') }
+  ]);
+
+  const response = await fetch(`${app.baseUrl}/expenses?format=ofx&category_id=${categoryId}`, { headers: loginAs(t, user) });
+  const body = await response.text();
+
+  const [{ $match: match }] = aggregate.mock.calls[0].arguments[0];
+  assert.ok(match.user_id instanceof mongoose.Types.ObjectId);
+  assert.ok(match.$or[0].category_id.equals(categoryId));
+  assert.match(body, /<DTSTART>20260102000000\[0:GMT\]/);
+});
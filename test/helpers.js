@@ -0,0 +1,61 @@
+// Shared helpers for route tests: mount a router on a throwaway Express app and call it over HTTP.
+// Models are stubbed per test with t.mock.method, so no database is needed.
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const startApp = (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}${mountPath}`;
+      const request = async (method, path, body, headers = {}) => {
+        const response = await fetch(baseUrl + path, {
+          method,
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+      };
+      resolve({ baseUrl, request, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+};
+
+// Stub the session and user lookups of middleware/auth for one test and return the headers
+// of a request logged in as the user
+const loginAs = (t, user) => {
+  const session = new Session({
+    user_id: user._id,
+    refresh_token_hash: 'test',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  t.mock.method(Session, 'findById', async () => session);
+  t.mock.method(User, 'findById', () => ({ select: async () => user }));
+
+  const token = jwt.sign({ userId: user._id, sid: session._id }, process.env.JWT_SECRET);
+  return { Authorization: `Bearer ${token}` };
+};
+
+// A logged-in user document with the given preferences
+const testUser = (preferences = {}) => new User({
+  _id: new mongoose.Types.ObjectId(),
+  username: `user${Date.now()}`,
+  email: 'user@example.com',
+  password: 'secret123',
+  emailVerified: true,
+  preferences: { currency: 'INR', timezone: 'UTC', ...preferences }
+});
+
+module.exports = {
+  startApp,
+  loginAs,
+  testUser
+};
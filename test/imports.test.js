@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const AuditLog = require('../models/AuditLog');
+const Expense = require('../models/Expense');
+const ImportBatch = require('../models/ImportBatch');
+const importRoutes = require('../routes/imports');
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/imports', importRoutes);
+});
+
+after(async () => {
+  await app.close();
+});
+
+const categoryId = new mongoose.Types.ObjectId();
+
+const newBatch = (user, status) => new ImportBatch({
+  user_id: user._id,
+  filename: 'bank.csv',
+  status,
+  rows: [1, 2].map(row => ({
+    row,
+    status: 'ready',
+    date: new Date(`2026-05-0${row}`),
+    amount: 10 * row,
+    currency: 'INR',
+    category_id: categoryId,
+    payment_mode: 'upi',
+    note: `Row ${row}`
+  }))
+});
+
+test('commit records a create audit entry for each imported expense', async (t) => {
+  const user = testUser();
+  const batch = newBatch(user, 'committed');
+  t.mock.method(ImportBatch, 'findOneAndUpdate', async () => batch);
+  t.mock.method(ImportBatch.prototype, 'save', async function() { return this; });
+  t.mock.method(Expense, 'insertMany', async (docs) => docs.map(doc => new Expense(doc)));
+  const audit = t.mock.method(AuditLog, 'create', async (entry) => entry);
+
+  const response = await app.request('POST', `/${batch._id}/commit`, {}, loginAs(t, user));
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(audit.mock.calls.map(call => [call.arguments[0].action, call.arguments[0].after.note]), [
+    ['create', 'Row 1'],
+    ['create', 'Row 2']
+  ]);
+});
+
+test('undo moves the imported expenses to the trash and audits each one', async (t) => {
+  const user = testUser();
+  const batch = newBatch(user, 'undone');
+  const expenses = batch.rows.map(row => new Expense({
+    user_id: user._id,
+    amount: row.amount,
+    category_id: categoryId,
+    payment_mode: 'upi',
+    date: row.date,
+    import_batch_id: batch._id
+  }));
+  t.mock.method(ImportBatch, 'findOneAndUpdate', async () => batch);
+  t.mock.method(Expense, 'find', async () => expenses);
+  const updateMany = t.mock.method(Expense, 'updateMany', async () => ({ modifiedCount: expenses.length }));
+  const deleteMany = t.mock.method(Expense, 'deleteMany', async () => ({ deletedCount: 0 }));
+  const audit = t.mock.method(AuditLog, 'create', async (entry) => entry);
+
+  const response = await app.request('POST', `/${batch._id}/undo`, {}, loginAs(t, user));
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.expenses_deleted, 2);
+  assert.strictEqual(deleteMany.mock.callCount(), 0);
+  assert.ok(updateMany.mock.calls[0].arguments[1].deleted_at instanceof Date);
+  assert.deepStrictEqual(audit.mock.calls.map(call => call.arguments[0].action), ['delete', 'delete']);
+  assert.ok(audit.mock.calls.every(call => call.arguments[0].before.deleted_at === null && call.arguments[0].after.deleted_at));
+});
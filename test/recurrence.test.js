@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { occurrenceDate, listOccurrences, findOccurrence } = require('../utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+test('monthly occurrences clamp to the end of shorter months and return to the start day', () => {
+  const template = { frequency: 'monthly', start_date: new Date('2025-01-31T10:00:00Z') };
+
+  assert.deepStrictEqual(iso([0, 1, 2, 3].map(index => occurrenceDate(template, index))), [
+    '2025-01-31T10:00:00.000Z',
+    '2025-02-28T10:00:00.000Z',
+    '2025-03-31T10:00:00.000Z',
+    '2025-04-30T10:00:00.000Z'
+  ]);
+});
+
+test('yearly occurrences from February 29 fall on February 28 outside leap years', () => {
+  const template = { frequency: 'yearly', start_date: new Date('2024-02-29T00:00:00Z') };
+
+  assert.deepStrictEqual(iso([1, 4].map(index => occurrenceDate(template, index))), [
+    '2025-02-28T00:00:00.000Z',
+    '2028-02-29T00:00:00.000Z'
+  ]);
+});
+
+test('weekly occurrences honour the interval', () => {
+  const template = { frequency: 'weekly', interval: 2, start_date: new Date('2025-01-06T08:00:00Z') };
+
+  assert.strictEqual(occurrenceDate(template, 3).toISOString(), '2025-02-17T08:00:00.000Z');
+});
+
+test('occurrences keep their local time across a daylight saving change', () => {
+  // 09:00 in New York is 14:00 UTC before the March 9, 2025 change and 13:00 UTC after it
+  const template = {
+    frequency: 'daily',
+    timezone: 'America/New_York',
+    start_date: new Date('2025-03-08T14:00:00Z')
+  };
+
+  assert.deepStrictEqual(iso([0, 1].map(index => occurrenceDate(template, index))), [
+    '2025-03-08T14:00:00.000Z',
+    '2025-03-09T13:00:00.000Z'
+  ]);
+});
+
+test('listOccurrences respects from, to, end_date, limit and overrides', () => {
+  const skipped = '2025-01-03T00:00:00.000Z';
+  const template = {
+    frequency: 'daily',
+    start_date: new Date('2025-01-01T00:00:00Z'),
+    end_date: new Date('2025-01-10T00:00:00Z'),
+    getOverride: (date) => (date.toISOString() === skipped ? 'skipped' : null)
+  };
+
+  const window = listOccurrences(template, { from: new Date('2025-01-02T00:00:00Z'), to: new Date('2025-01-04T00:00:00Z') });
+  assert.deepStrictEqual(window.map(({ index, status }) => ({ index, status })), [
+    { index: 1, status: null },
+    { index: 2, status: 'skipped' },
+    { index: 3, status: null }
+  ]);
+
+  assert.strictEqual(listOccurrences(template).length, 10);
+  assert.strictEqual(listOccurrences(template, { limit: 4 }).length, 4);
+});
+
+test('findOccurrence matches a local calendar day or an exact instant', () => {
+  const template = {
+    frequency: 'monthly',
+    timezone: 'Asia/Kolkata',
+    start_date: new Date('2025-01-14T20:00:00Z') // 01:30 on January 15 in Kolkata
+  };
+
+  assert.strictEqual(findOccurrence(template, '2025-03-15').index, 2);
+  assert.strictEqual(findOccurrence(template, '2025-03-14'), null);
+  assert.strictEqual(findOccurrence(template, '2025-02-14T20:00:00.000Z').index, 1);
+  assert.strictEqual(findOccurrence(template, '2025-02-14T20:00:01.000Z'), null);
+  assert.strictEqual(findOccurrence(template, 'not a date'), null);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { startApp } = require('./helpers');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+
+let app;
+
+before(async () => {
+  app = await startApp('/api/auth', authRoutes);
+});
+
+after(() => app.close());
+
+// In-memory sessions looked up by refresh_token_hash / previous_token_hash, as the route does
+const stubSessions = (t, sessions) => {
+  t.mock.method(Session, 'findOne', async (filter) => {
+    const [[field, value]] = Object.entries(filter);
+    return sessions.find(session => session[field] === value) || null;
+  });
+  t.mock.method(Session.prototype, 'save', async function() { return this; });
+};
+
+const newSession = (refreshToken, overrides = {}) => new Session({
+  user_id: new mongoose.Types.ObjectId(),
+  refresh_token_hash: Session.hashToken(refreshToken),
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+test('refresh rotates the refresh token and keeps the old hash for reuse detection', async (t) => {
+  const session = newSession('first-token');
+  stubSessions(t, [session]);
+  t.mock.method(User, 'findById', async () => ({ _id: session.user_id, isActive: true }));
+
+  const { status, body } = await app.request('POST', '/refresh', { refreshToken: 'first-token' });
+
+  assert.strictEqual(status, 200);
+  assert.ok(body.token);
+  assert.notStrictEqual(body.refreshToken, 'first-token');
+  assert.strictEqual(session.refresh_token_hash, Session.hashToken(body.refreshToken));
+  assert.strictEqual(session.previous_token_hash, Session.hashToken('first-token'));
+  assert.strictEqual(session.revoked_at, null);
+});
+
+test('presenting a rotated-out refresh token revokes the session', async (t) => {
+  const session = newSession('current-token', { previous_token_hash: Session.hashToken('stolen-token') });
+  stubSessions(t, [session]);
+
+  const reuse = await app.request('POST', '/refresh', { refreshToken: 'stolen-token' });
+  assert.strictEqual(reuse.status, 401);
+  assert.ok(session.revoked_at instanceof Date);
+
+  const legitimate = await app.request('POST', '/refresh', { refreshToken: 'current-token' });
+  assert.strictEqual(legitimate.status, 401);
+  assert.strictEqual(legitimate.body.message, 'Session has been revoked');
+});
+
+test('expired and unknown refresh tokens are rejected', async (t) => {
+  stubSessions(t, [newSession('old-token', { expires_at: new Date(Date.now() - 1000) })]);
+
+  const expired = await app.request('POST', '/refresh', { refreshToken: 'old-token' });
+  assert.strictEqual(expired.status, 401);
+  assert.strictEqual(expired.body.message, 'Refresh token expired');
+
+  const unknown = await app.request('POST', '/refresh', { refreshToken: 'never-issued' });
+  assert.strictEqual(unknown.status, 401);
+
+  const missing = await app.request('POST', '/refresh', {});
+  assert.strictEqual(missing.status, 400);
+});
+
+test('refreshing for a deactivated user revokes the session', async (t) => {
+  const session = newSession('token');
+  stubSessions(t, [session]);
+  t.mock.method(User, 'findById', async () => ({ _id: session.user_id, isActive: false }));
+
+  const { status } = await app.request('POST', '/refresh', { refreshToken: 'token' });
+
+  assert.strictEqual(status, 401);
+  assert.ok(session.revoked_at instanceof Date);
+});
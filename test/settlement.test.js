@@ -0,0 +1,275 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { startApp, loginAs, testUser } = require('./helpers');
+const Group = require('../models/Group');
+const GroupExpense = require('../models/GroupExpense');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const groupRoutes = require('../routes/groups');
+const { computeSplits, computeBalances, computeSettlementTransfers } = require('../utils/settlement');
+
+// Apply suggested transfers to a copy of the balances (in cents)
+const applyTransfers = (balances, transfers) => {
+  const result = new Map(balances);
+  for (const transfer of transfers) {
+    result.set(transfer.from, result.get(transfer.from) + Math.round(transfer.amount * 100));
+    result.set(transfer.to, result.get(transfer.to) - Math.round(transfer.amount * 100));
+  }
+  return result;
+};
+
+describe('computeSplits', () => {
+  test('splits equally and gives leftover cents to the first participants', () => {
+    const splits = computeSplits(100, 'equal', [{ user_id: 'a' }, { user_id: 'b' }, { user_id: 'c' }]);
+
+    assert.deepStrictEqual(splits.map(split => split.amount), [33.34, 33.33, 33.33]);
+  });
+
+  test('splits by shares', () => {
+    const splits = computeSplits(90, 'shares', [{ user_id: 'a', shares: 2 }, { user_id: 'b', shares: 1 }]);
+
+    assert.deepStrictEqual(splits.map(split => [split.amount, split.shares]), [[60, 2], [30, 1]]);
+  });
+
+  test('rejects exact amounts that do not add up to the total', () => {
+    assert.throws(
+      () => computeSplits(50, 'exact', [{ user_id: 'a', amount: 20 }, { user_id: 'b', amount: 20 }]),
+      /must add up to the expense amount/
+    );
+  });
+
+  test('rejects an expense without participants', () => {
+    assert.throws(() => computeSplits(50, 'equal', []), /At least one participant/);
+  });
+});
+
+describe('computeBalances', () => {
+  test('credits the payer, debits each split and applies settlements', () => {
+    const balances = computeBalances(
+      ['a', 'b', 'c'],
+      [{ paid_by: 'a', amount: 90, splits: [{ user_id: 'a', amount: 30 }, { user_id: 'b', amount: 30 }, { user_id: 'c', amount: 30 }] }],
+      [{ from: 'b', to: 'a', amount: 30 }]
+    );
+
+    assert.deepStrictEqual([...balances], [['a', 3000], ['b', 0], ['c', -3000]]);
+  });
+});
+
+describe('computeSettlementTransfers', () => {
+  test('settles every balance in at most members - 1 transfers', () => {
+    const balances = new Map([['a', 5000], ['b', 2500], ['c', -1000], ['d', -4000], ['e', -2500]]);
+
+    const transfers = computeSettlementTransfers(balances);
+
+    assert.ok(transfers.length <= balances.size - 1);
+    assert.ok(transfers.every(transfer => transfer.amount > 0));
+    assert.ok([...applyTransfers(balances, transfers).values()].every(cents => cents === 0));
+  });
+
+  test('suggests nothing when everyone is settled', () => {
+    assert.deepStrictEqual(computeSettlementTransfers(new Map([['a', 0], ['b', 0]])), []);
+  });
+});
+
+describe('POST /api/groups/:id/settle-up', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/groups', groupRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  test('records only the transfers the caller pays', async (t) => {
+    const [me, creditor, other] = [testUser(), testUser(), testUser()];
+    const group = new Group({
+      name: 'Trip',
+      created_by: creditor._id,
+      members: [me, creditor, other].map(user => ({ user_id: user._id, role: 'member' }))
+    });
+    // The creditor paid 90 for everyone, so both other members owe 30
+    const expense = new GroupExpense({
+      group_id: group._id,
+      paid_by: creditor._id,
+      created_by: creditor._id,
+      amount: 90,
+      description: 'Dinner',
+      split_type: 'equal',
+      splits: [me, creditor, other].map(user => ({ user_id: user._id, amount: 30 }))
+    });
+
+    t.mock.method(Group, 'findOne', async () => group);
+    t.mock.method(GroupExpense, 'find', () => ({ select: async () => [expense] }));
+    t.mock.method(Payment, 'find', () => ({ select: async () => [] }));
+    t.mock.method(User, 'find', () => ({ select: async () => [me, creditor, other] }));
+    const insertMany = t.mock.method(Payment, 'insertMany', async (docs) => docs);
+
+    const response = await app.request('POST', `/${group._id}/settle-up`, {}, loginAs(t, me));
+
+    assert.strictEqual(response.status, 201);
+    const [payments] = insertMany.mock.calls[0].arguments;
+    assert.strictEqual(payments.length, 1);
+    assert.strictEqual(payments[0].user_id, me._id.toString());
+    assert.strictEqual(payments[0].counterparty_user_id, creditor._id.toString());
+    assert.strictEqual(payments[0].amount, 30);
+    assert.strictEqual(payments[0].type, 'group_settlement');
+  });
+
+  test('refuses when the caller owes nothing', async (t) => {
+    const [me, debtor] = [testUser(), testUser()];
+    const group = new Group({
+      name: 'Flat',
+      created_by: me._id,
+      members: [me, debtor].map(user => ({ user_id: user._id, role: 'member' }))
+    });
+    const expense = new GroupExpense({
+      group_id: group._id,
+      paid_by: me._id,
+      created_by: me._id,
+      amount: 40,
+      description: 'Groceries',
+      split_type: 'equal',
+      splits: [me, debtor].map(user => ({ user_id: user._id, amount: 20 }))
+    });
+
+    t.mock.method(Group, 'findOne', async () => group);
+    t.mock.method(GroupExpense, 'find', () => ({ select: async () => [expense] }));
+    t.mock.method(Payment, 'find', () => ({ select: async () => [] }));
+    t.mock.method(User, 'find', () => ({ select: async () => [me, debtor] }));
+    const insertMany = t.mock.method(Payment, 'insertMany', async (docs) => docs);
+
+    const response = await app.request('POST', `/${new mongoose.Types.ObjectId()}/settle-up`, {}, loginAs(t, me));
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, 'You have nothing to pay in this group');
+    assert.strictEqual(insertMany.mock.callCount(), 0);
+  });
+});
+
+describe('DELETE /api/groups/:id/expenses/:expenseId', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/groups', groupRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  // A group of the given members with one expense the first member paid for everyone in splitWith
+  const groupWithExpense = (members, splitWith, date = new Date('2026-03-01T00:00:00Z')) => {
+    const group = new Group({
+      name: 'Trip',
+      created_by: members[0]._id,
+      members: members.map((user, i) => ({ user_id: user._id, role: i === 0 ? 'owner' : 'member' }))
+    });
+    const expense = new GroupExpense({
+      group_id: group._id,
+      paid_by: members[0]._id,
+      created_by: members[0]._id,
+      amount: 20 * splitWith.length,
+      description: 'Taxi',
+      date,
+      split_type: 'equal',
+      splits: splitWith.map(user => ({ user_id: user._id, amount: 20 }))
+    });
+    return { group, expense };
+  };
+
+  test('refuses when someone in the splits has left the group', async (t) => {
+    const [me, former] = [testUser(), testUser()];
+    const { group, expense } = groupWithExpense([me], [me, former]);
+    t.mock.method(Group, 'findOne', async () => group);
+    t.mock.method(GroupExpense, 'findOne', async () => expense);
+    t.mock.method(Payment, 'exists', async () => null);
+    const deleteOne = t.mock.method(GroupExpense, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const response = await app.request('DELETE', `/${group._id}/expenses/${expense._id}`, undefined, loginAs(t, me));
+
+    assert.strictEqual(response.status, 409);
+    assert.match(response.body.message, /left the group/);
+    assert.strictEqual(deleteOne.mock.callCount(), 0);
+  });
+
+  test('refuses when a settlement was recorded after the expense', async (t) => {
+    const [me, friend] = [testUser(), testUser()];
+    const { group, expense } = groupWithExpense([me, friend], [me, friend]);
+    t.mock.method(Group, 'findOne', async () => group);
+    t.mock.method(GroupExpense, 'findOne', async () => expense);
+    const exists = t.mock.method(Payment, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const deleteOne = t.mock.method(GroupExpense, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const response = await app.request('DELETE', `/${group._id}/expenses/${expense._id}`, undefined, loginAs(t, me));
+
+    assert.strictEqual(response.status, 409);
+    assert.deepStrictEqual(exists.mock.calls[0].arguments[0].payment_date, { $gt: expense.date });
+    assert.strictEqual(deleteOne.mock.callCount(), 0);
+  });
+
+  test('deletes an expense among current members with no later settlement', async (t) => {
+    const [me, friend] = [testUser(), testUser()];
+    const { group, expense } = groupWithExpense([me, friend], [me, friend]);
+    t.mock.method(Group, 'findOne', async () => group);
+    t.mock.method(GroupExpense, 'findOne', async () => expense);
+    t.mock.method(Payment, 'exists', async () => null);
+    const deleteOne = t.mock.method(GroupExpense, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+    const response = await app.request('DELETE', `/${group._id}/expenses/${expense._id}`, undefined, loginAs(t, me));
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(deleteOne.mock.callCount(), 1);
+  });
+});
+
+describe('GET /api/groups', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/groups', groupRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  test('lists groups whose members include a user that no longer exists', async (t) => {
+    const [me, gone] = [testUser(), testUser()];
+    const group = new Group({
+      name: 'Old trip',
+      created_by: me._id,
+      members: [me, gone].map(user => ({ user_id: user._id, role: 'member' }))
+    });
+    const expense = new GroupExpense({
+      group_id: group._id,
+      paid_by: gone._id,
+      created_by: gone._id,
+      amount: 10,
+      description: 'Snacks',
+      split_type: 'equal',
+      splits: [me, gone].map(user => ({ user_id: user._id, amount: 5 }))
+    });
+
+    t.mock.method(Group, 'find', () => ({ sort: async () => [group] }));
+    t.mock.method(GroupExpense, 'find', () => ({ select: async () => [expense] }));
+    t.mock.method(Payment, 'find', () => ({ select: async () => [] }));
+    // Populate leaves null where the referenced user is missing
+    t.mock.method(Group, 'populate', async (groups) => {
+      for (const member of groups[0].members) {
+        member.user_id = member.user_id.equals(me._id) ? me : null;
+      }
+      return groups;
+    });
+
+    const response = await app.request('GET', '/', undefined, loginAs(t, me));
+
+    assert.strictEqual(response.status, 200);
+    const [listed] = response.body.groups;
+    assert.strictEqual(listed.my_balance, -5);
+    assert.deepStrictEqual(listed.members.map(member => member.user_id.username), [me.username]);
+  });
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const softDelete = require('../models/plugins/softDelete');
+
+// A model that never connects: running a query fails, but only after its middleware has run
+const schema = new mongoose.Schema({ user_id: mongoose.Schema.Types.ObjectId, amount: Number }, { bufferCommands: false });
+schema.plugin(softDelete);
+const Item = mongoose.model('SoftDeleteTestItem', schema);
+
+// Run a query's middleware and return the filter it would send
+const filterOf = async (query) => {
+  await query.exec().catch(() => {});
+  return query.getFilter();
+};
+
+// Run an aggregation's middleware and return the pipeline it would send
+const pipelineOf = async (aggregate) => {
+  await aggregate.exec().catch(() => {});
+  return aggregate.pipeline();
+};
+
+test('adds deleted_at to the schema', () => {
+  assert.strictEqual(new Item({ amount: 5 }).deleted_at, null);
+});
+
+test('queries hide trashed documents', async () => {
+  assert.deepStrictEqual(await filterOf(Item.find({ amount: 5 })), { amount: 5, deleted_at: null });
+  assert.deepStrictEqual(await filterOf(Item.countDocuments({})), { deleted_at: null });
+  assert.deepStrictEqual(await filterOf(Item.updateMany({}, { amount: 1 })), { deleted_at: null });
+});
+
+test('queries naming deleted_at or run withDeleted see trashed documents', async () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  assert.deepStrictEqual(await filterOf(Item.find(Item.trashFilter(userId))), {
+    user_id: userId,
+    deleted_at: { $ne: null }
+  });
+  assert.deepStrictEqual(await filterOf(Item.find({ amount: 5 }).setOptions({ withDeleted: true })), { amount: 5 });
+});
+
+test('deleteMany removes documents for good', async () => {
+  assert.deepStrictEqual(await filterOf(Item.deleteMany({ amount: 5 })), { amount: 5 });
+});
+
+test('aggregations hide trashed documents after a leading $match', async () => {
+  assert.deepStrictEqual(await pipelineOf(Item.aggregate([{ $match: { amount: 5 } }, { $count: 'n' }])), [
+    { $match: { amount: 5 } },
+    { $match: { deleted_at: null } },
+    { $count: 'n' }
+  ]);
+  assert.deepStrictEqual(await pipelineOf(Item.aggregate([{ $group: { _id: null } }])), [
+    { $match: { deleted_at: null } },
+    { $group: { _id: null } }
+  ]);
+});
+
+test('aggregations whose first $match names deleted_at are left alone', async () => {
+  const pipeline = [{ $match: { deleted_at: { $ne: null } } }];
+
+  assert.deepStrictEqual(await pipelineOf(Item.aggregate(pipeline)), [{ $match: { deleted_at: { $ne: null } } }]);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+const User = require('../models/User');
+
+// RFC 6238 appendix B secret ("12345678901234567890" in base32); codes are the last 6 digits
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const PERIOD_MS = 30 * 1000;
+
+test('hotp matches the RFC 6238 SHA-1 test vectors', () => {
+  assert.strictEqual(totp.hotp(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.strictEqual(totp.hotp(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(totp.hotp(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+  assert.strictEqual(totp.hotp(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+});
+
+test('verify accepts one step of clock drift either way and returns the matching step', (t) => {
+  const now = 1234567890 * 1000;
+  t.mock.method(Date, 'now', () => now);
+  const step = Math.floor(now / PERIOD_MS);
+
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.hotp(RFC_SECRET, step)), step);
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.hotp(RFC_SECRET, step - 1)), step - 1);
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.hotp(RFC_SECRET, step + 1)), step + 1);
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.hotp(RFC_SECRET, step + 2)), null);
+});
+
+test('verify rejects malformed codes', () => {
+  for (const code of [null, '', '12345', '1234567', 'abcdef']) {
+    assert.strictEqual(totp.verify(RFC_SECRET, code), null);
+  }
+});
+
+test('generated secrets are 160-bit base32 and round-trip through hotp', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.match(totp.hotp(secret, 1), /^\d{6}$/);
+});
+
+test('otpauth URI carries the secret, issuer and parameters', () => {
+  const uri = new URL(totp.buildOtpauthUri({ secret: RFC_SECRET, accountName: 'me@example.com', issuer: 'Expense Tracker' }));
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/Expense Tracker:me@example.com');
+  assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.strictEqual(uri.searchParams.get('digits'), '6');
+  assert.strictEqual(uri.searchParams.get('period'), '30');
+});
+
+test('a TOTP code cannot be replayed and backup codes work once', (t) => {
+  const now = 1234567890 * 1000;
+  t.mock.method(Date, 'now', () => now);
+
+  const user = new User({ twoFactorEnabled: true, twoFactorSecret: RFC_SECRET });
+  const [backupCode] = user.generateBackupCodes(2);
+  const code = totp.hotp(RFC_SECRET, Math.floor(now / PERIOD_MS));
+
+  assert.strictEqual(user.verifyTwoFactorCode(code), true);
+  assert.strictEqual(user.verifyTwoFactorCode(code), false);
+
+  assert.strictEqual(user.verifyTwoFactorCode(backupCode.toUpperCase()), true);
+  assert.strictEqual(user.verifyTwoFactorCode(backupCode), false);
+  assert.strictEqual(user.twoFactorBackupCodes.length, 1);
+});
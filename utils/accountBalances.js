@@ -0,0 +1,152 @@
+// Account balances, derived from the opening balance and the transactions on each account:
+// expenses paid from it, payments made from it (repayments of money lent arrive in it)
+// and transfers between accounts.
+const Expense = require('../models/Expense');
+const Payment = require('../models/Payment');
+const Transfer = require('../models/Transfer');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Payments toward credit cards and loans leave the account; repayments of money the user lent arrive in it
+const paymentDirectionStages = [
+  {
+    $lookup: {
+      from: 'borrowedmoneys',
+      localField: 'reference_id',
+      foreignField: '_id',
+      as: 'loan'
+    }
+  },
+  {
+    $addFields: {
+      incoming: {
+        $and: [{ $eq: ['$type', 'borrowed'] }, { $eq: [{ $first: '$loan.type' }, 'lent'] }]
+      }
+    }
+  },
+  { $project: { loan: 0 } }
+];
+
+// Sum amounts per account for one kind of transaction. With an incoming flag field, flagged
+// transactions are summed separately into incoming_amount.
+const sumByAccount = async (Model, match, accountField, amountField = '$amount', extraStages = [], incomingField = null) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    ...extraStages,
+    {
+      $group: {
+        _id: `$${accountField}`,
+        amount: { $sum: incomingField ? { $cond: [`$${incomingField}`, 0, amountField] } : amountField },
+        incoming_amount: { $sum: incomingField ? { $cond: [`$${incomingField}`, amountField, 0] } : 0 },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+// Balances of the given accounts, optionally as of the end of a date (transactions after it are left out).
+// Returns a Map of account ID to { opening_balance, expenses, payments_out, payments_in,
+// transfers_out, transfers_in, transaction_count, balance }.
+const computeBalances = async (userId, accounts, until = null) => {
+  const ids = accounts.map(account => account._id);
+  const dateUntil = until ? { $lte: until } : null;
+  const scoped = (field, dateField) => ({
+    user_id: userId,
+    [field]: { $in: ids },
+    ...(dateUntil && { [dateField]: dateUntil })
+  });
+
+  const [expenses, payments, transfersOut, transfersIn] = await Promise.all([
+    sumByAccount(Expense, { ...scoped('account_id', 'date'), payment_mode: 'account' }, 'account_id'),
+    sumByAccount(Payment, scoped('account_id', 'payment_date'), 'account_id', '$amount', paymentDirectionStages, 'incoming'),
+    sumByAccount(Transfer, scoped('from_account_id', 'date'), 'from_account_id'),
+    sumByAccount(Transfer, scoped('to_account_id', 'date'), 'to_account_id', '$to_amount')
+  ]);
+
+  const balances = new Map();
+  for (const account of accounts) {
+    const id = account._id.toString();
+    const totals = {
+      opening_balance: account.opening_balance,
+      expenses: roundMoney(expenses.get(id)?.amount || 0),
+      payments_out: roundMoney(payments.get(id)?.amount || 0),
+      payments_in: roundMoney(payments.get(id)?.incoming_amount || 0),
+      transfers_out: roundMoney(transfersOut.get(id)?.amount || 0),
+      transfers_in: roundMoney(transfersIn.get(id)?.amount || 0),
+      transaction_count: [expenses, payments, transfersOut, transfersIn]
+        .reduce((count, sums) => count + (sums.get(id)?.count || 0), 0)
+    };
+    totals.balance = roundMoney(
+      totals.opening_balance - totals.expenses - totals.payments_out + totals.payments_in -
+      totals.transfers_out + totals.transfers_in
+    );
+    balances.set(id, totals);
+  }
+  return balances;
+};
+
+// The transactions of one account between two dates, newest first, as
+// { type, id, date, amount (signed: negative when money leaves), description, ... }
+const listTransactions = async (userId, account, dateRange, limit) => {
+  const [expenses, payments, transfers] = await Promise.all([
+    Expense.find({ user_id: userId, payment_mode: 'account', account_id: account._id, ...(dateRange && { date: dateRange }) })
+      .populate('category_id', 'name')
+      .populate('merchant_id', 'name')
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean(),
+    Payment.aggregate([
+      { $match: { user_id: userId, account_id: account._id, ...(dateRange && { payment_date: dateRange }) } },
+      { $sort: { payment_date: -1 } },
+      { $limit: limit },
+      ...paymentDirectionStages
+    ]),
+    Transfer.find({
+      user_id: userId,
+      $or: [{ from_account_id: account._id }, { to_account_id: account._id }],
+      ...(dateRange && { date: dateRange })
+    })
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean()
+  ]);
+
+  const transactions = [
+    ...expenses.map(expense => ({
+      type: 'expense',
+      id: expense._id,
+      date: expense.date,
+      amount: -expense.amount,
+      description: expense.note || expense.merchant_id?.name || expense.category_id?.name || ''
+    })),
+    ...payments.map(payment => ({
+      type: 'payment',
+      id: payment._id,
+      date: payment.payment_date,
+      amount: payment.incoming ? payment.amount : -payment.amount,
+      payment_type: payment.type,
+      description: payment.note || ''
+    })),
+    ...transfers.map(transfer => {
+      const outgoing = transfer.from_account_id.equals(account._id);
+      return {
+        type: outgoing ? 'transfer_out' : 'transfer_in',
+        id: transfer._id,
+        date: transfer.date,
+        amount: outgoing ? -transfer.amount : transfer.to_amount,
+        counterparty_account_id: outgoing ? transfer.to_account_id : transfer.from_account_id,
+        description: transfer.note || ''
+      };
+    })
+  ];
+
+  return transactions
+    .sort((a, b) => b.date - a.date)
+    .slice(0, limit);
+};
+
+module.exports = {
+  computeBalances,
+  listTransactions
+};
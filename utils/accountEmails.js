@@ -0,0 +1,53 @@
+const { sendMail } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Create a fresh verification token for the user and email the link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_TTL_HOURS);
+  await user.save();
+
+  const verifyUrl = `${APP_URL}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName || user.username},\n\n` +
+      `Please confirm your email address by opening the link below. It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.` +
+      `\n\n${verifyUrl}\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+};
+
+// Create a one-time reset token for the user and email the link
+const sendPasswordResetEmail = async (user, { reason } = {}) => {
+  const resetToken = user.createPasswordResetToken(PASSWORD_RESET_TTL_MINUTES);
+  await user.save();
+
+  const resetUrl = `${APP_URL}/reset-password?token=${resetToken}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.firstName || user.username},\n\n` +
+        (reason ? `${reason}\n\n` : '') +
+        `Use the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes ` +
+        `and can only be used once.\n\n${resetUrl}\n\n` +
+        'If you did not request a password reset, you can ignore this email.'
+    });
+  } catch (mailError) {
+    // Don't leave a usable token behind if the user never received it
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+    throw mailError;
+  }
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
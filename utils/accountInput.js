@@ -0,0 +1,105 @@
+// Validation of account and transfer input, shared by the account routes and audit reverts
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const { isCurrencyCode } = require('./currency');
+const { escapeRegex } = require('./search');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Check an account body: name unique per user (ignoring case), known type and currency, numeric
+// opening balance. Returns an error response body, or null when valid.
+const validateAccountBody = async (userId, body, accountId = null) => {
+  const { name, type, currency, opening_balance } = body;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { message: 'Account name is required', field: 'name' };
+    }
+    const existing = await Account.findOne({
+      name: { $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') },
+      user_id: userId,
+      ...(accountId && { _id: { $ne: accountId } })
+    });
+    if (existing) {
+      return { message: 'Account with this name already exists', field: 'name' };
+    }
+  }
+
+  if (type !== undefined && !Account.ACCOUNT_TYPES.includes(type)) {
+    return { message: `Account type must be one of: ${Account.ACCOUNT_TYPES.join(', ')}`, field: 'type', value: type };
+  }
+
+  if (currency !== undefined && currency !== null && !isCurrencyCode(currency)) {
+    return { message: 'Currency must be a valid ISO 4217 code, e.g. USD', field: 'currency', value: currency };
+  }
+
+  if (opening_balance !== undefined && !Number.isFinite(Number(opening_balance))) {
+    return { message: 'Opening balance must be a number', field: 'opening_balance', value: opening_balance };
+  }
+
+  if (body.is_active !== undefined && typeof body.is_active !== 'boolean') {
+    return { message: 'is_active must be true or false', field: 'is_active' };
+  }
+
+  return null;
+};
+
+// Read and validate a transfer body, on top of an existing transfer when updating.
+// Returns { values } with the fields to set, or { error } with an error response body.
+const readTransfer = async (userId, body, transfer = null) => {
+  const fromId = body.from_account_id !== undefined ? body.from_account_id : transfer?.from_account_id;
+  const toId = body.to_account_id !== undefined ? body.to_account_id : transfer?.to_account_id;
+
+  for (const [field, id] of [['from_account_id', fromId], ['to_account_id', toId]]) {
+    if (!isValidObjectId(id)) {
+      return { error: { message: `A valid ${field} is required`, field, value: id } };
+    }
+  }
+  if (String(fromId) === String(toId)) {
+    return { error: { message: 'Source and destination accounts must be different', field: 'to_account_id' } };
+  }
+
+  const accounts = await Account.find({ _id: { $in: [fromId, toId] }, user_id: userId });
+  const fromAccount = accounts.find(account => account._id.equals(fromId));
+  const toAccount = accounts.find(account => account._id.equals(toId));
+  if (!fromAccount) {
+    return { error: { message: 'Source account not found or does not belong to you', field: 'from_account_id' } };
+  }
+  if (!toAccount) {
+    return { error: { message: 'Destination account not found or does not belong to you', field: 'to_account_id' } };
+  }
+
+  const amount = Number(body.amount !== undefined ? body.amount : transfer?.amount);
+  if (!(amount > 0)) {
+    return { error: { message: 'Valid transfer amount is required', field: 'amount' } };
+  }
+
+  // Between accounts in the same currency the same amount arrives; otherwise the client says how much
+  let toAmount = amount;
+  if (fromAccount.currency !== toAccount.currency) {
+    toAmount = Number(body.to_amount !== undefined ? body.to_amount : transfer?.to_amount);
+    if (!(toAmount > 0) || (body.to_amount === undefined && body.amount !== undefined)) {
+      return {
+        error: {
+          message: `to_amount (in ${toAccount.currency}) is required when transferring from ${fromAccount.currency}`,
+          field: 'to_amount'
+        }
+      };
+    }
+  } else if (body.to_amount !== undefined && Number(body.to_amount) !== amount) {
+    return { error: { message: 'to_amount must equal amount between accounts in the same currency', field: 'to_amount' } };
+  }
+
+  const values = { from_account_id: fromId, to_account_id: toId, amount, to_amount: toAmount };
+  if (body.date !== undefined) values.date = body.date;
+  if (body.note !== undefined) values.note = body.note;
+  return { values };
+};
+
+module.exports = {
+  validateAccountBody,
+  readTransfer
+};
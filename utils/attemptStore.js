@@ -0,0 +1,123 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// How long counters and the lockout history are remembered after the last write
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// In-process store; counters are lost on restart and not shared between instances
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && record.expires_at <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    get: async (key) => {
+      const record = read(key);
+      return record ? { ...record } : null;
+    },
+
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const record = read(key) || { key, failures: 0, window_started_at: null, locked_until: null, lock_count: 0 };
+
+      if (!record.window_started_at || record.window_started_at < new Date(now - windowMs)) {
+        record.failures = 1;
+        record.window_started_at = now;
+      } else {
+        record.failures += 1;
+      }
+      record.expires_at = new Date(now.getTime() + RECORD_TTL_MS);
+
+      records.set(key, record);
+      return { ...record };
+    },
+
+    lock: async (key, lockedUntil) => {
+      const record = read(key) || { key, lock_count: 0 };
+      record.failures = 0;
+      record.window_started_at = null;
+      record.locked_until = lockedUntil;
+      record.lock_count += 1;
+      record.expires_at = new Date(Math.max(lockedUntil.getTime(), Date.now()) + RECORD_TTL_MS);
+
+      records.set(key, record);
+      return { ...record };
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+// MongoDB-backed store, shared by every app instance
+const createMongoStore = () => ({
+  get: async (key) => {
+    return LoginAttempt.findOne({ key, expires_at: { $gt: new Date() } }).lean();
+  },
+
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const windowExpired = { $lt: [{ $ifNull: ['$window_started_at', null] }, new Date(now - windowMs)] };
+
+    // Pipeline update keeps the window reset and the increment atomic
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [windowExpired, 1, { $add: ['$failures', 1] }] },
+          window_started_at: { $cond: [windowExpired, now, '$window_started_at'] },
+          locked_until: { $ifNull: ['$locked_until', null] },
+          lock_count: { $ifNull: ['$lock_count', 0] },
+          expires_at: new Date(now.getTime() + RECORD_TTL_MS)
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  lock: async (key, lockedUntil) => {
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          failures: 0,
+          window_started_at: null,
+          locked_until: lockedUntil,
+          expires_at: new Date(Math.max(lockedUntil.getTime(), Date.now()) + RECORD_TTL_MS)
+        },
+        $inc: { lock_count: 1 }
+      },
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  }
+});
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+// Build the store named by LOGIN_ATTEMPT_STORE (memory or mongo)
+const createAttemptStore = (name = process.env.LOGIN_ATTEMPT_STORE || 'memory') => {
+  if (!stores[name]) {
+    throw new Error(`Unknown login attempt store: ${name}`);
+  }
+  return stores[name]();
+};
+
+module.exports = {
+  createAttemptStore,
+  createMemoryStore,
+  createMongoStore
+};
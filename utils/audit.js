@@ -0,0 +1,104 @@
+// Audit trail for changes to financial records: snapshots, field diffs and who made the change.
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that are not part of a record's version
+const SNAPSHOT_IGNORED_FIELDS = ['_id', '__v', 'user_id', 'createdAt', 'updatedAt'];
+
+// Plain copy of a record's data as clients see it (e.g. without attachment storage keys), or null
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const data = typeof doc.toJSON === 'function' ? doc.toJSON({ depopulate: true, virtuals: false }) : { ...doc };
+  for (const field of SNAPSHOT_IGNORED_FIELDS) delete data[field];
+  return data;
+};
+
+// Compare values by content (ObjectIds and dates by value)
+const comparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Fields whose values differ between two snapshots
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (comparable(oldValue) !== comparable(newValue)) {
+      changes.push({ field, before: oldValue ?? null, after: newValue ?? null });
+    }
+  }
+
+  return changes;
+};
+
+// Who made a request and where it came from
+const requestContext = (req) => ({
+  actor: {
+    user_id: req.user?._id || null,
+    session_id: req.authSession?._id || null,
+    api_key_id: req.apiKey?._id || null
+  },
+  origin: {
+    ip: req.ip || null,
+    user_agent: req.get('User-Agent')?.slice(0, 500) || null,
+    method: req.method,
+    path: req.originalUrl?.split('?')[0].slice(0, 500) || null
+  }
+});
+
+// Record a change to a record. `before` and `after` are documents or snapshots (null for a
+// create or a permanent delete). Updates that change nothing are not recorded. Failures are
+// logged rather than failing the request, since the change itself has already been saved.
+const recordAudit = async (req, { entityType, entityId, action, before = null, after = null, revertedTo = null }) => {
+  try {
+    const beforeSnapshot = before && typeof before.toJSON === 'function' ? snapshot(before) : before;
+    const afterSnapshot = after && typeof after.toJSON === 'function' ? snapshot(after) : after;
+    const changes = diffSnapshots(beforeSnapshot, afterSnapshot);
+
+    if (action === 'update' && changes.length === 0) return null;
+
+    return await AuditLog.create({
+      user_id: req.user._id,
+      entity_type: entityType,
+      entity_id: entityId,
+      action,
+      ...requestContext(req),
+      changes,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      reverted_to: revertedTo
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Run updateMany on the records matching the filter and record an update for each one it
+// changed. `options` are query options such as withDeleted. Returns the updateMany result.
+const updateManyWithAudit = async (req, Model, entityType, filter, update, options = {}) => {
+  const before = await Model.find(filter).setOptions(options);
+  if (before.length === 0) return { matchedCount: 0, modifiedCount: 0 };
+
+  const ids = before.map(doc => doc._id);
+  const result = await Model.updateMany({ ...filter, _id: { $in: ids } }, update).setOptions(options);
+  const after = await Model.find({ _id: { $in: ids } }).setOptions(options);
+  const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+  for (const doc of before) {
+    const updated = afterById.get(doc._id.toString());
+    if (updated) {
+      await recordAudit(req, { entityType, entityId: doc._id, action: 'update', before: doc, after: updated });
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  requestContext,
+  recordAudit,
+  updateManyWithAudit
+};
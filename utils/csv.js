@@ -0,0 +1,102 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes, embedded newlines,
+// CRLF or LF line endings and a UTF-8 byte order mark.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Guess the delimiter from the first line: the candidate that splits it most often
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of DELIMITERS) {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are dropped.
+// Throws with a user-facing message when a quoted field is never closed.
+const parseCsv = (text, { delimiter } = {}) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let quoteLine = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unclosed quoted field starting on line ${quoteLine}`);
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  return rows;
+};
+
+// Quote a value for CSV output when it contains the delimiter, quotes or line breaks.
+// Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote.
+const formatCsvValue = (value, delimiter = ',') => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing CRLF) from an array of values
+const formatCsvRow = (values, delimiter = ',') => {
+  return values.map(value => formatCsvValue(value, delimiter)).join(delimiter) + '\r\n';
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  formatCsvValue,
+  formatCsvRow
+};
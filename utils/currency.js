@@ -0,0 +1,98 @@
+// Currency codes and conversion to the user's base currency (their currency preference)
+// using the exchange rates they keep in the ExchangeRate collection.
+
+const KNOWN_CURRENCIES = new Set(
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : []
+);
+
+const normalizeCurrency = (code) => String(code || '').trim().toUpperCase();
+
+// Whether a code is an ISO 4217 currency known to this runtime
+const isCurrencyCode = (code) => {
+  const normalized = normalizeCurrency(code);
+  if (!/^[A-Z]{3}$/.test(normalized)) return false;
+  return KNOWN_CURRENCIES.size === 0 || KNOWN_CURRENCIES.has(normalized);
+};
+
+// The currency amounts are reported in for a user
+const getBaseCurrency = (user) => user?.preferences?.currency || 'INR';
+
+// Aggregation stages that add to each expense:
+//   currency       - its currency (expenses without one are in the base currency)
+//   exchange_rate  - rate to the base currency on the expense's local date, or null if unknown
+//   base_amount    - amount in the base currency, or null if no rate is known
+// The rate used is the latest one dated on or before the expense, in either direction.
+const convertToBaseStages = (user, timeZone) => {
+  const base = getBaseCurrency(user);
+
+  return [
+    { $addFields: { currency: { $ifNull: ['$currency', base] } } },
+    {
+      $lookup: {
+        from: 'exchangerates',
+        let: {
+          currency: '$currency',
+          day: {
+            $dateFromString: {
+              dateString: { $dateToString: { date: '$date', format: '%Y-%m-%d', timezone: timeZone } }
+            }
+          }
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$user_id', user._id] },
+                  { $ne: ['$$currency', base] },
+                  { $lte: ['$date', '$$day'] },
+                  {
+                    $or: [
+                      { $and: [{ $eq: ['$from', '$$currency'] }, { $eq: ['$to', base] }] },
+                      { $and: [{ $eq: ['$from', base] }, { $eq: ['$to', '$$currency'] }] }
+                    ]
+                  }
+                ]
+              }
+            }
+          },
+          { $sort: { date: -1 } },
+          { $limit: 1 },
+          {
+            $project: {
+              _id: 0,
+              rate: { $cond: [{ $eq: ['$from', base] }, { $divide: [1, '$rate'] }, '$rate'] }
+            }
+          }
+        ],
+        as: 'exchange'
+      }
+    },
+    {
+      $addFields: {
+        exchange_rate: {
+          $cond: [{ $eq: ['$currency', base] }, 1, { $ifNull: [{ $first: '$exchange.rate' }, null] }]
+        }
+      }
+    },
+    {
+      $addFields: {
+        base_amount: {
+          $cond: [
+            { $eq: ['$exchange_rate', null] },
+            null,
+            { $round: [{ $multiply: ['$amount', '$exchange_rate'] }, 2] }
+          ]
+        }
+      }
+    },
+    { $project: { exchange: 0 } }
+  ];
+};
+
+module.exports = {
+  normalizeCurrency,
+  isCurrencyCode,
+  getBaseCurrency,
+  convertToBaseStages
+};
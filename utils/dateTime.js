@@ -0,0 +1,117 @@
+// Time zone helpers built on Intl, so dates can be bucketed in the user's local time
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whether the IANA time zone name is known to this runtime
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The user's preferred time zone, falling back to UTC
+const getUserTimeZone = (user) => {
+  const timeZone = user?.preferences?.timezone;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+};
+
+// Calendar fields of an instant as seen in the time zone (month is 0-based)
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+
+  return {
+    year: parseInt(values.year, 10),
+    month: parseInt(values.month, 10) - 1,
+    day: parseInt(values.day, 10),
+    hour: parseInt(values.hour, 10),
+    minute: parseInt(values.minute, 10),
+    second: parseInt(values.second, 10)
+  };
+};
+
+// Offset of the time zone from UTC at an instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// The instant at which a wall-clock time occurs in the time zone (month is 0-based)
+const zonedTimeToUtc = ({ year, month, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month, day, hour, minute, second, millisecond);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+
+  // Around DST changes the offset at the result can differ from the guess
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+};
+
+// First instant of the month containing `date`, in the time zone
+const startOfMonth = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month }, timeZone);
+};
+
+// First instant of the month after the one containing `date`, in the time zone
+const startOfNextMonth = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month: month + 1 }, timeZone);
+};
+
+// Parse a date query parameter. A plain YYYY-MM-DD means the whole local day in the time zone;
+// anything else (a full timestamp) is taken as an exact instant.
+const parseDateParam = (value, timeZone, { endOfDay = false } = {}) => {
+  if (DATE_ONLY_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return endOfDay
+      ? new Date(zonedTimeToUtc({ year, month: month - 1, day: day + 1 }, timeZone).getTime() - 1)
+      : zonedTimeToUtc({ year, month: month - 1, day }, timeZone);
+  }
+  return new Date(value);
+};
+
+// Calendar date of an instant in the time zone, as YYYY-MM-DD
+const formatLocalDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Build a Mongo range condition from start/end query parameters, or null if neither is set
+const buildDateRange = (startDate, endDate, timeZone) => {
+  if (!startDate && !endDate) return null;
+
+  const range = {};
+  if (startDate) range.$gte = parseDateParam(startDate, timeZone);
+  if (endDate) range.$lte = parseDateParam(endDate, timeZone, { endOfDay: true });
+  return range;
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getUserTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfMonth,
+  startOfNextMonth,
+  parseDateParam,
+  formatLocalDate,
+  buildDateRange
+};
@@ -0,0 +1,132 @@
+// Finding likely duplicate expenses: the same amount, currency and payment mode,
+// dates close together and similar notes.
+const Expense = require('../models/Expense');
+const { getBaseCurrency } = require('./currency');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expenses further apart than this many days are never duplicates of each other
+const DUPLICATE_WINDOW_DAYS = parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || 1;
+
+// Most expenses one duplicate scan looks at (the most recent ones matching its filter)
+const DUPLICATE_SCAN_MAX = parseInt(process.env.DUPLICATE_SCAN_MAX, 10) || 5000;
+
+// Notes must share at least this much of the shorter note's words
+const NOTE_SIMILARITY_THRESHOLD = 0.5;
+
+const DUPLICATE_FIELDS = 'amount currency payment_mode date note merchant_id recurring_id';
+
+const noteWords = (note) => new Set(String(note || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+
+// Similarity of two notes from 0 to 1: the share of the shorter note's words found in the other,
+// so "Electricity bill" and "electricity bill - March" match. A missing note scores 0.5.
+const noteSimilarity = (a, b) => {
+  const wordsA = noteWords(a);
+  const wordsB = noteWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0.5;
+
+  const common = [...wordsA].filter(word => wordsB.has(word)).length;
+  return common / Math.min(wordsA.size, wordsB.size);
+};
+
+// Same amount (in cents), currency and payment mode
+const duplicateKey = (expense, baseCurrency) =>
+  `${Math.round(expense.amount * 100)}|${expense.currency || baseCurrency}|${expense.payment_mode}`;
+
+const sameReference = (a, b) => Boolean(a && b) && String(a) === String(b);
+const differentReference = (a, b) => Boolean(a && b) && String(a) !== String(b);
+
+// Whether two expenses with the same duplicate key look like one spend entered twice.
+// Occurrences of the same recurring expense and expenses at different merchants never are.
+const looksLikeDuplicate = (a, b) => {
+  return Math.abs(a.date - b.date) <= DUPLICATE_WINDOW_DAYS * DAY_MS &&
+    !sameReference(a.recurring_id, b.recurring_id) &&
+    !differentReference(a.merchant_id, b.merchant_id) &&
+    noteSimilarity(a.note, b.note) >= NOTE_SIMILARITY_THRESHOLD;
+};
+
+// Whether two expenses look like one spend entered twice
+const isDuplicatePair = (user, a, b) => {
+  const baseCurrency = getBaseCurrency(user);
+  return duplicateKey(a, baseCurrency) === duplicateKey(b, baseCurrency) && looksLikeDuplicate(a, b);
+};
+
+// Existing expenses that a (new) expense looks like a duplicate of, closest in date first
+const findDuplicatesOf = async (user, expense, limit = 5) => {
+  const baseCurrency = getBaseCurrency(user);
+  const windowMs = DUPLICATE_WINDOW_DAYS * DAY_MS;
+
+  const candidates = await Expense.find({
+    user_id: user._id,
+    _id: { $ne: expense._id },
+    amount: { $gte: expense.amount - 0.005, $lte: expense.amount + 0.005 },
+    payment_mode: expense.payment_mode,
+    date: { $gte: new Date(expense.date.getTime() - windowMs), $lte: new Date(expense.date.getTime() + windowMs) }
+  }).select(DUPLICATE_FIELDS).lean();
+
+  const key = duplicateKey(expense, baseCurrency);
+  return candidates
+    .filter(candidate => duplicateKey(candidate, baseCurrency) === key && looksLikeDuplicate(expense, candidate))
+    .sort((a, b) => Math.abs(a.date - expense.date) - Math.abs(b.date - expense.date))
+    .slice(0, limit);
+};
+
+// Groups of two or more expenses matching the filter that look like duplicates of each other,
+// most recent group first. Each group is a list of expense IDs in date order. Only the
+// DUPLICATE_SCAN_MAX most recent matching expenses are scanned; `truncated` says when more matched.
+const findDuplicateGroups = async (user, filter) => {
+  const baseCurrency = getBaseCurrency(user);
+  const windowMs = DUPLICATE_WINDOW_DAYS * DAY_MS;
+  const recent = await Expense.find(filter)
+    .select(DUPLICATE_FIELDS)
+    .sort({ date: -1, _id: -1 })
+    .limit(DUPLICATE_SCAN_MAX + 1)
+    .lean();
+  const truncated = recent.length > DUPLICATE_SCAN_MAX;
+  const expenses = recent.slice(0, DUPLICATE_SCAN_MAX).reverse();
+
+  // Walk the expenses in date order. An expense joins the first open group of its amount bucket
+  // whose every member it looks like a duplicate of, so one vague entry cannot chain unrelated
+  // expenses together. A group closes once its first member is out of the date window, so each
+  // expense is only compared with the expenses of the window before it.
+  const groups = [];
+  const openGroups = new Map();
+  const close = (members) => {
+    if (members.length > 1) groups.push(members);
+  };
+
+  for (const expense of expenses) {
+    const key = duplicateKey(expense, baseCurrency);
+    const open = (openGroups.get(key) || []).filter(members => {
+      if (expense.date - members[0].date <= windowMs) return true;
+      close(members);
+      return false;
+    });
+
+    const group = open.find(members => members.every(member => looksLikeDuplicate(member, expense)));
+    if (group) {
+      group.push(expense);
+    } else {
+      open.push([expense]);
+    }
+    openGroups.set(key, open);
+  }
+  for (const open of openGroups.values()) open.forEach(close);
+
+  // Each group's last member is its most recent expense
+  return {
+    groups: groups
+      .sort((a, b) => b[b.length - 1].date - a[a.length - 1].date)
+      .map(members => members.map(expense => expense._id.toString())),
+    truncated
+  };
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  DUPLICATE_SCAN_MAX,
+  noteSimilarity,
+  isDuplicatePair,
+  findDuplicatesOf,
+  findDuplicateGroups
+};
@@ -0,0 +1,218 @@
+// Parsing of spreadsheet rows for the expense import: column mapping, dates and amounts
+// in the formats banks and spreadsheets commonly export.
+const { zonedTimeToUtc } = require('./dateTime');
+
+// Expense fields a CSV column can be mapped to
+const IMPORT_FIELDS = ['date', 'amount', 'currency', 'category', 'note', 'payment_mode', 'card', 'tags'];
+const REQUIRED_FIELDS = ['date', 'amount'];
+
+// Header names recognised for each field when no mapping is given
+const HEADER_SYNONYMS = {
+  date: ['date', 'transaction date', 'txn date', 'posting date', 'posted', 'value date', 'day'],
+  amount: ['amount', 'debit', 'value', 'cost', 'price', 'total', 'spent'],
+  currency: ['currency', 'currency code', 'ccy'],
+  category: ['category', 'categories', 'group'],
+  note: ['note', 'notes', 'description', 'memo', 'details', 'narration', 'payee', 'merchant'],
+  payment_mode: ['payment mode', 'payment_mode', 'payment method', 'mode', 'method'],
+  card: ['card', 'credit card', 'credit_card'],
+  tags: ['tags', 'tag', 'labels']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const PAYMENT_MODE_ALIASES = {
+  cash: 'cash',
+  upi: 'cash',
+  'debit card': 'cash',
+  'credit card': 'credit_card',
+  card: 'credit_card',
+  cc: 'credit_card',
+  borrowed: 'borrowed'
+};
+
+const normalizeLabel = (value) => String(value).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// Guess a mapping of fields to column indexes from the header row
+const guessMapping = (headers) => {
+  const normalized = headers.map(normalizeLabel);
+  const mapping = {};
+
+  for (const field of IMPORT_FIELDS) {
+    const index = HEADER_SYNONYMS[field]
+      .map(synonym => normalized.indexOf(normalizeLabel(synonym)))
+      .find(position => position !== -1 && !Object.values(mapping).includes(position));
+    if (index !== undefined) mapping[field] = index;
+  }
+
+  return mapping;
+};
+
+// Resolve a client mapping ({ field: header name or column index }) to column indexes.
+// Returns { mapping } or { error }.
+const resolveMapping = (requested, headers) => {
+  if (!requested) {
+    const mapping = guessMapping(headers);
+    const missing = REQUIRED_FIELDS.filter(field => mapping[field] === undefined);
+    if (missing.length > 0) {
+      return { error: { message: `Could not find columns for: ${missing.join(', ')}. Provide a column mapping.`, field: 'mapping' } };
+    }
+    return { mapping };
+  }
+
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    return { error: { message: 'Mapping must be an object of field to column name or index', field: 'mapping' } };
+  }
+
+  const unknownFields = Object.keys(requested).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return {
+      error: {
+        message: `Unknown mapping fields: ${unknownFields.join(', ')}. Allowed fields: ${IMPORT_FIELDS.join(', ')}`,
+        field: 'mapping'
+      }
+    };
+  }
+
+  const normalized = headers.map(normalizeLabel);
+  const mapping = {};
+  for (const [field, column] of Object.entries(requested)) {
+    if (column === null || column === undefined || column === '') continue;
+
+    const index = Number.isInteger(column) ? column : normalized.indexOf(normalizeLabel(column));
+    if (index < 0 || index >= headers.length) {
+      return { error: { message: `Column "${column}" for ${field} not found in the file`, field: `mapping.${field}` } };
+    }
+    mapping[field] = index;
+  }
+
+  const missing = REQUIRED_FIELDS.filter(field => mapping[field] === undefined);
+  if (missing.length > 0) {
+    return { error: { message: `Mapping is missing required fields: ${missing.join(', ')}`, field: 'mapping' } };
+  }
+
+  return { mapping };
+};
+
+// Parse an amount such as "1,234.56", "1.234,56", "₹ 450", "(12.00)" or "-12.00".
+// decimalSeparator is '.', ',' or 'auto' (the last separator followed by 1-2 digits is decimal).
+// Returns the signed number, or null when the value is not a number.
+const parseAmount = (value, { decimalSeparator = 'auto' } = {}) => {
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/\b(dr|debit)\b/i.test(text)) text = text.replace(/\b(dr|debit)\b/ig, '');
+  if (/-/.test(text)) {
+    negative = !negative;
+    text = text.replace(/-/g, '');
+  }
+
+  text = text.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(text)) return null;
+
+  let separator = decimalSeparator;
+  if (separator === 'auto') {
+    const match = text.match(/[.,](\d{1,2})$/);
+    separator = match ? text[text.length - match[1].length - 1] : null;
+  }
+
+  if (separator) {
+    const [whole, ...rest] = text.split(separator);
+    if (rest.length > 1) return null;
+    text = whole.replace(/[.,]/g, '') + (rest.length ? `.${rest[0]}` : '');
+  } else {
+    text = text.replace(/[.,]/g, '');
+  }
+
+  const amount = Number(text);
+  if (!Number.isFinite(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+// Order of day, month and year in ambiguous numeric dates for a locale
+const dateOrderForLocale = (locale = '') => {
+  const tag = String(locale).toLowerCase();
+  if (/^en-(us|ph)|^en$/.test(tag)) return 'MDY';
+  if (/^(ja|zh|ko|hu|lt|sv)\b/.test(tag)) return 'YMD';
+  return 'DMY';
+};
+
+const validDate = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1) return false;
+  return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+// Two-digit years are in this century unless that would be more than a year ahead
+const fullYear = (year) => {
+  if (year >= 100) return year;
+  return (2000 + year > new Date().getFullYear() + 1 ? 1900 : 2000) + year;
+};
+
+// Parse a date cell into the start of that day in the time zone. Accepts ISO dates
+// (with or without a time), numeric dates in dateOrder (YMD, DMY or MDY, with / - . separators)
+// and dates with month names ("15 Mar 2024", "Mar 15, 2024"). Returns null when unparseable.
+const parseImportDate = (value, { dateOrder = 'DMY', timeZone = 'UTC' } = {}) => {
+  const text = String(value).trim();
+  if (!text) return null;
+
+  // Full ISO timestamps carry their own time zone or are taken as UTC
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  let year;
+  let month;
+  let day;
+
+  const numeric = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:\s.*)?$/);
+  const named = text.match(/^(\d{1,2})[\s-]+([a-z]{3,})[\s,-]+(\d{2,4})$/i) ||
+    text.match(/^([a-z]{3,})[\s-]+(\d{1,2}),?[\s-]+(\d{2,4})$/i);
+
+  if (numeric) {
+    const parts = numeric.slice(1, 4).map(Number);
+    const order = numeric[1].length === 4 ? 'YMD' : dateOrder;
+    if (order === 'YMD') [year, month, day] = parts;
+    else if (order === 'MDY') [month, day, year] = parts;
+    else [day, month, year] = parts;
+  } else if (named) {
+    const [, first, second, third] = named;
+    const monthName = /^\d/.test(first) ? second : first;
+    month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+    day = Number(/^\d/.test(first) ? first : second);
+    year = Number(third);
+    if (month === 0) return null;
+  } else {
+    return null;
+  }
+
+  year = fullYear(year);
+  if (!validDate(year, month, day)) return null;
+
+  return zonedTimeToUtc({ year, month: month - 1, day }, timeZone);
+};
+
+// Map a payment mode cell to an expense payment_mode, or null when unknown
+const parsePaymentMode = (value) => {
+  return PAYMENT_MODE_ALIASES[normalizeLabel(value)] || null;
+};
+
+// Split a tags cell on commas, semicolons or pipes
+const parseTags = (value) => {
+  return String(value).split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  guessMapping,
+  resolveMapping,
+  parseAmount,
+  dateOrderForLocale,
+  parseImportDate,
+  parsePaymentMode,
+  parseTags
+};
@@ -0,0 +1,427 @@
+// Validation and cleanup of expense input shared by the single, bulk and import endpoints.
+// Validators return an error response body, or null when the input is valid.
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const BorrowedMoney = require('../models/BorrowedMoney');
+const Merchant = require('../models/Merchant');
+const Account = require('../models/Account');
+const { isCurrencyCode, normalizeCurrency } = require('./currency');
+
+// Helper function to validate ObjectId
+const isValidObjectId = (id) => {
+  return mongoose.Types.ObjectId.isValid(id);
+};
+
+// Validate split line items: positive amounts, categories owned by the user, and a sum equal to the total.
+const validateLineItems = async (userId, lineItems, amount) => {
+  if (!Array.isArray(lineItems)) {
+    return { message: 'Line items must be an array', field: 'line_items' };
+  }
+
+  if (lineItems.length === 0) return null;
+
+  for (const [index, item] of lineItems.entries()) {
+    if (!item || !(Number(item.amount) > 0)) {
+      return { message: `Line item ${index + 1} needs a valid amount`, field: `line_items[${index}].amount` };
+    }
+    if (!isValidObjectId(item.category_id)) {
+      return {
+        message: `Line item ${index + 1} has an invalid category ID format`,
+        field: `line_items[${index}].category_id`,
+        value: item.category_id
+      };
+    }
+  }
+
+  const categoryIds = [...new Set(lineItems.map(item => String(item.category_id)))];
+  const ownedCount = await Category.countDocuments({ _id: { $in: categoryIds }, user_id: userId });
+  if (ownedCount !== categoryIds.length) {
+    return { message: 'Line item category not found or does not belong to you', field: 'line_items' };
+  }
+
+  if (!Expense.lineItemsMatchTotal(lineItems, amount)) {
+    const sum = lineItems.reduce((total, item) => total + Number(item.amount), 0);
+    return {
+      message: `Line item amounts (${Math.round(sum * 100) / 100}) must add up to the expense amount (${amount})`,
+      field: 'line_items'
+    };
+  }
+
+  return null;
+};
+
+// Validate a tags array from the request body
+const validateTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { message: 'Tags must be an array of strings', field: 'tags' };
+  }
+
+  const tooLong = tags.filter(tag => Expense.normalizeTag(tag).length > Expense.MAX_TAG_LENGTH);
+  if (tooLong.length > 0) {
+    return { message: `Tags cannot exceed ${Expense.MAX_TAG_LENGTH} characters`, field: 'tags', value: tooLong };
+  }
+
+  return null;
+};
+
+// Validate a currency code from the request body
+const validateCurrency = (currency) => {
+  if (!isCurrencyCode(currency)) {
+    return { message: 'Currency must be a valid ISO 4217 code, e.g. USD', field: 'currency', value: currency };
+  }
+  return null;
+};
+
+// Keep only the line item fields clients may set
+const cleanLineItems = (lineItems) => {
+  return lineItems.map(({ amount, category_id, note }) => ({ amount: Number(amount), category_id, note }));
+};
+
+// Validate that a referenced category exists and belongs to the user
+const validateCategory = async (userId, categoryId) => {
+  if (!isValidObjectId(categoryId)) {
+    return {
+      message: 'Invalid category ID format. Category ID must be a valid MongoDB ObjectId.',
+      field: 'category_id',
+      value: categoryId
+    };
+  }
+  const category = await Category.findOne({ _id: categoryId, user_id: userId });
+  if (!category) {
+    return {
+      message: 'Category not found or does not belong to you',
+      field: 'category_id',
+      value: categoryId
+    };
+  }
+  return null;
+};
+
+// Validate that a referenced credit card exists and belongs to the user
+const validateCreditCard = async (userId, creditCardId) => {
+  if (!isValidObjectId(creditCardId)) {
+    return {
+      message: 'Invalid credit card ID format. Credit card ID must be a valid MongoDB ObjectId.',
+      field: 'credit_card_id',
+      value: creditCardId
+    };
+  }
+  const creditCard = await CreditCard.findOne({ _id: creditCardId, user_id: userId });
+  if (!creditCard) {
+    return {
+      message: 'Credit card not found or does not belong to you',
+      field: 'credit_card_id',
+      value: creditCardId
+    };
+  }
+  return null;
+};
+
+// Validate that a referenced borrowed money record exists and belongs to the user
+const validateBorrowed = async (userId, borrowedId) => {
+  if (!borrowedId || String(borrowedId).trim() === '') {
+    return {
+      message: 'Borrowed money reference is required',
+      field: 'borrowed_id'
+    };
+  }
+  if (!isValidObjectId(borrowedId)) {
+    return {
+      message: 'Invalid borrowed money ID format. Borrowed money ID must be a valid MongoDB ObjectId.',
+      field: 'borrowed_id',
+      value: borrowedId
+    };
+  }
+  const borrowed = await BorrowedMoney.findOne({ _id: borrowedId, user_id: userId });
+  if (!borrowed) {
+    return {
+      message: 'Borrowed money record not found or does not belong to you',
+      field: 'borrowed_id',
+      value: borrowedId
+    };
+  }
+  return null;
+};
+
+// Validate that a referenced merchant exists and belongs to the user
+const validateMerchant = async (userId, merchantId) => {
+  if (!isValidObjectId(merchantId)) {
+    return {
+      message: 'Invalid merchant ID format. Merchant ID must be a valid MongoDB ObjectId.',
+      field: 'merchant_id',
+      value: merchantId
+    };
+  }
+  const merchant = await Merchant.findOne({ _id: merchantId, user_id: userId });
+  if (!merchant) {
+    return {
+      message: 'Merchant not found or does not belong to you',
+      field: 'merchant_id',
+      value: merchantId
+    };
+  }
+  return null;
+};
+
+// Validate that a referenced account exists, belongs to the user and holds the given currency
+// (expenses and payments charged to an account are in the account's currency)
+const validateAccount = async (userId, accountId, currency) => {
+  if (!isValidObjectId(accountId)) {
+    return {
+      message: 'Invalid account ID format. Account ID must be a valid MongoDB ObjectId.',
+      field: 'account_id',
+      value: accountId
+    };
+  }
+  const account = await Account.findOne({ _id: accountId, user_id: userId });
+  if (!account) {
+    return {
+      message: 'Account not found or does not belong to you',
+      field: 'account_id',
+      value: accountId
+    };
+  }
+  if (currency && normalizeCurrency(currency) !== account.currency) {
+    return {
+      message: `Currency must match the account currency (${account.currency})`,
+      field: 'currency',
+      value: currency
+    };
+  }
+  return null;
+};
+
+// An expense paid from an account without a currency of its own is in the account's currency
+const withAccountCurrency = async (userId, body) => {
+  if (body.payment_mode !== 'account' || body.currency || !isValidObjectId(body.account_id)) {
+    return body;
+  }
+  const account = await Account.findOne({ _id: body.account_id, user_id: userId }).select('currency');
+  return account ? { ...body, currency: account.currency } : body;
+};
+
+// A split expense without a main category takes the category of its largest line
+const withDefaultCategory = (body) => {
+  const { line_items = [] } = body;
+  if (!body.category_id && Array.isArray(line_items) && line_items.length > 0) {
+    return { ...body, category_id: [...line_items].sort((a, b) => b.amount - a.amount)[0]?.category_id };
+  }
+  return body;
+};
+
+// Validate the body of a new expense (after withDefaultCategory and withAccountCurrency)
+const validateNewExpense = async (userId, body) => {
+  const {
+    amount, currency, category_id, merchant_id, payment_mode, account_id, credit_card_id, borrowed_id,
+    line_items = [], tags = []
+  } = body;
+
+  // Validate required fields
+  if (!amount || amount <= 0) {
+    return { message: 'Valid amount is required' };
+  }
+
+  if (currency !== undefined && currency !== null) {
+    const currencyError = validateCurrency(currency);
+    if (currencyError) return currencyError;
+  }
+
+  const tagError = validateTags(tags);
+  if (tagError) return tagError;
+
+  // Validate split line items
+  const lineItemError = await validateLineItems(userId, line_items, amount);
+  if (lineItemError) return lineItemError;
+
+  if (!category_id) {
+    return { message: 'Category is required' };
+  }
+
+  if (!payment_mode) {
+    return { message: 'Payment mode is required' };
+  }
+
+  const categoryError = await validateCategory(userId, category_id);
+  if (categoryError) return categoryError;
+
+  if (cleanReferenceId(merchant_id)) {
+    const merchantError = await validateMerchant(userId, merchant_id);
+    if (merchantError) return merchantError;
+  }
+
+  // Validate credit card if payment mode is credit_card
+  if (payment_mode === 'credit_card') {
+    if (!credit_card_id) {
+      return {
+        message: 'Credit card is required for credit card payment',
+        field: 'credit_card_id'
+      };
+    }
+    const creditCardError = await validateCreditCard(userId, credit_card_id);
+    if (creditCardError) return creditCardError;
+  }
+
+  // Validate borrowed money if payment mode is borrowed
+  if (payment_mode === 'borrowed') {
+    const borrowedError = await validateBorrowed(userId, borrowed_id);
+    if (borrowedError) return borrowedError;
+  }
+
+  // Validate the paying account if payment mode is account
+  if (payment_mode === 'account') {
+    if (!cleanReferenceId(account_id)) {
+      return {
+        message: 'Account is required for account payment',
+        field: 'account_id'
+      };
+    }
+    const accountError = await validateAccount(userId, account_id, currency);
+    if (accountError) return accountError;
+  }
+
+  return null;
+};
+
+// Clean up empty string values to prevent ObjectId casting errors
+const cleanReferenceId = (id) => {
+  return id && String(id).trim() !== '' ? id : undefined;
+};
+
+// Build an unsaved expense from a validated body; without a currency it is in the user's base currency
+const buildExpense = (userId, body, baseCurrency) => {
+  const { line_items = [], tags = [] } = body;
+
+  return new Expense({
+    user_id: userId,
+    amount: body.amount,
+    currency: body.currency ? normalizeCurrency(body.currency) : baseCurrency,
+    category_id: body.category_id,
+    merchant_id: cleanReferenceId(body.merchant_id),
+    line_items: cleanLineItems(line_items),
+    payment_mode: body.payment_mode,
+    account_id: cleanReferenceId(body.account_id),
+    credit_card_id: cleanReferenceId(body.credit_card_id),
+    borrowed_id: cleanReferenceId(body.borrowed_id),
+    date: body.date || new Date(),
+    note: body.note,
+    tags,
+    is_recurring: body.is_recurring,
+    recurring_frequency: body.recurring_frequency
+  });
+};
+
+// Validate changes to an existing expense
+const validateExpenseUpdate = async (userId, expense, body) => {
+  // Validate category if being updated
+  if (body.category_id) {
+    const categoryError = await validateCategory(userId, body.category_id);
+    if (categoryError) return categoryError;
+  }
+
+  // Validate merchant if being set (null or an empty string clears it)
+  if (cleanReferenceId(body.merchant_id)) {
+    const merchantError = await validateMerchant(userId, body.merchant_id);
+    if (merchantError) return merchantError;
+  }
+
+  // Validate credit card if payment mode is credit_card
+  if (body.payment_mode === 'credit_card' && body.credit_card_id) {
+    const creditCardError = await validateCreditCard(userId, body.credit_card_id);
+    if (creditCardError) return creditCardError;
+  }
+
+  // Validate borrowed money if payment mode is borrowed
+  if (body.payment_mode === 'borrowed' && body.borrowed_id) {
+    const borrowedError = await validateBorrowed(userId, body.borrowed_id);
+    if (borrowedError) return borrowedError;
+  }
+
+  // An expense paid from an account stays in the account's currency
+  const paymentMode = body.payment_mode || expense.payment_mode;
+  if (paymentMode === 'account' && ['payment_mode', 'account_id', 'currency'].some(field => body[field] !== undefined)) {
+    const accountId = body.account_id !== undefined ? body.account_id : expense.account_id;
+    if (!cleanReferenceId(accountId)) {
+      return { message: 'Account is required for account payment', field: 'account_id' };
+    }
+    const accountError = await validateAccount(
+      userId,
+      accountId,
+      body.currency !== undefined ? body.currency : expense.currency
+    );
+    if (accountError) return accountError;
+  }
+
+  if (body.tags !== undefined) {
+    const tagError = validateTags(body.tags);
+    if (tagError) return tagError;
+  }
+
+  if (body.currency !== undefined) {
+    const currencyError = validateCurrency(body.currency);
+    if (currencyError) return currencyError;
+  }
+
+  // Validate split line items against the resulting total
+  if (body.line_items !== undefined || (body.amount !== undefined && expense.line_items.length > 0)) {
+    const lineItems = body.line_items !== undefined ? body.line_items : expense.line_items;
+    const lineItemError = await validateLineItems(
+      userId,
+      lineItems,
+      body.amount !== undefined ? body.amount : expense.amount
+    );
+    if (lineItemError) return lineItemError;
+  }
+
+  return null;
+};
+
+// Turn a validated update body into update data; fields that are managed by the server are dropped
+const prepareExpenseUpdate = (body) => {
+  const updateData = { ...body };
+  delete updateData._id;
+  delete updateData.user_id;
+  delete updateData.attachments;
+  delete updateData.import_batch_id;
+  delete updateData.deleted_at;
+  delete updateData.recurring_id;
+  delete updateData.occurrence_date;
+
+  if (updateData.currency !== undefined) {
+    updateData.currency = normalizeCurrency(updateData.currency);
+  }
+  if (Array.isArray(updateData.line_items)) {
+    updateData.line_items = cleanLineItems(updateData.line_items);
+  }
+  if (updateData.merchant_id !== undefined) {
+    updateData.merchant_id = cleanReferenceId(updateData.merchant_id) || null;
+  }
+  if (updateData.account_id !== undefined) {
+    updateData.account_id = cleanReferenceId(updateData.account_id) || null;
+  }
+  if (updateData.borrowed_id !== undefined && updateData.borrowed_id !== null) {
+    updateData.borrowed_id = updateData.borrowed_id.trim() !== '' ? updateData.borrowed_id : undefined;
+  }
+  if (updateData.credit_card_id !== undefined && updateData.credit_card_id !== null) {
+    updateData.credit_card_id = updateData.credit_card_id.trim() !== '' ? updateData.credit_card_id : undefined;
+  }
+
+  return updateData;
+};
+
+module.exports = {
+  isValidObjectId,
+  validateLineItems,
+  validateTags,
+  validateCurrency,
+  validateMerchant,
+  validateAccount,
+  cleanLineItems,
+  withDefaultCategory,
+  withAccountCurrency,
+  validateNewExpense,
+  buildExpense,
+  validateExpenseUpdate,
+  prepareExpenseUpdate
+};
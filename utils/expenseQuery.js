@@ -0,0 +1,188 @@
+// Filters and full-text search for expense listings, shared by every endpoint that
+// accepts the GET /api/expenses filter parameters.
+const Expense = require('../models/Expense');
+const Category = require('../models/Category');
+const CreditCard = require('../models/CreditCard');
+const { getUserTimeZone, buildDateRange } = require('./dateTime');
+const { searchTerms, highlight, termsRegex } = require('./search');
+const { isValidObjectId } = require('./expenseInput');
+
+// Most search matches that are ranked by relevance; further matches are counted but can't be paged to
+const SEARCH_MAX_RANKED = 1000;
+// Relevance added when the search matches the expense's category or card name
+const SEARCH_NAME_MATCH_SCORE = 1;
+
+// References populated whenever expenses are returned
+const EXPENSE_POPULATE = [
+  { path: 'category_id', select: 'name color icon' },
+  { path: 'merchant_id', select: 'name' },
+  { path: 'account_id', select: 'name type currency' },
+  { path: 'credit_card_id', select: 'bank_name card_number' },
+  { path: 'borrowed_id', select: 'name amount type' }
+];
+
+// Parse a tag list from the query string (comma-separated or repeated parameter)
+const parseTagQuery = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.flatMap(v => String(v).split(',')).map(Expense.normalizeTag).filter(Boolean))];
+};
+
+// Resolve a search query: text index matches on note and tags (with their relevance scores)
+// plus the user's categories and cards whose names match. Returns null when the query has no terms.
+const runSearch = async (userId, query, filter) => {
+  const terms = searchTerms(query);
+  if (terms.length === 0) return null;
+
+  const nameRegex = termsRegex(terms);
+  const [textMatches, categories, creditCards] = await Promise.all([
+    Expense.find({ ...filter, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(SEARCH_MAX_RANKED)
+      .lean(),
+    Category.find({ user_id: userId, name: nameRegex }).select('_id').lean(),
+    CreditCard.find({ user_id: userId, bank_name: nameRegex }).select('_id').lean()
+  ]);
+
+  const textScores = new Map(textMatches.map(match => [match._id.toString(), match.score]));
+  const categoryIds = categories.map(category => category._id);
+  const creditCardIds = creditCards.map(card => card._id);
+
+  const clauses = [{ _id: { $in: textMatches.map(match => match._id) } }];
+  if (categoryIds.length > 0) {
+    clauses.push({ category_id: { $in: categoryIds } }, { 'line_items.category_id': { $in: categoryIds } });
+  }
+  if (creditCardIds.length > 0) {
+    clauses.push({ credit_card_id: { $in: creditCardIds } });
+  }
+
+  return {
+    terms,
+    clauses,
+    textScores,
+    categoryIds: new Set(categoryIds.map(String)),
+    creditCardIds: new Set(creditCardIds.map(String))
+  };
+};
+
+// Relevance of one expense for a search: its text score plus a bonus per matching name
+const searchScore = (search, expense) => {
+  let score = search.textScores.get(expense._id.toString()) || 0;
+
+  const categoryIds = [expense.category_id, ...(expense.line_items || []).map(item => item.category_id)]
+    .map(id => String(id?._id || id));
+  if (categoryIds.some(id => search.categoryIds.has(id))) score += SEARCH_NAME_MATCH_SCORE;
+
+  const creditCardId = expense.credit_card_id?._id || expense.credit_card_id;
+  if (creditCardId && search.creditCardIds.has(String(creditCardId))) score += SEARCH_NAME_MATCH_SCORE;
+
+  return Math.round(score * 1000) / 1000;
+};
+
+// A populated expense with its relevance and the matched terms marked up
+const withSearchHighlights = (search, expense) => {
+  const highlights = {
+    note: highlight(expense.note, search.terms),
+    category: highlight(expense.category_id?.name, search.terms),
+    credit_card: highlight(expense.credit_card_id?.bank_name, search.terms),
+    tags: expense.tags.map(tag => highlight(tag, search.terms)).filter(Boolean)
+  };
+
+  return {
+    ...expense.toJSON(),
+    search: {
+      score: searchScore(search, expense),
+      highlights
+    }
+  };
+};
+
+// Build the MongoDB filter for the expense listing parameters (date range, category,
+// merchant, payment mode, account, amount range, tags and the q search). Returns { filter, search } or { error }.
+const buildExpenseFilter = async (user, params = {}) => {
+  const {
+    start_date,
+    end_date,
+    category_id,
+    merchant_id,
+    payment_mode,
+    account_id,
+    min_amount,
+    max_amount,
+    tags,
+    tag_match = 'any',
+    q
+  } = params;
+
+  const filter = { user_id: user._id };
+
+  // Date range filter (plain dates are whole days in the user's timezone)
+  const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(user));
+  if (dateRange) filter.date = dateRange;
+
+  // Category filter (matches the main category or any split line)
+  if (category_id) {
+    if (!isValidObjectId(category_id)) {
+      return { error: { message: 'Invalid category ID format' } };
+    }
+    filter.$or = [
+      { category_id },
+      { 'line_items.category_id': category_id }
+    ];
+  }
+
+  // Merchant filter ("none" finds expenses without a merchant)
+  if (merchant_id) {
+    if (merchant_id !== 'none' && !isValidObjectId(merchant_id)) {
+      return { error: { message: 'Invalid merchant ID format' } };
+    }
+    filter.merchant_id = merchant_id === 'none' ? null : merchant_id;
+  }
+
+  // Payment mode filter
+  if (payment_mode) {
+    filter.payment_mode = payment_mode;
+  }
+
+  // Account filter (expenses paid from the account)
+  if (account_id) {
+    if (!isValidObjectId(account_id)) {
+      return { error: { message: 'Invalid account ID format' } };
+    }
+    filter.payment_mode = 'account';
+    filter.account_id = account_id;
+  }
+
+  // Amount range filter
+  if (min_amount || max_amount) {
+    filter.amount = {};
+    if (min_amount) filter.amount.$gte = parseFloat(min_amount);
+    if (max_amount) filter.amount.$lte = parseFloat(max_amount);
+  }
+
+  // Tag filter: expenses with any (default) or all of the given tags
+  if (tags) {
+    if (!['any', 'all'].includes(tag_match)) {
+      return { error: { message: 'tag_match must be either "any" or "all"' } };
+    }
+    const tagList = parseTagQuery(tags);
+    if (tagList.length > 0) {
+      filter.tags = tag_match === 'all' ? { $all: tagList } : { $in: tagList };
+    }
+  }
+
+  // Full-text search over notes and tags, category names and card bank names
+  const search = q ? await runSearch(user._id, String(q), filter) : null;
+  if (search) {
+    filter.$and = [{ $or: search.clauses }];
+  }
+
+  return { filter, search };
+};
+
+module.exports = {
+  SEARCH_MAX_RANKED,
+  EXPENSE_POPULATE,
+  buildExpenseFilter,
+  searchScore,
+  withSearchHighlights
+};
@@ -0,0 +1,143 @@
+// Matching expenses against the user's rules (models/ExpenseRule) to fill in merchant, category and tags.
+const ExpenseRule = require('../models/ExpenseRule');
+const Expense = require('../models/Expense');
+const safeRegex = require('safe-regex');
+const { escapeRegex } = require('./search');
+
+// Notes are cut to the longest note an expense can have before matching, so a request
+// can't make a rule scan an arbitrarily long string
+const MAX_MATCHED_NOTE_LENGTH = 500;
+
+// Rules run on the shared event loop; patterns with nested repetition like (a+)+ can take
+// exponential time on some notes and are rejected
+const isSafePattern = (matchType, pattern) => matchType !== 'regex' || safeRegex(pattern);
+
+// Case-insensitive regex for a rule's note condition, or null when the rule has none
+const noteRegex = (matchType, pattern) => {
+  if (!matchType || !pattern) return null;
+  return new RegExp(matchType === 'regex' ? pattern : escapeRegex(pattern), 'i');
+};
+
+// Validate a rule's note condition. Returns an error response body, or null when valid.
+const validateRulePattern = (matchType, pattern) => {
+  if (!matchType && !pattern) return null;
+
+  if (!['contains', 'regex'].includes(matchType)) {
+    return { message: 'match_type must be either "contains" or "regex"', field: 'match_type' };
+  }
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return { message: 'A pattern is required with match_type', field: 'pattern' };
+  }
+  if (pattern.length > ExpenseRule.MAX_PATTERN_LENGTH) {
+    return { message: `Pattern cannot exceed ${ExpenseRule.MAX_PATTERN_LENGTH} characters`, field: 'pattern' };
+  }
+  try {
+    noteRegex(matchType, pattern);
+  } catch (error) {
+    return { message: `Invalid regex: ${error.message}`, field: 'pattern', value: pattern };
+  }
+  if (!isSafePattern(matchType, pattern)) {
+    return {
+      message: 'Pattern could take too long to match (nested repetition such as (a+)+); simplify it',
+      field: 'pattern',
+      value: pattern
+    };
+  }
+  return null;
+};
+
+// The user's active rules in the order they are tried, with their note regexes compiled.
+// Merchants and categories that were deleted since the rule was saved populate as null and are ignored.
+const loadRules = async (userId, ruleIds) => {
+  const filter = { user_id: userId, is_active: true };
+  if (ruleIds) filter._id = { $in: ruleIds };
+
+  const rules = await ExpenseRule.find(filter)
+    .sort({ priority: 1, createdAt: 1 })
+    .populate({
+      path: 'merchant_id',
+      select: 'default_category_id',
+      populate: { path: 'default_category_id', select: '_id' }
+    })
+    .populate('category_id', '_id');
+
+  // Rules saved before unsafe patterns were rejected are skipped
+  return rules
+    .filter(rule => isSafePattern(rule.match_type, rule.pattern))
+    .map(rule => ({ rule, regex: noteRegex(rule.match_type, rule.pattern) }));
+};
+
+// Whether every condition of a rule holds for the expense
+const ruleMatches = ({ rule, regex }, expense) => {
+  if (regex && !regex.test(String(expense.note || '').slice(0, MAX_MATCHED_NOTE_LENGTH))) return false;
+
+  const amount = Number(expense.amount);
+  if (rule.min_amount !== null || rule.max_amount !== null) {
+    if (!Number.isFinite(amount)) return false;
+    if (rule.min_amount !== null && amount < rule.min_amount) return false;
+    if (rule.max_amount !== null && amount > rule.max_amount) return false;
+  }
+  return true;
+};
+
+// Run loaded rules against an expense (or expense body). The first matching rule that sets the
+// merchant or category wins; tags from every matching rule are collected. A matched merchant's
+// default category is used when no rule sets a category.
+const matchRules = (rules, expense) => {
+  const result = { merchant_id: null, category_id: null, tags: [], rule_ids: [] };
+  let merchantCategoryId = null;
+
+  for (const compiled of rules) {
+    if (!ruleMatches(compiled, expense)) continue;
+
+    const { rule } = compiled;
+    result.rule_ids.push(rule._id);
+
+    if (!result.merchant_id && rule.merchant_id) {
+      result.merchant_id = rule.merchant_id._id;
+      merchantCategoryId = rule.merchant_id.default_category_id?._id || null;
+    }
+    if (!result.category_id && rule.category_id) {
+      result.category_id = rule.category_id._id;
+    }
+    result.tags.push(...rule.tags);
+  }
+
+  if (!result.category_id) result.category_id = merchantCategoryId;
+  result.tags = [...new Set(result.tags)];
+  return result;
+};
+
+// Tags after adding rule tags, keeping the expense's own tags first and within the tag limit
+const mergeRuleTags = (tags, ruleTags) => {
+  const merged = [...new Set([...tags.map(Expense.normalizeTag), ...ruleTags])];
+  return merged.slice(0, Math.max(tags.length, Expense.MAX_TAGS));
+};
+
+// Fill in what the client left out of a new expense body from the user's rules.
+// Returns { body, rule_ids }; the body is unchanged when no rule matches.
+const applyRulesToBody = async (userId, body) => {
+  const match = matchRules(await loadRules(userId), body);
+  if (match.rule_ids.length === 0) {
+    return { body, rule_ids: [] };
+  }
+
+  const result = { ...body };
+  if (!body.merchant_id && match.merchant_id) result.merchant_id = match.merchant_id;
+  if (!body.category_id && match.category_id) result.category_id = match.category_id;
+  // Invalid tags are left for validation to reject
+  const tags = body.tags === undefined ? [] : body.tags;
+  if (match.tags.length > 0 && Array.isArray(tags) && tags.every(tag => typeof tag === 'string')) {
+    result.tags = mergeRuleTags(tags, match.tags);
+  }
+
+  return { body: result, rule_ids: match.rule_ids };
+};
+
+module.exports = {
+  validateRulePattern,
+  loadRules,
+  matchRules,
+  mergeRuleTags,
+  applyRulesToBody
+};
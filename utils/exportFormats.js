@@ -0,0 +1,145 @@
+// Streaming writers for data exports in CSV, JSON and OFX. Records come from an async
+// iterable (usually a MongoDB cursor) so large exports never sit in memory at once.
+const { formatCsvRow } = require('./csv');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ofx: { contentType: 'application/x-ofx; charset=utf-8', extension: 'ofx' }
+};
+
+// Write a chunk, waiting for the client to catch up when the socket buffer is full
+const write = (res, chunk) => {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { res.off('close', onClose); resolve(); };
+    const onClose = () => { res.off('drain', onDrain); reject(new Error('Client closed the connection')); };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+// OFX date-time in UTC: YYYYMMDDHHMMSS[0:GMT]
+const ofxDate = (date) => {
+  return `${new Date(date).toISOString().replace(/[-:T]/g, '').slice(0, 14)}[0:GMT]`;
+};
+
+const ofxTransaction = ({ id, date, amount, name, memo }) => {
+  const lines = [
+    '<STMTTRN>',
+    `<TRNTYPE>${amount < 0 ? 'DEBIT' : 'CREDIT'}`,
+    `<DTPOSTED>${ofxDate(date)}`,
+    `<TRNAMT>${amount.toFixed(2)}`,
+    `<FITID>${escapeXml(id)}`,
+    `<NAME>${escapeXml(String(name || 'Unknown').slice(0, 32))}`
+  ];
+  if (memo) lines.push(`<MEMO>${escapeXml(String(memo).slice(0, 255))}`);
+  lines.push('</STMTTRN>');
+  return lines.join('\n') + '\n';
+};
+
+// OFX 1.0.2 (SGML) bank statement around the transactions; widely accepted by accounting tools
+const ofxHeader = ({ currency, start, end, accountId }) => {
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UTF-8',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${ofxDate(new Date())}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>1',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${escapeXml(currency)}`,
+    '<BANKACCTFROM>',
+    '<BANKID>EXPENSETRACKER',
+    `<ACCTID>${escapeXml(accountId)}`,
+    '<ACCTTYPE>CHECKING',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(start)}`,
+    `<DTEND>${ofxDate(end)}`,
+    ''
+  ].join('\n');
+};
+
+const ofxFooter = ({ balance }) => {
+  return [
+    '</BANKTRANLIST>',
+    `<LEDGERBAL><BALAMT>${balance.toFixed(2)}<DTASOF>${ofxDate(new Date())}</LEDGERBAL>`,
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+};
+
+// Stream records to the response in the requested format.
+//   name      - file name prefix and JSON collection key, e.g. "expenses"
+//   columns   - field order for CSV
+//   records   - async iterable of flat, denormalized objects
+//   ofx       - { currency, start, end, accountId, transaction(record) -> { id, date, amount, name, memo } }
+const streamExport = async (res, { format, name, columns, records, ofx }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${name}-${stamp}.${FORMATS[format].extension}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  let count = 0;
+  let balanceCents = 0;
+
+  if (format === 'csv') {
+    await write(res, formatCsvRow(columns));
+  } else if (format === 'json') {
+    await write(res, `{"exported_at":${JSON.stringify(new Date())},"${name}":[`);
+  } else {
+    await write(res, ofxHeader(ofx));
+  }
+
+  for await (const record of records) {
+    if (format === 'csv') {
+      await write(res, formatCsvRow(columns.map(column => record[column])));
+    } else if (format === 'json') {
+      await write(res, (count > 0 ? ',' : '') + JSON.stringify(record));
+    } else {
+      const transaction = ofx.transaction(record);
+      balanceCents += Math.round(transaction.amount * 100);
+      await write(res, ofxTransaction(transaction));
+    }
+    count++;
+  }
+
+  if (format === 'json') {
+    await write(res, `],"count":${count}}`);
+  } else if (format === 'ofx') {
+    await write(res, ofxFooter({ balance: balanceCents / 100 }));
+  }
+
+  res.end();
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  streamExport
+};
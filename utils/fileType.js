@@ -0,0 +1,115 @@
+// Detect attachment file types from their content and read image dimensions from the
+// file header. The type sent by the client is never trusted.
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (value) => [...value].map(char => char.charCodeAt(0));
+
+// JPEG dimensions live in the first start-of-frame segment
+const jpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+const webpDimensions = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+const FILE_TYPES = [
+  {
+    contentType: 'image/jpeg',
+    extension: '.jpg',
+    matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]),
+    dimensions: jpegDimensions
+  },
+  {
+    contentType: 'image/png',
+    extension: '.png',
+    matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    dimensions: buffer => (buffer.length >= 24
+      ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+      : null)
+  },
+  {
+    contentType: 'image/gif',
+    extension: '.gif',
+    matches: buffer => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')),
+    dimensions: buffer => (buffer.length >= 10
+      ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+      : null)
+  },
+  {
+    contentType: 'image/webp',
+    extension: '.webp',
+    matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8),
+    dimensions: webpDimensions
+  },
+  {
+    contentType: 'application/pdf',
+    extension: '.pdf',
+    matches: buffer => startsWith(buffer, ascii('%PDF-')),
+    dimensions: () => null
+  }
+];
+
+const ALLOWED_CONTENT_TYPES = FILE_TYPES.map(type => type.contentType);
+
+// Identify a file; returns { contentType, extension, width, height } or null for unsupported files
+const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find(candidate => candidate.matches(buffer));
+  if (!type) return null;
+
+  let dimensions = null;
+  try {
+    dimensions = type.dimensions(buffer);
+  } catch (error) {
+    dimensions = null;
+  }
+
+  return {
+    contentType: type.contentType,
+    extension: type.extension,
+    width: dimensions?.width || null,
+    height: dimensions?.height || null
+  };
+};
+
+// Size of a thumbnail that fits in a maxSize square while keeping the aspect ratio
+const thumbnailSize = (width, height, maxSize) => {
+  if (!width || !height) return null;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+};
+
+module.exports = {
+  ALLOWED_CONTENT_TYPES,
+  detectFileType,
+  thumbnailSize
+};
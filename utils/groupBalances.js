@@ -0,0 +1,41 @@
+// Group balances from the stored group expenses and settlement payments
+const Group = require('../models/Group');
+const GroupExpense = require('../models/GroupExpense');
+const Payment = require('../models/Payment');
+const { computeBalances } = require('./settlement');
+
+// Current balance of every member, in cents (positive = is owed money)
+const getGroupBalances = async (group) => {
+  const [expenses, settlements] = await Promise.all([
+    GroupExpense.find({ group_id: group._id }).select('paid_by amount splits'),
+    Payment.find({ type: 'group_settlement', reference_id: group._id }).select('user_id counterparty_user_id amount')
+  ]);
+
+  return computeBalances(
+    group.members.map(member => member.user_id),
+    expenses,
+    settlements.map(payment => ({
+      from: payment.user_id,
+      to: payment.counterparty_user_id,
+      amount: payment.amount
+    }))
+  );
+};
+
+// Groups in which the user still owes or is owed money
+const findUnsettledGroups = async (userId) => {
+  const groups = await Group.find({ 'members.user_id': userId });
+  const unsettled = [];
+
+  for (const group of groups) {
+    const balances = await getGroupBalances(group);
+    if ((balances.get(userId.toString()) || 0) !== 0) unsettled.push(group);
+  }
+
+  return unsettled;
+};
+
+module.exports = {
+  getGroupBalances,
+  findUnsettledGroups
+};
@@ -0,0 +1,114 @@
+const User = require('../models/User');
+const { createAttemptStore } = require('./attemptStore');
+
+const MAX_ATTEMPTS_PER_ACCOUNT = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 20;
+const ATTEMPT_WINDOW_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 5) * 60 * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60) * 60 * 1000;
+
+// Keep only the most recent lockout events on the user document
+const MAX_LOCKOUT_EVENTS = 50;
+
+const store = createAttemptStore();
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Lock duration doubles with every lockout, up to LOCKOUT_MAX_MS
+const lockoutDuration = (previousLocks) => {
+  return Math.min(LOCKOUT_BASE_MS * 2 ** previousLocks, LOCKOUT_MAX_MS);
+};
+
+const retryAfterSeconds = (lockedUntil) => {
+  return Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000));
+};
+
+// Return the active lock for this account or IP, or null when login may proceed
+const getActiveLock = async ({ email, ip }) => {
+  const [ipRecord, accountRecord] = await Promise.all([
+    ip ? store.get(ipKey(ip)) : null,
+    email ? store.get(accountKey(email)) : null
+  ]);
+
+  const now = new Date();
+  if (ipRecord?.locked_until && ipRecord.locked_until > now) {
+    return { scope: 'ip', lockedUntil: ipRecord.locked_until };
+  }
+  if (accountRecord?.locked_until && accountRecord.locked_until > now) {
+    return { scope: 'account', lockedUntil: accountRecord.locked_until };
+  }
+  return null;
+};
+
+// Count a failed attempt; locks the account and/or IP once a threshold is reached
+const recordFailure = async ({ email, ip }) => {
+  let lock = null;
+
+  if (ip) {
+    const record = await store.increment(ipKey(ip), ATTEMPT_WINDOW_MS);
+    if (record.failures >= MAX_ATTEMPTS_PER_IP) {
+      const lockedUntil = new Date(Date.now() + lockoutDuration(record.lock_count));
+      await store.lock(ipKey(ip), lockedUntil);
+      lock = { scope: 'ip', lockedUntil };
+    }
+  }
+
+  if (email) {
+    const record = await store.increment(accountKey(email), ATTEMPT_WINDOW_MS);
+    if (record.failures >= MAX_ATTEMPTS_PER_ACCOUNT) {
+      const lockedUntil = new Date(Date.now() + lockoutDuration(record.lock_count));
+      await store.lock(accountKey(email), lockedUntil);
+      lock = { scope: 'account', lockedUntil };
+
+      // Audit trail on the user document (no-op for unknown emails)
+      await User.updateOne(
+        { email: String(email).toLowerCase() },
+        {
+          $set: { lockedUntil },
+          $push: {
+            lockoutEvents: {
+              $each: [{
+                locked_at: new Date(),
+                locked_until: lockedUntil,
+                failed_attempts: record.failures,
+                lockout_number: record.lock_count + 1,
+                ip
+              }],
+              $slice: -MAX_LOCKOUT_EVENTS
+            }
+          }
+        }
+      );
+    }
+  }
+
+  return lock;
+};
+
+// Clear the account counters and backoff after a successful login
+const recordSuccess = async ({ email }) => {
+  await store.reset(accountKey(email));
+};
+
+// Send 429 with Retry-After for an active lock
+const sendLocked = (res, lock) => {
+  const retryAfter = retryAfterSeconds(lock.lockedUntil);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: lock.scope === 'account'
+      ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+      : 'Too many failed login attempts from this address. Please try again later.',
+    code: lock.scope === 'account' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    retry_after: retryAfter,
+    locked_until: lock.lockedUntil
+  });
+};
+
+module.exports = {
+  getActiveLock,
+  recordFailure,
+  recordSuccess,
+  sendLocked
+};
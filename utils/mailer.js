@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transport that prints outgoing mail to the console
+const consoleTransport = {
+  send: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`From: ${message.from}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+  }
+};
+
+// Transport that writes each outgoing mail to a JSON file in MAIL_FILE_DIR
+const fileTransport = {
+  send: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date() }, null, 2)
+    );
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let activeTransport = null;
+
+// Replace the transport used for outgoing mail (anything with an async send(message))
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name];
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  await getTransport().send(message);
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  transports
+};
@@ -0,0 +1,35 @@
+// Filters for payment listings, shared by GET /api/payments and the payment export
+const mongoose = require('mongoose');
+const { getUserTimeZone, buildDateRange } = require('./dateTime');
+
+// Build the MongoDB filter for the payment listing parameters
+// (type, source account, date range, amount range)
+const buildPaymentFilter = (user, params = {}) => {
+  const { type, account_id, start_date, end_date, min_amount, max_amount } = params;
+
+  const filter = { user_id: user._id };
+
+  if (type) filter.type = type;
+
+  // account_id=none lists payments not linked to an account
+  if (account_id === 'none') {
+    filter.account_id = null;
+  } else if (account_id && mongoose.Types.ObjectId.isValid(account_id)) {
+    filter.account_id = account_id;
+  }
+
+  const dateRange = buildDateRange(start_date, end_date, getUserTimeZone(user));
+  if (dateRange) filter.payment_date = dateRange;
+
+  if (min_amount || max_amount) {
+    filter.amount = {};
+    if (min_amount) filter.amount.$gte = parseFloat(min_amount);
+    if (max_amount) filter.amount.$lte = parseFloat(max_amount);
+  }
+
+  return filter;
+};
+
+module.exports = {
+  buildPaymentFilter
+};
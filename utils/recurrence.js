@@ -0,0 +1,90 @@
+const { getZonedParts, zonedTimeToUtc } = require('./dateTime');
+
+// Hard stop so a tiny interval over a long range can't loop forever
+const MAX_OCCURRENCES_SCANNED = 10000;
+
+const daysInMonth = (year, month) => {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+};
+
+// Date of the occurrence with the given index (0 = start_date).
+// Monthly/yearly dates are clamped to the end of shorter months (Jan 31 -> Feb 28/29).
+const occurrenceDate = (template, index) => {
+  const timeZone = template.timezone || 'UTC';
+  const start = getZonedParts(template.start_date, timeZone);
+  const step = index * (template.interval || 1);
+  const time = { hour: start.hour, minute: start.minute, second: start.second };
+
+  switch (template.frequency) {
+    case 'daily':
+      return zonedTimeToUtc({ year: start.year, month: start.month, day: start.day + step, ...time }, timeZone);
+    case 'weekly':
+      return zonedTimeToUtc({ year: start.year, month: start.month, day: start.day + step * 7, ...time }, timeZone);
+    case 'monthly':
+    case 'yearly': {
+      const totalMonths = start.month + (template.frequency === 'monthly' ? step : step * 12);
+      const year = start.year + Math.floor(totalMonths / 12);
+      const month = ((totalMonths % 12) + 12) % 12;
+      const day = Math.min(start.day, daysInMonth(year, month));
+      return zonedTimeToUtc({ year, month, day, ...time }, timeZone);
+    }
+    default:
+      throw new Error(`Unknown recurring frequency: ${template.frequency}`);
+  }
+};
+
+// List occurrences between `from` and `to` (inclusive), starting the scan at `fromIndex`.
+// Each entry is { index, date, status } where status is null, 'skipped' or 'paused'.
+const listOccurrences = (template, { from = null, to = null, limit = 100, fromIndex = 0 } = {}) => {
+  const occurrences = [];
+
+  for (let index = fromIndex; index < fromIndex + MAX_OCCURRENCES_SCANNED; index++) {
+    const date = occurrenceDate(template, index);
+
+    if (template.end_date && date > template.end_date) break;
+    if (to && date > to) break;
+    if (from && date < from) continue;
+
+    occurrences.push({
+      index,
+      date,
+      status: template.getOverride ? template.getOverride(date) : null
+    });
+
+    if (occurrences.length >= limit) break;
+  }
+
+  return occurrences;
+};
+
+// Find the occurrence falling on a given calendar day (YYYY-MM-DD) or exact instant
+const findOccurrence = (template, value) => {
+  const timeZone = template.timezone || 'UTC';
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const target = isDateOnly ? null : new Date(value);
+
+  if (!isDateOnly && isNaN(target)) return null;
+
+  for (let index = 0; index < MAX_OCCURRENCES_SCANNED; index++) {
+    const date = occurrenceDate(template, index);
+    if (template.end_date && date > template.end_date) return null;
+
+    if (isDateOnly) {
+      const parts = getZonedParts(date, timeZone);
+      const localDay = `${parts.year}-${String(parts.month + 1).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+      if (localDay === value) return { index, date };
+      if (localDay > value) return null;
+    } else {
+      if (date.getTime() === target.getTime()) return { index, date };
+      if (date > target) return null;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  occurrenceDate,
+  listOccurrences,
+  findOccurrence
+};
@@ -0,0 +1,64 @@
+// Helpers for the expense search: splitting a query into terms and highlighting matches.
+
+// Helper function to use user input literally inside a RegExp
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Terms of a search query, lowercased. Negated terms ("-taxi") are left out since
+// they only narrow the text search; quoted phrases are split into their words.
+const searchTerms = (query) => {
+  const words = String(query)
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/["']/g, '').toLowerCase())
+    .flatMap(word => word.split(/[^\p{L}\p{N}]+/u))
+    .filter(Boolean);
+
+  return [...new Set(words)];
+};
+
+// Whether a word of the text matches a search term. The text index stems words
+// ("rides" finds "ride"), so prefixes in either direction count as a match.
+const wordMatches = (word, term) => {
+  const lower = word.toLowerCase();
+  return lower.startsWith(term) || (lower.length >= 3 && term.startsWith(lower));
+};
+
+const escapeHtml = (value) => {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// HTML-escape text and wrap the words that match any term in <mark>.
+// Returns null when nothing in the text matches.
+const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  let matched = false;
+  const parts = String(text).split(/([\p{L}\p{N}]+)/u).map((part, index) => {
+    const isWord = index % 2 === 1;
+    if (isWord && terms.some(term => wordMatches(part, term))) {
+      matched = true;
+      return `<mark>${escapeHtml(part)}</mark>`;
+    }
+    return escapeHtml(part);
+  });
+
+  return matched ? parts.join('') : null;
+};
+
+// Regex that matches text containing any of the terms (for names without a text index)
+const termsRegex = (terms) => {
+  return new RegExp(terms.map(escapeRegex).join('|'), 'i');
+};
+
+module.exports = {
+  escapeRegex,
+  searchTerms,
+  highlight,
+  termsRegex
+};
@@ -0,0 +1,122 @@
+// Money helpers for group expenses. Everything is computed in integer cents so
+// splits always add up exactly to the total.
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Split a total in proportion to weights; leftover cents go to the largest remainders
+const splitByWeights = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (totalCents * weight) / weightSum);
+  const result = exact.map(Math.floor);
+
+  let leftover = totalCents - result.reduce((sum, cents) => sum + cents, 0);
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+    result[order[i].index] += 1;
+  }
+
+  return result;
+};
+
+// Work out each participant's share of an expense.
+// participants: [{ user_id, shares?, amount? }]. Throws with a user-facing message when invalid.
+const computeSplits = (amount, splitType, participants) => {
+  const totalCents = toCents(amount);
+
+  if (participants.length === 0) {
+    throw new Error('At least one participant is required');
+  }
+
+  if (splitType === 'equal') {
+    const cents = splitByWeights(totalCents, participants.map(() => 1));
+    return participants.map((p, i) => ({ user_id: p.user_id, amount: fromCents(cents[i]), shares: null }));
+  }
+
+  if (splitType === 'shares') {
+    if (participants.some(p => !(Number(p.shares) > 0))) {
+      throw new Error('Every participant needs a positive number of shares');
+    }
+    const cents = splitByWeights(totalCents, participants.map(p => Number(p.shares)));
+    return participants.map((p, i) => ({ user_id: p.user_id, amount: fromCents(cents[i]), shares: Number(p.shares) }));
+  }
+
+  if (splitType === 'exact') {
+    if (participants.some(p => !(Number(p.amount) >= 0))) {
+      throw new Error('Every participant needs an amount');
+    }
+    const sum = participants.reduce((total, p) => total + toCents(p.amount), 0);
+    if (sum !== totalCents) {
+      throw new Error(`Split amounts (${fromCents(sum)}) must add up to the expense amount (${amount})`);
+    }
+    return participants.map(p => ({ user_id: p.user_id, amount: fromCents(toCents(p.amount)), shares: null }));
+  }
+
+  throw new Error('Split type must be one of: equal, shares, exact');
+};
+
+// Net balance per member in cents: positive means the member is owed money.
+// settlements: [{ from, to, amount }] already paid between members.
+const computeBalances = (memberIds, expenses, settlements) => {
+  const balances = new Map(memberIds.map(id => [id.toString(), 0]));
+  const add = (userId, cents) => {
+    const key = userId.toString();
+    balances.set(key, (balances.get(key) || 0) + cents);
+  };
+
+  for (const expense of expenses) {
+    add(expense.paid_by, toCents(expense.amount));
+    for (const split of expense.splits) {
+      add(split.user_id, -toCents(split.amount));
+    }
+  }
+
+  for (const settlement of settlements) {
+    add(settlement.from, toCents(settlement.amount));
+    add(settlement.to, -toCents(settlement.amount));
+  }
+
+  return balances;
+};
+
+// Suggest transfers that settle every balance: repeatedly pay the largest creditor from the
+// largest debtor. This needs at most (members - 1) transfers and is usually the minimum.
+const computeSettlementTransfers = (balances) => {
+  const creditors = [];
+  const debtors = [];
+
+  for (const [userId, cents] of balances) {
+    if (cents > 0) creditors.push({ userId, cents });
+    if (cents < 0) debtors.push({ userId, cents: -cents });
+  }
+
+  const transfers = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.cents - a.cents);
+    debtors.sort((a, b) => b.cents - a.cents);
+
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({ from: debtor.userId, to: creditor.userId, amount: fromCents(cents) });
+
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+
+  return transfers;
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  computeSplits,
+  computeBalances,
+  computeSettlementTransfers
+};
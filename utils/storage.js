@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+// Driver that keeps files on local disk under ATTACHMENT_DIR
+const localDriver = {
+  resolve: function(key) {
+    const baseDir = path.resolve(process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads'));
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  },
+
+  save: async function(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  },
+
+  createReadStream: function(key) {
+    return fs.createReadStream(this.resolve(key));
+  },
+
+  remove: async function(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+const drivers = {
+  local: localDriver
+};
+
+let activeDriver = null;
+
+// Replace the storage driver (anything with async save(key, buffer), createReadStream(key) and async remove(key))
+const setStorage = (driver) => {
+  if (!driver || ['save', 'createReadStream', 'remove'].some(fn => typeof driver[fn] !== 'function')) {
+    throw new Error('Storage driver must implement save(key, buffer), createReadStream(key) and remove(key)');
+  }
+  activeDriver = driver;
+};
+
+const getStorage = () => {
+  if (activeDriver) return activeDriver;
+
+  const name = process.env.ATTACHMENT_STORAGE || 'local';
+  if (!drivers[name]) {
+    throw new Error(`Unknown attachment storage: ${name}`);
+  }
+  return drivers[name];
+};
+
+// Remove several stored files, logging failures instead of throwing
+const removeFiles = async (keys) => {
+  const storage = getStorage();
+  const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Attachment removal error for ${keys[index]}:`, result.reason);
+    }
+  });
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  removeFiles,
+  drivers
+};